@@ -0,0 +1,23 @@
+/**
+ * Copy the shared protocol schema into this package
+ *
+ * shared/protocol.json is the source of truth. The client keeps a
+ * committed copy next to protocol.ts so it builds from its own
+ * directory: a Vercel or Railway root of client/ never sees shared/.
+ * Runs before every build, serve and test; without shared/ the
+ * committed copy is used as is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const source = path.join(__dirname, '..', '..', 'shared', 'protocol.json');
+const target = path.join(__dirname, '..', 'src', 'app', 'services', 'protocol.json');
+
+if (fs.existsSync(source)) {
+  const schema = fs.readFileSync(source);
+  if (!fs.existsSync(target) || !schema.equals(fs.readFileSync(target))) {
+    fs.writeFileSync(target, schema);
+    console.log(`Copied ${path.relative(process.cwd(), source)} -> ${path.relative(process.cwd(), target)}`);
+  }
+}
@@ -3,10 +3,12 @@ import { Routes } from '@angular/router';
 import { Landing } from './components/landing/landing';
 import { StartChat } from './components/start-chat/start-chat';
 import { ChatRoom } from './components/chat-room/chat-room';
+import { roomCodeMatcher } from './room-code';
 
 export const routes: Routes = [
   { path: '', component: Landing },
   { path: 'start', component: StartChat },
-  { path: 'chat/:roomId', component: ChatRoom },
+  // chat/:roomId, for well-formed room codes only
+  { matcher: roomCodeMatcher, component: ChatRoom },
   { path: '**', redirectTo: '' }
 ];
@@ -1,12 +1,36 @@
-import { Component } from '@angular/core';
+import { Component, OnInit, OnDestroy } from '@angular/core';
+import { CommonModule } from '@angular/common';
 import { RouterOutlet } from '@angular/router';
+import { Subscription } from 'rxjs';
+import { SocketService } from './services/socket';
 
 @Component({
   selector: 'app-root',
-  imports: [RouterOutlet],
+  imports: [CommonModule, RouterOutlet],
   templateUrl: './app.html',
   styleUrl: './app.css'
 })
-export class App {
+export class App implements OnInit, OnDestroy {
   protected readonly title = 'FOURBYTE';
+
+  // Set when the server refuses this build of the app
+  outdatedMessage: string | null = null;
+
+  private subscription: Subscription | null = null;
+
+  constructor(private socketService: SocketService) {}
+
+  ngOnInit(): void {
+    this.subscription = this.socketService.outdated$.subscribe(message => {
+      this.outdatedMessage = message;
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.subscription?.unsubscribe();
+  }
+
+  reload(): void {
+    window.location.reload();
+  }
 }
@@ -7,13 +7,30 @@
  * 3. Shows rate limit warnings
  * 4. Preserves scroll position and message history
  * 5. Session-based username persistence via SocketService
+ * 6. Owner moderation (kick/mute/ban) and kicked/muted feedback
+ * 7. Member roster and "X is typing..." line
+ * 8. Editing and deleting your own recent messages in place
+ * 9. Emoji reactions
+ * 10. Replies with a quoted preview of the original
+ * 11. Markdown-lite formatting via MarkdownPipe; Shift+Enter for new lines
+ * 12. File sharing: chunked uploads, image thumbnails, download links
+ * 13. End-to-end encrypted rooms, keyed from the URL fragment
+ * 14. Sent messages show as sending/sent/failed until the server's copy
+ *     arrives, with a retry; server messages are ordered by sequence number
+ * 15. Disappearing messages: a countdown on each, removed when the
+ *     server expires them
+ * 16. Room settings: topic, user cap, slow mode and announcement mode,
+ *     edited by the owner in a panel under the header
  */
 
-import { Component, OnInit, OnDestroy, ElementRef, ViewChild, AfterViewChecked } from '@angular/core';
+import { Component, OnInit, OnDestroy, ElementRef, ViewChild, AfterViewChecked, ChangeDetectorRef } from '@angular/core';
 import { ActivatedRoute, Router } from '@angular/router';
 import { FormsModule } from '@angular/forms';
 import { CommonModule } from '@angular/common';
-import { SocketService, ChatMessage, RoomInfo, MessageType } from '../../services/socket';
+import { SocketService, ChatMessage, RoomInfo, RoomSettings, MessageType, HistoryPage, JoinRequest, RoomMember, TypingUser, Attachment, SendError, createClientMessageId } from '../../services/socket';
+import { deriveRoomKey, isRoomSecret } from '../../services/room-crypto';
+import { ErrorCode } from '../../services/protocol';
+import { MarkdownPipe } from '../../pipes/markdown';
 import { Subscription } from 'rxjs';
 
 // Avatar pool: Distinctive geometric symbols, not typical emoji faces
@@ -22,22 +39,71 @@ const AVATAR_POOL = ['◆', '◇', '○', '●', '□', '■', '△', '▲', '
 // PERFORMANCE: Maximum messages to keep in memory
 const MAX_CLIENT_MESSAGES = 200;
 
+// Mirrors the server's MESSAGE.EDIT_WINDOW_MS; the server has the final say
+const EDIT_WINDOW_MS = 5 * 60 * 1000;
+
+// Mirrors the server's UPLOAD defaults so obvious rejects fail fast
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const UPLOAD_ACCEPT = 'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain';
+
+// Quick-pick reactions offered on every message
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+// Send refusals worth retrying as they are; anything else (the message
+// filter, length limits) needs the text changed, so it goes back in the input
+const RETRYABLE_SEND_ERRORS: ReadonlySet<ErrorCode> = new Set<ErrorCode>([
+  'RATE_LIMITED',
+  'ROOM_BUSY',
+  'MUTED',
+  'NOT_IN_ROOM',
+  'SLOW_MODE',
+  'INTERNAL_ERROR'
+]);
+
+// Slow mode choices in the settings panel, in seconds
+const SLOW_MODE_OPTIONS = [0, 10, 30, 60, 300];
+
+// How often expiry countdowns are redrawn
+const COUNTDOWN_TICK_MS = 1000;
+
+/**
+ * Shortest readable form of a duration: 42s, 5m, 3h, 2d
+ */
+function formatDuration(seconds: number): string {
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.ceil(seconds / 60)}m`;
+  }
+  if (seconds < 86400) {
+    return `${Math.ceil(seconds / 3600)}h`;
+  }
+  return `${Math.ceil(seconds / 86400)}d`;
+}
+
+// Our own message, shown before the server's copy arrives
+type Delivery = 'pending' | 'sent' | 'failed';
+
 // Extended message with local tracking
 interface DisplayMessage extends ChatMessage {
   avatar: string;
   isNew: boolean;
   isSystem: boolean;
+  delivery?: Delivery;
+  deliveryError?: string;
 }
 
 @Component({
   selector: 'app-chat-room',
-  imports: [FormsModule, CommonModule],
+  imports: [FormsModule, CommonModule, MarkdownPipe],
   templateUrl: './chat-room.html',
   styleUrl: './chat-room.css',
 })
 export class ChatRoom implements OnInit, OnDestroy, AfterViewChecked {
   @ViewChild('messagesContainer') private messagesContainer!: ElementRef;
   @ViewChild('messageInput') private messageInput!: ElementRef;
+  @ViewChild('fileInput') private fileInput!: ElementRef<HTMLInputElement>;
   
   roomId = '';
   messageContent = '';
@@ -59,19 +125,70 @@ export class ChatRoom implements OnInit, OnDestroy, AfterViewChecked {
   
   // Reconnection state
   isReconnecting = false;
+  // The server told us it is restarting
+  isServerRestarting = false;
   private hasJoinedRoom = false;
   
+  // Knock-mode rooms: our own pending request, and requests we can answer
+  isAwaitingApproval = false;
+  joinRequests: JoinRequest[] = [];
+  
+  // Moderation: muted state for us, and the error from the last action
+  mutedUntil: Date | null = null;
+  private muteTimeout: ReturnType<typeof setTimeout> | null = null;
+  private errorTimeout: ReturnType<typeof setTimeout> | null = null;
+  
+  // Message being edited (its text is in the input box)
+  editingMessageId: string | null = null;
+  
+  // Message being replied to
+  replyingTo: DisplayMessage | null = null;
+  
+  // Reactions: picker open on this message
+  readonly quickReactions = QUICK_REACTIONS;
+  reactionPickerFor: string | null = null;
+  
+  // File sharing
+  readonly uploadAccept = UPLOAD_ACCEPT;
+  uploadProgress: number | null = null;
+  private uploadSubscription: Subscription | null = null;
+  // attachmentId -> object URL of a loaded image preview
+  attachmentUrls = new Map<string, string>();
+  
+  // Presence
+  members: RoomMember[] = [];
+  typingUsers: TypingUser[] = [];
+  showRoster = false;
+  
+  // Room settings panel (owner only): a copy being edited
+  settingsDraft: RoomSettings | null = null;
+  isSavingSettings = false;
+  readonly slowModeOptions = SLOW_MODE_OPTIONS;
+  
+  // History paging state
+  hasMoreHistory = false;
+  isLoadingHistory = false;
+  private scrollHeightBeforePrepend: number | null = null;
+  
   // Avatar mapping: senderId -> avatar
   private avatarMap = new Map<string, string>();
   private avatarIndex = 0;
   private shouldScrollToBottom = false;
   
+  // Encrypted rooms: resolves once the key from the URL fragment is set
+  private roomKeyReady: Promise<void> = Promise.resolve();
+  
+  // Disappearing messages: the time countdowns are drawn against
+  now = Date.now();
+  private countdownInterval: ReturnType<typeof setInterval> | null = null;
+  
   private subscriptions: Subscription[] = [];
 
   constructor(
     private route: ActivatedRoute,
     private router: Router,
-    private socketService: SocketService
+    private socketService: SocketService,
+    private changeDetector: ChangeDetectorRef
   ) {}
 
   ngOnInit(): void {
@@ -82,6 +199,16 @@ export class ChatRoom implements OnInit, OnDestroy, AfterViewChecked {
       return;
     }
 
+    // The fragment never reaches the server; it holds the room secret
+    const secret = this.route.snapshot.fragment;
+    if (isRoomSecret(secret)) {
+      this.roomKeyReady = deriveRoomKey(secret, this.roomId)
+        .then(key => this.socketService.setRoomKey(this.roomId, key))
+        .catch(() => {
+          // WebCrypto needs a secure context; the room shows as locked
+        });
+    }
+
     this.socketService.connect();
 
     // Connection state handling
@@ -108,8 +235,20 @@ export class ChatRoom implements OnInit, OnDestroy, AfterViewChecked {
     // Message stream (includes both user and system messages from server)
     this.subscriptions.push(
       this.socketService.messages$.subscribe(message => {
+        // Reconnect replays can overlap what we already show
+        if (this.hasMessage(message.id)) {
+          return;
+        }
+        
+        // Our own message coming back replaces the copy shown while sending
+        const sending = this.takeUnconfirmed(message.clientMessageId);
+        
         const displayMessage = this.enhanceMessage(message);
-        this.messages.push(displayMessage);
+        if (sending) {
+          displayMessage.isNew = false;
+        }
+        this.messages.splice(this.insertionIndex(message), 0, displayMessage);
+        this.loadImagePreview(displayMessage);
         
         // PERFORMANCE: Trim old messages to prevent memory exhaustion
         while (this.messages.length > MAX_CLIENT_MESSAGES) {
@@ -125,10 +264,46 @@ export class ChatRoom implements OnInit, OnDestroy, AfterViewChecked {
       })
     );
 
+    // Edits and deletions re-render the message in place
+    this.subscriptions.push(
+      this.socketService.messageChanges$.subscribe(change => {
+        if (change.type === 'updated') {
+          const index = this.messages.findIndex(m => m.id === change.message.id);
+          if (index !== -1) {
+            this.messages[index] = { ...this.messages[index], ...change.message };
+          }
+        } else if (change.type === 'reaction') {
+          const message = this.messages.find(m => m.id === change.messageId);
+          if (message) {
+            this.applyReaction(message, change.emoji, change.userId, change.added);
+          }
+        } else if (change.type === 'expired') {
+          this.removeExpired(change.messageIds);
+        } else {
+          const message = this.messages.find(m => m.id === change.messageId);
+          if (message) {
+            this.releaseAttachmentUrl(message.attachment);
+            message.deleted = true;
+            message.content = '';
+            message.editedAt = undefined;
+            message.reactions = undefined;
+            message.attachment = undefined;
+          }
+          if (this.editingMessageId === change.messageId) {
+            this.cancelEditing();
+          }
+          if (this.replyingTo?.id === change.messageId) {
+            this.cancelReply();
+          }
+        }
+      })
+    );
+
     // Room info updates
     this.subscriptions.push(
       this.socketService.roomInfo$.subscribe(info => {
         this.roomInfo = info;
+        this.updateCountdown();
       })
     );
 
@@ -149,16 +324,79 @@ export class ChatRoom implements OnInit, OnDestroy, AfterViewChecked {
       })
     );
 
+    // Planned restarts
+    this.subscriptions.push(
+      this.socketService.maintenance$.subscribe(notice => {
+        this.isServerRestarting = notice !== null;
+      })
+    );
+
     // Rate limiting feedback
     this.subscriptions.push(
       this.socketService.rateLimit$.subscribe(info => {
         this.showRateLimitWarning(info.message, info.resetIn);
       })
     );
+
+    // Join approval (knock-mode rooms)
+    this.subscriptions.push(
+      this.socketService.joinPending$.subscribe(pending => {
+        this.isAwaitingApproval = pending;
+      })
+    );
+
+    this.subscriptions.push(
+      this.socketService.joinRequests$.subscribe(requests => {
+        this.joinRequests = requests;
+      })
+    );
+
+    // Presence
+    this.subscriptions.push(
+      this.socketService.members$.subscribe(members => {
+        this.members = members;
+      })
+    );
+
+    this.subscriptions.push(
+      this.socketService.typingUsers$.subscribe(users => {
+        this.typingUsers = users;
+      })
+    );
+
+    // Moderation
+    this.subscriptions.push(
+      this.socketService.removed$.subscribe(removed => {
+        if (removed.roomId !== this.roomId) {
+          return;
+        }
+        this.errorMessage = {
+          kicked: 'You were removed from this room',
+          banned: 'You were banned from this room',
+          closed: {
+            admin: 'This room has been closed',
+            expired: 'This room reached its time limit and was closed',
+            idle: 'This room was closed after going quiet for too long'
+          }[removed.closedFor || 'admin']
+        }[removed.reason];
+        // The start page keeps showing why we're back there
+        const notice = this.errorMessage;
+        setTimeout(() => this.router.navigate(['/start'], { state: { notice } }), 2000);
+      })
+    );
+
+    this.subscriptions.push(
+      this.socketService.mutedUntil$.subscribe(until => {
+        this.setMutedUntil(until);
+      })
+    );
   }
 
   ngAfterViewChecked(): void {
-    if (this.shouldScrollToBottom) {
+    if (this.scrollHeightBeforePrepend !== null) {
+      this.restoreScrollAfterPrepend(this.scrollHeightBeforePrepend);
+      this.scrollHeightBeforePrepend = null;
+    } else if (this.shouldScrollToBottom) {
       this.scrollToBottom();
       this.shouldScrollToBottom = false;
     }
@@ -173,13 +411,28 @@ export class ChatRoom implements OnInit, OnDestroy, AfterViewChecked {
     if (this.rateLimitTimeout) {
       clearTimeout(this.rateLimitTimeout);
     }
+    if (this.muteTimeout) {
+      clearTimeout(this.muteTimeout);
+    }
+    if (this.errorTimeout) {
+      clearTimeout(this.errorTimeout);
+    }
+    if (this.countdownInterval) {
+      clearInterval(this.countdownInterval);
+    }
+    
+    this.uploadSubscription?.unsubscribe();
+    this.attachmentUrls.forEach(url => URL.revokeObjectURL(url));
   }
 
-  private joinRoom(): void {
+  private async joinRoom(): Promise<void> {
+    await this.roomKeyReady;
     this.socketService.joinRoom(this.roomId).subscribe({
-      next: () => {
+      next: (history) => {
         this.errorMessage = '';
         this.hasJoinedRoom = true;
+        this.prependHistory(history);
+        this.shouldScrollToBottom = true;
         // Focus input after joining
         setTimeout(() => this.focusInput(), 100);
       },
@@ -190,6 +443,72 @@ export class ChatRoom implements OnInit, OnDestroy, AfterViewChecked {
     });
   }
 
+  /**
+   * Load the page of history before the oldest message we have
+   */
+  loadEarlierMessages(): void {
+    const oldest = this.messages.find(message => !message.id.startsWith('local_'));
+    if (!oldest || this.isLoadingHistory || !this.isConnected) {
+      return;
+    }
+
+    this.isLoadingHistory = true;
+    this.socketService.fetchHistory(this.roomId, oldest.id).subscribe({
+      next: (page) => {
+        this.isLoadingHistory = false;
+        this.scrollHeightBeforePrepend = this.messagesContainer?.nativeElement?.scrollHeight ?? null;
+        this.prependHistory(page);
+      },
+      error: () => {
+        this.isLoadingHistory = false;
+      }
+    });
+  }
+
+  /**
+   * Insert a page of history above the current messages, skipping any
+   * we already display. History is rendered without the entry animation.
+   */
+  private prependHistory(page: HistoryPage): void {
+    const older = page.messages
+      .filter(message => !this.hasMessage(message.id))
+      .map(message => ({ ...this.enhanceMessage(message), isNew: false }));
+    
+    this.messages = [...older, ...this.messages];
+    this.hasMoreHistory = page.hasMore;
+    older.forEach(message => this.loadImagePreview(message));
+  }
+
+  private hasMessage(id: string): boolean {
+    return this.messages.some(message => message.id === id);
+  }
+
+  /**
+   * Where a message from the server goes: in sequence-number order
+   * (messages can overtake each other), and above our own messages
+   * still waiting for an answer
+   */
+  private insertionIndex(message: ChatMessage): number {
+    const { seq } = message;
+    const index = this.messages.findIndex(m =>
+      m.delivery === 'pending' ||
+      m.delivery === 'failed' ||
+      (seq !== undefined && m.seq !== undefined && m.seq > seq)
+    );
+    return index === -1 ? this.messages.length : index;
+  }
+
+  /**
+   * Remove and return the local copy of a message we sent
+   */
+  private takeUnconfirmed(clientMessageId: string | undefined): DisplayMessage | null {
+    if (!clientMessageId) {
+      return null;
+    }
+    const index = this.messages.findIndex(m => m.delivery && m.clientMessageId === clientMessageId);
+    return index === -1 ? null : this.messages.splice(index, 1)[0];
+  }
+
   /**
    * Add a local system message (for connection status, etc.)
    * These are client-side only, not broadcast to other users
@@ -247,6 +566,17 @@ export class ChatRoom implements OnInit, OnDestroy, AfterViewChecked {
     }
   }
 
+  /**
+   * Keep the viewport anchored on the same message after older
+   * history is inserted above it
+   */
+  private restoreScrollAfterPrepend(previousScrollHeight: number): void {
+    const el = this.messagesContainer?.nativeElement;
+    if (el) {
+      el.scrollTop += el.scrollHeight - previousScrollHeight;
+    }
+  }
+
   private focusInput(): void {
     this.messageInput?.nativeElement?.focus();
   }
@@ -265,26 +595,535 @@ export class ChatRoom implements OnInit, OnDestroy, AfterViewChecked {
     }, Math.min(resetIn + 1000, 5000));
   }
 
+  /**
+   * Show the muted banner until the mute runs out
+   */
+  private setMutedUntil(until: Date | null): void {
+    if (this.muteTimeout) {
+      clearTimeout(this.muteTimeout);
+      this.muteTimeout = null;
+    }
+    
+    const remaining = until ? until.getTime() - Date.now() : 0;
+    this.mutedUntil = remaining > 0 ? until : null;
+    if (remaining > 0) {
+      this.muteTimeout = setTimeout(() => {
+        this.mutedUntil = null;
+      }, remaining);
+    }
+  }
+
+  private showTransientError(message: string): void {
+    this.errorMessage = message;
+    
+    if (this.errorTimeout) {
+      clearTimeout(this.errorTimeout);
+    }
+    this.errorTimeout = setTimeout(() => {
+      this.errorMessage = '';
+    }, 3000);
+  }
+
   sendMessage(): void {
     const content = this.messageContent.trim();
-    if (!content || !this.isConnected) {
+    if (!content || !this.isConnected || this.mutedUntil || this.isLocked) {
+      return;
+    }
+
+    if (this.editingMessageId) {
+      this.socketService.editMessage(this.roomId, this.editingMessageId, content).subscribe({
+        // Server refusals arrive as text; a missing room key as an Error
+        error: (err) => this.showTransientError(
+          typeof err === 'string' ? err : err instanceof Error ? err.message : 'Failed to edit message'
+        )
+      });
+      this.cancelEditing();
+      return;
+    }
+
+    this.deliver(this.addUnconfirmed(content, this.replyingTo));
+    this.messageContent = '';
+    this.replyingTo = null;
+    this.focusInput();
+  }
+
+  /**
+   * Show a message we're sending straight away, until the server's
+   * copy replaces it
+   */
+  private addUnconfirmed(content: string, replyingTo: DisplayMessage | null): DisplayMessage {
+    const clientMessageId = createClientMessageId();
+    const message: DisplayMessage = {
+      ...this.enhanceMessage({
+        id: `local_${clientMessageId}`,
+        clientMessageId,
+        type: 'user',
+        senderId: this.userId ?? '',
+        senderName: this.userName ?? '',
+        content,
+        timestamp: new Date()
+      }),
+      delivery: 'pending'
+    };
+    if (replyingTo) {
+      message.replyTo = { id: replyingTo.id, senderName: replyingTo.senderName, excerpt: this.excerptOf(replyingTo) };
+    }
+    this.messages.push(message);
+    this.shouldScrollToBottom = true;
+    setTimeout(() => {
+      message.isNew = false;
+    }, 500);
+    return message;
+  }
+
+  /**
+   * Send (or resend) a local message under its clientMessageId, so a
+   * retry after a lost answer can't post it twice
+   */
+  private deliver(message: DisplayMessage): void {
+    message.delivery = 'pending';
+    message.deliveryError = undefined;
+    this.socketService.sendMessage(this.roomId, message.content, {
+      clientMessageId: message.clientMessageId!,
+      replyTo: message.replyTo?.id
+    }).subscribe({
+      next: (receipt) => {
+        // Unless the server's copy already replaced it; seq keeps it in order
+        message.delivery = 'sent';
+        message.seq = receipt.seq;
+      },
+      error: (err: SendError) => {
+        if (err.code && !RETRYABLE_SEND_ERRORS.has(err.code)) {
+          // Refused for what it says: the reason, and the text back to fix
+          this.discardMessage(message);
+          this.showTransientError(err.error);
+          if (!this.messageContent) {
+            this.messageContent = message.content;
+          }
+          return;
+        }
+        message.delivery = 'failed';
+        message.deliveryError = err.error;
+      }
+    });
+  }
+
+  retryMessage(message: DisplayMessage): void {
+    if (message.delivery === 'failed' && this.isConnected) {
+      this.deliver(message);
+    }
+  }
+
+  discardMessage(message: DisplayMessage): void {
+    this.messages = this.messages.filter(m => m !== message);
+  }
+
+  /**
+   * Enter sends; Shift+Enter inserts a new line
+   */
+  onInputEnter(event: Event): void {
+    if ((event as KeyboardEvent).shiftKey) {
+      return;
+    }
+    event.preventDefault();
+    this.sendMessage();
+  }
+
+  // File sharing
+  openFilePicker(): void {
+    this.fileInput?.nativeElement.click();
+  }
+
+  onFileSelected(event: Event): void {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file || this.uploadProgress !== null) {
       return;
     }
+    if (file.size > MAX_UPLOAD_BYTES) {
+      this.showTransientError('File too large (max 5 MB)');
+      return;
+    }
+
+    this.uploadProgress = 0;
+    this.uploadSubscription = this.socketService.uploadFile(this.roomId, file).subscribe({
+      next: (progress) => {
+        this.uploadProgress = progress;
+      },
+      error: (err) => {
+        this.uploadProgress = null;
+        this.showTransientError(typeof err === 'string' ? err : 'Upload failed');
+      },
+      complete: () => {
+        this.uploadProgress = null;
+      }
+    });
+  }
+
+  cancelUpload(): void {
+    this.uploadSubscription?.unsubscribe();
+    this.uploadSubscription = null;
+    this.uploadProgress = null;
+  }
+
+  isImage(attachment: Attachment): boolean {
+    return attachment.type.startsWith('image/');
+  }
+
+  downloadAttachment(attachment: Attachment): void {
+    this.socketService.fetchAttachment(this.roomId, attachment.id).subscribe({
+      next: (blob) => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = attachment.name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      },
+      error: (err) => this.showTransientError(typeof err === 'string' ? err : 'Download failed')
+    });
+  }
+
+  formatSize(bytes: number): string {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Fetch an image attachment once so it can be shown inline
+   */
+  private loadImagePreview(message: DisplayMessage): void {
+    const attachment = message.attachment;
+    if (!attachment || !this.isImage(attachment) || this.attachmentUrls.has(attachment.id)) {
+      return;
+    }
+    this.socketService.fetchAttachment(this.roomId, attachment.id).subscribe({
+      next: (blob) => this.attachmentUrls.set(attachment.id, URL.createObjectURL(blob)),
+      error: () => {
+        // Leave it as a download link
+      }
+    });
+  }
+
+  // ===============================
+  // DISAPPEARING MESSAGES
+  // ===============================
+
+  /**
+   * Tick the countdowns only while the room has a message lifetime
+   */
+  private updateCountdown(): void {
+    if (this.roomInfo?.messageLifetimeSec && !this.countdownInterval) {
+      this.now = Date.now();
+      this.countdownInterval = setInterval(() => {
+        this.now = Date.now();
+        this.changeDetector.markForCheck();
+      }, COUNTDOWN_TICK_MS);
+    } else if (!this.roomInfo?.messageLifetimeSec && this.countdownInterval) {
+      clearInterval(this.countdownInterval);
+      this.countdownInterval = null;
+    }
+  }
+
+  /**
+   * Drop messages the server has expired; replies keep an empty quote
+   */
+  private removeExpired(messageIds: string[]): void {
+    const expired = new Set(messageIds);
+    for (const message of this.messages) {
+      if (expired.has(message.id)) {
+        this.releaseAttachmentUrl(message.attachment);
+      } else if (message.replyTo && expired.has(message.replyTo.id)) {
+        message.replyTo = { ...message.replyTo, excerpt: '', expired: true };
+      }
+    }
+    this.messages = this.messages.filter(m => !expired.has(m.id));
+
+    if (this.editingMessageId && expired.has(this.editingMessageId)) {
+      this.cancelEditing();
+    }
+    if (this.replyingTo && expired.has(this.replyingTo.id)) {
+      this.cancelReply();
+    }
+  }
+
+  /**
+   * Time left before a message disappears, e.g. "42s" or "5m"
+   */
+  expiresIn(message: DisplayMessage): string | null {
+    if (!message.expiresAt) {
+      return null;
+    }
+    const seconds = Math.max(0, Math.ceil((new Date(message.expiresAt).getTime() - this.now) / 1000));
+    return formatDuration(seconds);
+  }
+
+  /**
+   * The room's message lifetime for the header, e.g. "5m"
+   */
+  get messageLifetime(): string | null {
+    const seconds = this.roomInfo?.messageLifetimeSec;
+    return seconds ? formatDuration(seconds) : null;
+  }
+
+  private releaseAttachmentUrl(attachment: Attachment | undefined): void {
+    const url = attachment && this.attachmentUrls.get(attachment.id);
+    if (url) {
+      URL.revokeObjectURL(url);
+      this.attachmentUrls.delete(attachment.id);
+    }
+  }
+
+  // Replies
+  startReply(message: DisplayMessage): void {
+    if (this.editingMessageId) {
+      this.cancelEditing();
+    }
+    this.replyingTo = message;
+    this.focusInput();
+  }
+
+  cancelReply(): void {
+    this.replyingTo = null;
+    this.focusInput();
+  }
+
+  /**
+   * Jump to the quoted message if it's still loaded
+   */
+  scrollToMessage(messageId: string): void {
+    const el = this.messagesContainer?.nativeElement?.querySelector(`[data-message-id="${messageId}"]`);
+    el?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  // Editing and deleting own messages
+  canChange(message: DisplayMessage): boolean {
+    return !message.isSystem
+      && !message.delivery
+      && !message.deleted
+      && !message.undecryptable
+      && this.isOwnMessage(message)
+      && Date.now() - new Date(message.timestamp).getTime() < EDIT_WINDOW_MS;
+  }
+
+  startEditing(message: DisplayMessage): void {
+    this.replyingTo = null;
+    this.editingMessageId = message.id;
+    this.messageContent = message.content;
+    this.focusInput();
+  }
 
-    this.socketService.sendMessage(this.roomId, content);
+  cancelEditing(): void {
+    this.editingMessageId = null;
     this.messageContent = '';
     this.focusInput();
   }
 
+  // Reactions
+  reactionsOf(message: DisplayMessage): { emoji: string; count: number; mine: boolean }[] {
+    return Object.entries(message.reactions ?? {}).map(([emoji, userIds]) => ({
+      emoji,
+      count: userIds.length,
+      mine: !!this.userId && userIds.includes(this.userId)
+    }));
+  }
+
+  toggleReactionPicker(message: DisplayMessage): void {
+    this.reactionPickerFor = this.reactionPickerFor === message.id ? null : message.id;
+  }
+
+  react(message: DisplayMessage, emoji: string): void {
+    this.reactionPickerFor = null;
+    this.socketService.toggleReaction(this.roomId, message.id, emoji).subscribe({
+      error: (err) => this.showTransientError(typeof err === 'string' ? err : 'Failed to react')
+    });
+  }
+
+  /**
+   * Plain-text excerpt of a message for the reply preview
+   */
+  excerptOf(message: DisplayMessage): string {
+    if (message.attachment) {
+      return `📎 ${message.attachment.name}`;
+    }
+    return message.content.length > 80 ? `${message.content.slice(0, 80)}…` : message.content;
+  }
+
+  private applyReaction(message: DisplayMessage, emoji: string, userId: string, added: boolean): void {
+    const reactions = { ...(message.reactions ?? {}) };
+    const others = (reactions[emoji] ?? []).filter(id => id !== userId);
+    if (added) {
+      reactions[emoji] = [...others, userId];
+    } else if (others.length > 0) {
+      reactions[emoji] = others;
+    } else {
+      delete reactions[emoji];
+    }
+    message.reactions = reactions;
+  }
+
+  trackByEmoji(index: number, reaction: { emoji: string }): string {
+    return reaction.emoji;
+  }
+
+  deleteMessage(message: DisplayMessage): void {
+    if (!confirm('Delete this message for everyone?')) {
+      return;
+    }
+    this.socketService.deleteMessage(this.roomId, message.id).subscribe({
+      error: (err) => this.showTransientError(typeof err === 'string' ? err : 'Failed to delete message')
+    });
+  }
+
+  onMessageInput(): void {
+    if (this.messageContent.trim()) {
+      this.socketService.notifyTyping(this.roomId);
+    } else {
+      this.socketService.stopTyping(this.roomId);
+    }
+  }
+
+  get typingText(): string {
+    const names = this.typingUsers.map(user => user.userName);
+    switch (names.length) {
+      case 0:
+        return '';
+      case 1:
+        return `${names[0]} is typing...`;
+      case 2:
+        return `${names[0]} and ${names[1]} are typing...`;
+      default:
+        return 'Several people are typing...';
+    }
+  }
+
+  toggleRoster(): void {
+    this.showRoster = !this.showRoster;
+  }
+
+  trackByMemberId(index: number, member: RoomMember): string {
+    return member.id;
+  }
+
+  memberAvatar(member: RoomMember): string {
+    return this.getAvatarForUser(member.id);
+  }
+
   leaveRoom(): void {
     this.socketService.leaveRoom(this.roomId);
     this.router.navigate(['/start']);
   }
 
+  approveJoin(request: JoinRequest): void {
+    this.socketService.approveJoin(this.roomId, request.requestId).subscribe({
+      error: (err) => this.showTransientError(typeof err === 'string' ? err : 'Failed to let them in')
+    });
+  }
+
+  denyJoin(request: JoinRequest): void {
+    this.socketService.denyJoin(this.roomId, request.requestId).subscribe({
+      error: (err) => this.showTransientError(typeof err === 'string' ? err : 'Failed to deny request')
+    });
+  }
+
+  trackByRequestId(index: number, request: JoinRequest): string {
+    return request.requestId;
+  }
+
   isOwnMessage(message: DisplayMessage): boolean {
     return message.senderId === this.userId;
   }
 
+  // Moderation (room owner only)
+  get isOwner(): boolean {
+    return !!this.userId && this.roomInfo?.ownerId === this.userId;
+  }
+
+  // ===============================
+  // ROOM SETTINGS
+  // ===============================
+  get settings(): RoomSettings | null {
+    return this.roomInfo?.settings ?? null;
+  }
+
+  /**
+   * Announcement rooms: only the owner may post
+   */
+  get canPost(): boolean {
+    return !this.settings?.announcementOnly || this.isOwner;
+  }
+
+  /**
+   * The slow-mode wait that applies to us, in seconds (the owner has none)
+   */
+  get slowModeSec(): number {
+    return this.isOwner ? 0 : this.settings?.slowModeSec ?? 0;
+  }
+
+  toggleSettings(): void {
+    this.settingsDraft = this.settingsDraft || !this.settings ? null : { ...this.settings };
+  }
+
+  saveSettings(): void {
+    if (!this.settingsDraft || this.isSavingSettings) {
+      return;
+    }
+    this.isSavingSettings = true;
+    const { topic, maxUsers, slowModeSec, announcementOnly } = this.settingsDraft;
+    this.socketService.updateRoomSettings(this.roomId, {
+      topic: topic.trim(),
+      // An emptied number field leaves the server's cap
+      maxUsers: maxUsers || null,
+      slowModeSec: Number(slowModeSec),
+      announcementOnly
+    }).subscribe({
+      // The new settings come back in room-info
+      next: () => {
+        this.isSavingSettings = false;
+        this.settingsDraft = null;
+      },
+      error: (err) => {
+        this.isSavingSettings = false;
+        this.showTransientError(typeof err === 'string' ? err : 'Failed to update room settings');
+      }
+    });
+  }
+
+  formatSlowMode(seconds: number): string {
+    return seconds ? formatDuration(seconds) : 'Off';
+  }
+
+  isOwnerMessage(message: DisplayMessage): boolean {
+    return !!this.roomInfo?.ownerId && message.senderId === this.roomInfo.ownerId;
+  }
+
+  canModerate(message: DisplayMessage): boolean {
+    return this.isOwner && !message.isSystem && !this.isOwnMessage(message);
+  }
+
+  muteUser(message: DisplayMessage): void {
+    this.socketService.muteUser(this.roomId, message.senderId).subscribe({
+      error: (err) => this.showTransientError(typeof err === 'string' ? err : 'Failed to mute user')
+    });
+  }
+
+  kickUser(message: DisplayMessage): void {
+    this.socketService.kickUser(this.roomId, message.senderId).subscribe({
+      error: (err) => this.showTransientError(typeof err === 'string' ? err : 'Failed to remove user')
+    });
+  }
+
+  banUser(message: DisplayMessage): void {
+    if (!confirm(`Ban ${message.senderName} from this room?`)) {
+      return;
+    }
+    this.socketService.banUser(this.roomId, message.senderId).subscribe({
+      error: (err) => this.showTransientError(typeof err === 'string' ? err : 'Failed to ban user')
+    });
+  }
+
   // Username editing
   startEditingName(): void {
     this.isEditingName = true;
@@ -325,8 +1164,21 @@ export class ChatRoom implements OnInit, OnDestroy, AfterViewChecked {
   }
 
   // Copy room code to clipboard
+  get isEncrypted(): boolean {
+    return !!this.roomInfo?.encrypted;
+  }
+
+  /**
+   * In an encrypted room without the key from the invite link
+   */
+  get isLocked(): boolean {
+    return this.isEncrypted && !this.socketService.hasRoomKey(this.roomId);
+  }
+
   copyRoomCode(): void {
-    navigator.clipboard.writeText(this.roomId).catch(() => {
+    // Encrypted rooms can only be joined with the full link
+    const text = this.isEncrypted ? window.location.href : this.roomId;
+    navigator.clipboard.writeText(text).catch(() => {
       // Fallback: show code visually
     });
   }
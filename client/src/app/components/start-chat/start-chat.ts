@@ -2,7 +2,9 @@ import { Component, OnInit, OnDestroy } from '@angular/core';
 import { Router } from '@angular/router';
 import { FormsModule } from '@angular/forms';
 import { CommonModule } from '@angular/common';
-import { SocketService } from '../../services/socket';
+import { SocketService, MessageFilterRule } from '../../services/socket';
+import { generateRoomSecret } from '../../services/room-crypto';
+import { isValidRoomCode, normalizeRoomCode, ROOM_CODE_MAX_LENGTH } from '../../room-code';
 import { Subscription } from 'rxjs';
 
 @Component({
@@ -14,6 +16,38 @@ import { Subscription } from 'rxjs';
 export class StartChat implements OnInit, OnDestroy {
   roomCode = '';
   errorMessage = '';
+  readonly roomCodeMaxLength = ROOM_CODE_MAX_LENGTH;
+  
+  // New room options (create)
+  createTopic = '';
+  announcementOnly = false;
+  createPassphrase = '';
+  requireApproval = false;
+  encrypted = false;
+  
+  // Message filters the creator can turn on (the server may apply more)
+  readonly filterOptions: { rule: MessageFilterRule; label: string }[] = [
+    { rule: 'links', label: 'No links' },
+    { rule: 'caps', label: 'No shouting' },
+    { rule: 'flood', label: 'No repeats' },
+    { rule: 'zalgo', label: 'No glitch text' }
+  ];
+  filters = new Set<MessageFilterRule>();
+  
+  // Disappearing messages: seconds, 0 keeps them
+  readonly lifetimeOptions: { seconds: number; label: string }[] = [
+    { seconds: 0, label: 'Off' },
+    { seconds: 30, label: '30s' },
+    { seconds: 5 * 60, label: '5m' },
+    { seconds: 60 * 60, label: '1h' },
+    { seconds: 24 * 60 * 60, label: '1d' }
+  ];
+  messageLifetimeSec = 0;
+  
+  // Passphrase prompt (join), shown once a room turns out to need one
+  needsPassphrase = false;
+  joinPassphrase = '';
+
   isConnected = false;
   isCreating = false;
   isJoining = false;
@@ -25,6 +59,8 @@ export class StartChat implements OnInit, OnDestroy {
   ) {}
 
   ngOnInit(): void {
+    // Sent here from a room that closed or removed us
+    this.errorMessage = history.state?.notice || '';
     this.socketService.connect();
     this.subscriptions.push(
       this.socketService.connected$.subscribe(connected => {
@@ -37,6 +73,14 @@ export class StartChat implements OnInit, OnDestroy {
     this.subscriptions.forEach(sub => sub.unsubscribe());
   }
 
+  toggleFilter(rule: MessageFilterRule, enabled: boolean): void {
+    if (enabled) {
+      this.filters.add(rule);
+    } else {
+      this.filters.delete(rule);
+    }
+  }
+
   createRoom(): void {
     if (!this.isConnected || this.isCreating) {
       return;
@@ -45,9 +89,21 @@ export class StartChat implements OnInit, OnDestroy {
     this.errorMessage = '';
     this.isCreating = true;
     
-    this.socketService.createRoom().subscribe({
+    const passphrase = this.createPassphrase.trim();
+    this.socketService.createRoom({
+      passphrase: passphrase || undefined,
+      requireApproval: this.requireApproval,
+      encrypted: this.encrypted,
+      // The server can't read encrypted rooms, so it can't filter them
+      filters: this.encrypted ? [] : Array.from(this.filters),
+      messageLifetimeSec: this.messageLifetimeSec,
+      // Cap and slow mode are set from the room, once it's clear they're needed
+      settings: { topic: this.createTopic.trim(), announcementOnly: this.announcementOnly }
+    }).subscribe({
       next: (roomId) => {
-        this.router.navigate(['/chat', roomId]);
+        // Encrypted rooms: the secret rides in the fragment, which is
+        // never sent to the server
+        this.router.navigate(['/chat', roomId], this.encrypted ? { fragment: generateRoomSecret() } : {});
       },
       error: (err) => {
         this.errorMessage = typeof err === 'string' ? err : 'Failed to create room';
@@ -61,10 +117,9 @@ export class StartChat implements OnInit, OnDestroy {
       return;
     }
 
-    // Validate: exactly 4 digits
-    const sanitized = this.roomCode.replace(/\D/g, '');
-    if (sanitized.length !== 4) {
-      this.errorMessage = 'Enter a 4-digit code';
+    const sanitized = normalizeRoomCode(this.roomCode);
+    if (!isValidRoomCode(sanitized)) {
+      this.errorMessage = 'Enter a valid room code';
       return;
     }
 
@@ -72,13 +127,32 @@ export class StartChat implements OnInit, OnDestroy {
     this.isJoining = true;
     
     this.socketService.checkRoom(sanitized).subscribe({
-      next: (exists) => {
-        if (exists) {
-          this.router.navigate(['/chat', sanitized]);
-        } else {
-          this.errorMessage = 'Room does not exist';
+      next: (info) => {
+        if (!info.exists) {
+          this.errorMessage = info.error || 'Room does not exist';
+          this.isJoining = false;
+          return;
+        }
+        
+        // The key is only in the invite link, not the code
+        if (info.encrypted) {
+          this.errorMessage = 'This room is end-to-end encrypted. Open it with the invite link.';
           this.isJoining = false;
+          return;
+        }
+        
+        if (info.requiresPassphrase) {
+          const passphrase = this.joinPassphrase.trim();
+          if (!passphrase) {
+            this.needsPassphrase = true;
+            this.errorMessage = 'This room needs a passphrase';
+            this.isJoining = false;
+            return;
+          }
+          this.socketService.setRoomPassphrase(sanitized, passphrase);
         }
+        
+        this.router.navigate(['/chat', sanitized]);
       },
       error: () => {
         this.errorMessage = 'Connection error';
@@ -87,11 +161,19 @@ export class StartChat implements OnInit, OnDestroy {
     });
   }
 
-  // Handle input: only allow digits
+  get isRoomCodeValid(): boolean {
+    return isValidRoomCode(normalizeRoomCode(this.roomCode));
+  }
+
+  // Handle input: only characters a room code can contain
   onCodeInput(event: Event): void {
     const input = event.target as HTMLInputElement;
-    input.value = input.value.replace(/\D/g, '');
+    input.value = input.value.toLowerCase().replace(/[^a-z0-9\s-]/g, '');
     this.roomCode = input.value;
+    
+    // A different room may not need the passphrase
+    this.needsPassphrase = false;
+    this.joinPassphrase = '';
   }
 
   // Clear error on new input
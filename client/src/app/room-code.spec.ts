@@ -0,0 +1,24 @@
+import { isValidRoomCode, normalizeRoomCode, setRoomCodeFormat } from './room-code';
+
+describe('room codes', () => {
+  afterEach(() => setRoomCodeFormat(null));
+
+  it('accepts every format until the server names one', () => {
+    for (const code of ['4821', 'k7mq2xpa', 'amber-fox-42']) {
+      expect(isValidRoomCode(code)).toBe(true);
+    }
+    expect(isValidRoomCode('0123')).toBe(false);
+    expect(isValidRoomCode('amber-fox-7')).toBe(false);
+  });
+
+  it('accepts only the server format once known', () => {
+    setRoomCodeFormat('words');
+    expect(isValidRoomCode('amber-fox-42')).toBe(true);
+    expect(isValidRoomCode('4821')).toBe(false);
+    expect(isValidRoomCode('k7mq2xpa')).toBe(false);
+  });
+
+  it('tidies typed codes', () => {
+    expect(normalizeRoomCode('  Amber Fox 42 ')).toBe('amber-fox-42');
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Room Codes
+ *
+ * Client side of server/src/roomCode.js. The patterns come from the
+ * shared protocol schema. The server picks one format (numeric,
+ * alphanumeric or words) and names it when we connect; until then any
+ * format is accepted, and the server has the final say either way.
+ */
+
+import { UrlMatcher, UrlSegment } from '@angular/router';
+import { ROOM_CODE_PATTERNS, RoomCodeFormat } from './services/protocol';
+
+// Set from the server's identity event
+let serverFormat: RoomCodeFormat | null = null;
+
+// Longest code any format produces
+export const ROOM_CODE_MAX_LENGTH = 40;
+
+/**
+ * Tidy a code as typed or pasted: case, spaces and stray characters
+ */
+export function normalizeRoomCode(input: string): string {
+  return input
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9-]/g, '')
+    .substring(0, ROOM_CODE_MAX_LENGTH);
+}
+
+export function setRoomCodeFormat(format: RoomCodeFormat | null): void {
+  serverFormat = format && Object.hasOwn(ROOM_CODE_PATTERNS, format) ? format : null;
+}
+
+export function isValidRoomCode(code: string): boolean {
+  if (serverFormat) {
+    return ROOM_CODE_PATTERNS[serverFormat].test(code);
+  }
+  return Object.values(ROOM_CODE_PATTERNS).some(pattern => pattern.test(code));
+}
+
+/**
+ * Route matcher for chat/:roomId that only matches valid room codes
+ */
+export const roomCodeMatcher: UrlMatcher = (segments: UrlSegment[]) => {
+  if (segments.length === 2 && segments[0].path === 'chat' && isValidRoomCode(segments[1].path)) {
+    return { consumed: segments, posParams: { roomId: segments[1] } };
+  }
+  return null;
+};
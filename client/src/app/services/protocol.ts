@@ -0,0 +1,179 @@
+/**
+ * Wire Protocol
+ *
+ * Typed view of shared/protocol.json, the schema the server validates
+ * every event against. Event names and error codes come from the JSON
+ * itself, so the build fails if this file and the schema drift apart.
+ * The schema is read from a committed copy next to this file, refreshed
+ * from shared/ before every build, so client/ builds on its own.
+ */
+
+// Copy of shared/protocol.json (see scripts/sync-protocol.js)
+import schema from './protocol.json';
+import type {
+  ChatMessage,
+  HistoryPage,
+  ReactionDelta,
+  RemovedInfo,
+  RoomAccessInfo,
+  RoomClosedReason,
+  RoomInfo,
+  RoomMember,
+  RoomOptions,
+  RoomSettings,
+  ShutdownNotice,
+  TypingUser,
+  UserEvent
+} from './socket';
+
+// Sent in the handshake; the server refuses versions it can't serve
+export const PROTOCOL_VERSION: number = schema.version;
+
+export type ErrorCode = keyof typeof schema.errors;
+
+// Handshake refusals that reloading the page will fix
+export const OUTDATED_CODES: ReadonlySet<ErrorCode> = new Set<ErrorCode>(['PROTOCOL_OUTDATED', 'PROTOCOL_UNSUPPORTED']);
+
+// The server uses one room code format; each looks like its pattern
+export type RoomCodeFormat = keyof typeof schema.roomCodes;
+
+export const ROOM_CODE_PATTERNS = Object.fromEntries(
+  Object.entries(schema.roomCodes).map(([format, { pattern }]) => [format, new RegExp(pattern)])
+) as Record<RoomCodeFormat, RegExp>;
+
+// ===============================
+// ACKNOWLEDGEMENTS
+// ===============================
+export interface AckFailure {
+  success: false;
+  code: ErrorCode;
+  error: string;
+}
+
+// Every acknowledgement is a success with its data, or a coded failure
+export type Ack<T = {}> = ({ success: true } & T) | AckFailure;
+
+type Reply<T = {}> = (response: Ack<T>) => void;
+
+export interface JoinResult {
+  history?: HistoryPage;
+  accessToken?: string | null;
+  resumeToken?: string;
+}
+
+// Knock-mode rooms: neither in nor refused until a member answers
+export interface JoinPending {
+  success: false;
+  pending: true;
+}
+
+// What the server stored for a sent message
+export interface SendReceipt {
+  messageId: string;
+  seq: number;
+}
+
+export interface Admission {
+  roomId: string;
+  history: HistoryPage;
+  accessToken: string | null;
+  resumeToken: string;
+}
+
+// ===============================
+// EVENTS
+// ===============================
+export interface ClientToServerEvents {
+  'create-room': (options: RoomOptions, reply: Reply<{ roomId: string; accessToken: string | null }>) => void;
+  'check-room': (roomId: string, reply: (response: Ack<RoomAccessInfo> & { exists: boolean }) => void) => void;
+  'join-room': (
+    request: {
+      roomId: string;
+      preferredName?: string;
+      afterMessageId?: string;
+      afterSeq?: number;
+      passphrase?: string;
+      accessToken?: string;
+      resumeToken?: string;
+    },
+    reply: (response: Ack<JoinResult> | JoinPending) => void
+  ) => void;
+  'approve-join': (request: { roomId: string; requestId: string }, reply?: Reply) => void;
+  'deny-join': (request: { roomId: string; requestId: string }, reply?: Reply) => void;
+  'fetch-history': (
+    request: { roomId: string; before?: string; afterSeq?: number; limit?: number },
+    reply: Reply<HistoryPage>
+  ) => void;
+  'leave-room': (roomId: string) => void;
+  'send-message': (
+    request: { roomId: string; content: string; replyTo?: string; clientMessageId?: string },
+    // Optional on the wire; we always want the receipt
+    reply: Reply<SendReceipt & { duplicate?: boolean }>
+  ) => void;
+  'kick-user': (request: { roomId: string; userId: string }, reply?: Reply) => void;
+  'mute-user': (request: { roomId: string; userId: string; durationSec?: number }, reply?: Reply) => void;
+  'ban-user': (request: { roomId: string; userId: string }, reply?: Reply) => void;
+  'update-room-settings': (
+    request: { roomId: string; settings: Partial<RoomSettings> },
+    reply: Reply<{ settings: RoomSettings }>
+  ) => void;
+  'edit-message': (request: { roomId: string; messageId: string; content: string }, reply?: Reply) => void;
+  'delete-message': (request: { roomId: string; messageId: string }, reply?: Reply) => void;
+  'react-message': (request: { roomId: string; messageId: string; emoji: string }, reply?: Reply) => void;
+  'upload-start': (
+    request: { roomId: string; name: string; type: string; size: number },
+    reply: Reply<{ uploadId: string; chunkSize: number }>
+  ) => void;
+  'upload-chunk': (request: { uploadId: string; index: number; data: ArrayBuffer }, reply: Reply<{ received: number }>) => void;
+  'upload-complete': (request: { uploadId: string }, reply: Reply<{ attachmentId: string }>) => void;
+  'upload-cancel': (request: { uploadId: string }) => void;
+  'fetch-attachment': (
+    request: { roomId: string; attachmentId: string },
+    reply: Reply<{ name: string; type: string; data: ArrayBuffer }>
+  ) => void;
+  'typing-start': (roomId: string) => void;
+  'typing-stop': (roomId: string) => void;
+  'update-username': (request: { roomId: string; newName: string }, reply: Reply<{ name: string }>) => void;
+  'get-stats': (reply: Reply<Record<string, unknown>>) => void;
+}
+
+export interface ServerToClientEvents {
+  'identity': (identity: { id: string; name: string; roomCodeFormat?: RoomCodeFormat }) => void;
+  'room-info': (info: RoomInfo) => void;
+  'message': (message: ChatMessage) => void;
+  'message-updated': (update: { roomId: string; message: ChatMessage }) => void;
+  'message-deleted': (deletion: { roomId: string; messageId: string; deletedAt: string }) => void;
+  'message-expired': (expiry: { roomId: string; messageIds: string[] }) => void;
+  'reaction-updated': (delta: ReactionDelta & { roomId: string; count: number }) => void;
+  'user-joined': (event: UserEvent) => void;
+  'user-left': (event: UserEvent) => void;
+  'user-renamed': (event: { userId: string; oldName: string; newName: string }) => void;
+  'room-members': (roster: { roomId: string; members: RoomMember[] }) => void;
+  'user-typing': (typing: TypingUser & { roomId: string; isTyping: boolean }) => void;
+  'rate-limited': (info: { code: ErrorCode; message: string; resetIn: number }) => void;
+  'join-request': (request: { roomId: string; requestId: string; userName: string }) => void;
+  'join-request-resolved': (resolution: {
+    roomId: string;
+    requestId: string;
+    approved: boolean;
+    by?: string;
+    cancelled?: boolean;
+  }) => void;
+  'join-approved': (admission: Admission) => void;
+  'join-denied': (denial: { roomId: string }) => void;
+  'owner-changed': (change: { roomId: string; ownerId: string; ownerName: string }) => void;
+  'kicked': (removal: RemovedInfo) => void;
+  'muted': (mute: { roomId: string; until: string | null }) => void;
+  'room-closed': (closure: { roomId: string; reason: RoomClosedReason }) => void;
+  'server-shutdown': (notice: ShutdownNotice) => void;
+  'error': (error: { code: ErrorCode; message: string }) => void;
+}
+
+// ===============================
+// SCHEMA CHECKS (compile time only)
+// ===============================
+type Same<A, B> = [A] extends [B] ? ([B] extends [A] ? true : false) : false;
+type Assert<T extends true> = T;
+
+export type ClientEventsMatchSchema = Assert<Same<keyof ClientToServerEvents, keyof typeof schema.clientEvents>>;
+export type ServerEventsMatchSchema = Assert<Same<keyof ServerToClientEvents, keyof typeof schema.serverEvents>>;
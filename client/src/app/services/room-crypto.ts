@@ -0,0 +1,86 @@
+/**
+ * Room Encryption
+ *
+ * End-to-end encrypted rooms share a random secret in the invite link's
+ * URL fragment (/chat/1234#<secret>). Browsers never send the fragment
+ * to the server, so only people holding the link can read the room.
+ *
+ * - Key: HKDF-SHA-256(secret, salt = roomId) -> AES-GCM 256
+ * - Message: base64(12-byte random IV + ciphertext + 16-byte tag)
+ * - The room ID is bound in as additional data, so ciphertext can't be
+ *   replayed into another room
+ */
+
+const SECRET_BYTES = 32;
+const IV_BYTES = 12;
+const KEY_INFO = 'fourbyte-e2ee-v1';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64 = (bytes: Uint8Array): string =>
+  btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+
+const fromBase64 = (text: string): Uint8Array<ArrayBuffer> =>
+  new Uint8Array(Array.from(atob(text), char => char.charCodeAt(0)));
+
+const toBase64Url = (bytes: Uint8Array): string =>
+  toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text: string): Uint8Array<ArrayBuffer> =>
+  fromBase64(text.replace(/-/g, '+').replace(/_/g, '/'));
+
+/**
+ * Create a new room secret for an invite link's fragment
+ */
+export function generateRoomSecret(): string {
+  return toBase64Url(crypto.getRandomValues(new Uint8Array(SECRET_BYTES)));
+}
+
+/**
+ * Whether a URL fragment looks like a room secret
+ */
+export function isRoomSecret(fragment: string | null | undefined): fragment is string {
+  return !!fragment && /^[A-Za-z0-9_-]{43}$/.test(fragment);
+}
+
+/**
+ * Derive a room's message key from its secret
+ */
+export async function deriveRoomKey(secret: string, roomId: string): Promise<CryptoKey> {
+  const material = await crypto.subtle.importKey('raw', fromBase64Url(secret), 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode(roomId), info: encoder.encode(KEY_INFO) },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+export async function encryptText(key: CryptoKey, roomId: string, text: string): Promise<string> {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encoder.encode(roomId) },
+    key,
+    encoder.encode(text)
+  );
+  const payload = new Uint8Array(IV_BYTES + ciphertext.byteLength);
+  payload.set(iv);
+  payload.set(new Uint8Array(ciphertext), IV_BYTES);
+  return toBase64(payload);
+}
+
+/**
+ * Decrypt a message payload. Rejects if the key is wrong or the
+ * payload was tampered with.
+ */
+export async function decryptText(key: CryptoKey, roomId: string, payload: string): Promise<string> {
+  const bytes = fromBase64(payload);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: bytes.subarray(0, IV_BYTES), additionalData: encoder.encode(roomId) },
+    key,
+    bytes.subarray(IV_BYTES)
+  );
+  return decoder.decode(plaintext);
+}
@@ -10,26 +10,157 @@
 
 import { Injectable } from '@angular/core';
 import { io, Socket } from 'socket.io-client';
-import { Observable, Subject, BehaviorSubject } from 'rxjs';
+import { Observable, Subject, BehaviorSubject, Subscription, filter, take, from, switchMap } from 'rxjs';
 import { environment } from '../../environments/environment';
+import { encryptText, decryptText } from './room-crypto';
+import { setRoomCodeFormat } from '../room-code';
+import {
+  Ack,
+  ClientToServerEvents,
+  ErrorCode,
+  OUTDATED_CODES,
+  PROTOCOL_VERSION,
+  SendReceipt,
+  ServerToClientEvents
+} from './protocol';
+
+export type { SendReceipt } from './protocol';
 
 // ===============================
 // TYPES
 // ===============================
-export type MessageType = 'user' | 'system';
+export type MessageType = 'user' | 'system' | 'attachment';
 
 export interface ChatMessage {
   id: string;
+  // Per-room order of stored messages; system notices have none
+  seq?: number;
+  // The sender's idempotency key, echoed back so they can match it
+  clientMessageId?: string;
   type?: MessageType;
   senderId: string;
   senderName: string;
   content: string;
   timestamp: Date;
+  editedAt?: Date;
+  // Set in rooms with a message lifetime; the server removes it then
+  expiresAt?: Date;
+  // Tombstone: the author deleted this message
+  deleted?: boolean;
+  // emoji -> ids of users who reacted with it
+  reactions?: Record<string, string[]>;
+  // Snapshot of the message this one replies to
+  replyTo?: ReplySnapshot;
+  // File shared in an 'attachment' message
+  attachment?: Attachment;
+  // Sent in an end-to-end encrypted room; content is decrypted on arrival
+  encrypted?: boolean;
+  // Encrypted, but we have no key that opens it
+  undecryptable?: boolean;
+}
+
+export interface Attachment {
+  id: string;
+  name: string;
+  type: string;
+  size: number;
+}
+
+export interface ReplySnapshot {
+  id: string;
+  senderName: string;
+  excerpt: string;
+  // The quoted message has disappeared; excerpt is empty
+  expired?: boolean;
 }
 
+export interface ReactionDelta {
+  messageId: string;
+  emoji: string;
+  userId: string;
+  added: boolean;
+}
+
+export type MessageChange =
+  | { type: 'updated'; message: ChatMessage }
+  | { type: 'deleted'; messageId: string }
+  | { type: 'expired'; messageIds: string[] }
+  | ({ type: 'reaction' } & ReactionDelta);
+
 export interface RoomInfo {
   roomId: string;
   userCount: number;
+  ownerId?: string | null;
+  encrypted?: boolean;
+  // Messages disappear this long after they're sent; null keeps them
+  messageLifetimeSec?: number | null;
+  settings?: RoomSettings;
+}
+
+// Set by the room's owner; see updateRoomSettings
+export interface RoomSettings {
+  topic: string;
+  // Below the server's own cap; null for the server's
+  maxUsers: number | null;
+  // Seconds between one member's messages; 0 for off
+  slowModeSec: number;
+  // Only the owner can post
+  announcementOnly: boolean;
+}
+
+// Message filter rules a room creator can turn on (server/src/messageFilter.js)
+export type MessageFilterRule = 'words' | 'caps' | 'links' | 'flood' | 'zalgo';
+
+export interface RoomOptions {
+  passphrase?: string;
+  requireApproval?: boolean;
+  encrypted?: boolean;
+  filters?: MessageFilterRule[];
+  // Seconds until messages disappear; 0 or absent keeps them
+  messageLifetimeSec?: number;
+  settings?: Partial<RoomSettings>;
+}
+
+/**
+ * Why the server refused a message, e.g. LINK_NOT_ALLOWED from the
+ * message filter; code is missing when it never reached the server
+ * or no answer came back
+ */
+export interface SendError {
+  error: string;
+  code?: ErrorCode;
+}
+
+export interface RoomAccessInfo {
+  exists: boolean;
+  requiresPassphrase?: boolean;
+  requiresApproval?: boolean;
+  encrypted?: boolean;
+  error?: string;
+}
+
+export interface JoinRequest {
+  roomId: string;
+  requestId: string;
+  userName: string;
+}
+
+interface JoinDecision {
+  roomId: string;
+  approved: boolean;
+  history?: HistoryPage;
+  accessToken?: string | null;
+  resumeToken?: string;
+}
+
+export interface HistoryPage {
+  messages: ChatMessage[];
+  hasMore: boolean;
+  // The room's newest sequence number when the page was read
+  latestSeq: number;
+  // afterMessageId was no longer in history: this is the latest page
+  // and anything between it and the cursor is lost
+  cursorExpired?: boolean;
 }
 
 export interface UserEvent {
@@ -38,19 +169,83 @@ export interface UserEvent {
   userCount: number;
 }
 
+export interface RoomMember {
+  id: string;
+  name: string;
+  isOwner: boolean;
+}
+
+export interface TypingUser {
+  userId: string;
+  userName: string;
+}
+
+// Why a room was shut down: by an admin, or by the server's age or idle limit
+export type RoomClosedReason = 'admin' | 'expired' | 'idle';
+
+export interface RemovedInfo {
+  roomId: string;
+  // 'closed': the room was shut down for everyone
+  reason: 'kicked' | 'banned' | 'closed';
+  closedFor?: RoomClosedReason;
+}
+
+// Sent before the server restarts; it disconnects us shortly after
+export interface ShutdownNotice {
+  reconnectAfterMs: number;
+}
+
 interface RateLimitInfo {
+  code: ErrorCode;
   message: string;
   resetIn: number;
 }
 
+type JoinRequestPayload = Parameters<ClientToServerEvents['join-room']>[0];
+
 // ===============================
 // SESSION STORAGE KEYS
 // ===============================
 const SESSION_KEYS = {
   USERNAME: 'fourbyte_username',
-  LAST_ROOM: 'fourbyte_last_room'
+  LAST_ROOM: 'fourbyte_last_room',
+  // roomId -> access token for private rooms we've been admitted to
+  ACCESS_TOKENS: 'fourbyte_access_tokens',
+  // roomId -> resume token, to take our place back after a reconnect
+  RESUME_TOKENS: 'fourbyte_resume_tokens'
 } as const;
 
+// ===============================
+// TYPING INDICATORS
+// ===============================
+// Re-send typing-start at most this often while the user types;
+// the server expires typing state after ~5s without one
+const TYPING_THROTTLE_MS = 2000;
+// Send typing-stop after this long without a keystroke
+const TYPING_IDLE_MS = 3000;
+
+// Reply quotes in encrypted rooms arrive whole and are shortened here
+const REPLY_EXCERPT_LENGTH = 120;
+
+// ===============================
+// DELIVERY
+// ===============================
+// A send without an answer by then is reported as failed; retrying
+// with the same clientMessageId can't post it twice
+const SEND_TIMEOUT_MS = 10000;
+// Messages can overtake each other; wait this long for a missing
+// sequence number before asking the server for it
+const GAP_FILL_DELAY_MS = 1000;
+
+/**
+ * Idempotency key for send-message. getRandomValues, unlike
+ * randomUUID, also works outside secure contexts.
+ */
+export function createClientMessageId(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(12));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
 // ===============================
 // SERVER URL RESOLUTION (CORE FIX)
 // ===============================
@@ -83,7 +278,7 @@ const resolveServerUrl = (): string => {
   providedIn: 'root',
 })
 export class SocketService {
-  private socket: Socket | null = null;
+  private socket: Socket<ServerToClientEvents, ClientToServerEvents> | null = null;
   private readonly SERVER_URL = resolveServerUrl();
 
   // ===============================
@@ -91,11 +286,29 @@ export class SocketService {
   // ===============================
   private pendingRoomId: string | null = null;
   private isReconnecting = false;
+  // Sequence numbers: we hold every message up to lastSeq; seqsAhead
+  // arrived early, past a gap. lastSeq also resumes history on reconnect
+  private lastSeq = 0;
+  private seqsAhead = new Set<number>();
+  private gapFillTimeout: ReturnType<typeof setTimeout> | null = null;
+  // Passphrases entered for private rooms, held in memory until admitted
+  private roomPassphrases = new Map<string, string>();
+  // Our own typing state
+  private lastTypingSentAt = 0;
+  private typingIdleTimeout: ReturnType<typeof setTimeout> | null = null;
+  // Reconnect scheduled after a server-shutdown notice
+  private maintenanceReconnect: ReturnType<typeof setTimeout> | null = null;
+  // Key for the encrypted room we're in, derived from the invite link
+  private roomKey: { roomId: string; key: CryptoKey } | null = null;
+  // Decryption is async; these chains keep messages in order
+  private inbound: Promise<void> = Promise.resolve();
+  private outbound: Promise<void> = Promise.resolve();
 
   // ===============================
   // RXJS STREAMS
   // ===============================
   private messagesSubject = new Subject<ChatMessage>();
+  private messageChangesSubject = new Subject<MessageChange>();
   private roomInfoSubject = new BehaviorSubject<RoomInfo | null>(null);
   private userIdSubject = new BehaviorSubject<string | null>(null);
   private userNameSubject = new BehaviorSubject<string | null>(null);
@@ -105,15 +318,34 @@ export class SocketService {
     type: 'joined' | 'left' | 'renamed';
     event: UserEvent;
   }>();
+  private joinPendingSubject = new BehaviorSubject<boolean>(false);
+  private joinRequestsSubject = new BehaviorSubject<JoinRequest[]>([]);
+  private joinDecisionSubject = new Subject<JoinDecision>();
+  private removedSubject = new Subject<RemovedInfo>();
+  private mutedUntilSubject = new BehaviorSubject<Date | null>(null);
+  private membersSubject = new BehaviorSubject<RoomMember[]>([]);
+  private typingUsersSubject = new BehaviorSubject<TypingUser[]>([]);
+  private maintenanceSubject = new BehaviorSubject<ShutdownNotice | null>(null);
+  // Set when the server refuses this build; the text says what to do
+  private outdatedSubject = new BehaviorSubject<string | null>(null);
 
   // Public observables
   public messages$ = this.messagesSubject.asObservable();
+  public messageChanges$ = this.messageChangesSubject.asObservable();
   public roomInfo$ = this.roomInfoSubject.asObservable();
   public userId$ = this.userIdSubject.asObservable();
   public userName$ = this.userNameSubject.asObservable();
   public connected$ = this.connectionSubject.asObservable();
   public rateLimit$ = this.rateLimitSubject.asObservable();
   public userEvents$ = this.userEventSubject.asObservable();
+  public joinPending$ = this.joinPendingSubject.asObservable();
+  public joinRequests$ = this.joinRequestsSubject.asObservable();
+  public removed$ = this.removedSubject.asObservable();
+  public mutedUntil$ = this.mutedUntilSubject.asObservable();
+  public members$ = this.membersSubject.asObservable();
+  public typingUsers$ = this.typingUsersSubject.asObservable();
+  public maintenance$ = this.maintenanceSubject.asObservable();
+  public outdated$ = this.outdatedSubject.asObservable();
 
   // ===============================
   // SESSION HELPERS
@@ -140,6 +372,39 @@ export class SocketService {
     } catch {}
   }
 
+  private getStoredTokens(key: string): Record<string, string> {
+    try {
+      return JSON.parse(sessionStorage.getItem(key) || '{}');
+    } catch {
+      return {};
+    }
+  }
+
+  private storeToken(key: string, roomId: string, token: string | null | undefined): void {
+    if (!token) return;
+    try {
+      const tokens = this.getStoredTokens(key);
+      tokens[roomId] = token;
+      sessionStorage.setItem(key, JSON.stringify(tokens));
+    } catch {}
+  }
+
+  private getAccessToken(roomId: string): string | null {
+    return this.getStoredTokens(SESSION_KEYS.ACCESS_TOKENS)[roomId] ?? null;
+  }
+
+  private storeAccessToken(roomId: string, token: string | null | undefined): void {
+    this.storeToken(SESSION_KEYS.ACCESS_TOKENS, roomId, token);
+  }
+
+  private getResumeToken(roomId: string): string | null {
+    return this.getStoredTokens(SESSION_KEYS.RESUME_TOKENS)[roomId] ?? null;
+  }
+
+  private storeResumeToken(roomId: string, token: string | null | undefined): void {
+    this.storeToken(SESSION_KEYS.RESUME_TOKENS, roomId, token);
+  }
+
   // ===============================
   // CONNECTION
   // ===============================
@@ -156,10 +421,20 @@ export class SocketService {
       upgrade: true,
       rememberUpgrade: true,
       path: '/socket.io/',
+      auth: { protocol: PROTOCOL_VERSION },
+    });
+
+    // Refused at the handshake: retrying with this build won't help
+    this.socket.on('connect_error', (err: Error & { data?: { code?: ErrorCode } }) => {
+      const code = err.data?.code;
+      if (code && OUTDATED_CODES.has(code)) {
+        this.outdatedSubject.next(err.message);
+      }
     });
 
     this.socket.on('connect', () => {
       this.connectionSubject.next(true);
+      this.maintenanceSubject.next(null);
 
       if (this.isReconnecting && this.pendingRoomId) {
         this.rejoinRoom(this.pendingRoomId);
@@ -167,22 +442,57 @@ export class SocketService {
       this.isReconnecting = false;
     });
 
-    this.socket.on('disconnect', () => {
+    this.socket.on('disconnect', reason => {
       this.connectionSubject.next(false);
+      this.typingUsersSubject.next([]);
+      this.clearTypingState();
+      // The rejoin catches up on everything we missed
+      this.clearGapFill();
       const room = this.roomInfoSubject.getValue();
       if (room) {
         this.pendingRoomId = room.roomId;
         this.isReconnecting = true;
       }
+      // The client doesn't retry after a server-side disconnect by itself
+      const notice = this.maintenanceSubject.getValue();
+      if (reason === 'io server disconnect' && notice) {
+        this.scheduleMaintenanceReconnect(notice);
+      }
     });
 
-    this.socket.on('identity', (data: { id: string; name: string }) => {
+    // The server is restarting: say so, then reconnect once it's back
+    this.socket.on('server-shutdown', notice =>
+      this.maintenanceSubject.next(notice)
+    );
+
+    this.socket.on('identity', data => {
+      if (data.roomCodeFormat) {
+        setRoomCodeFormat(data.roomCodeFormat);
+      }
       this.userIdSubject.next(data.id);
       this.userNameSubject.next(data.name);
       this.storeUserName(data.name);
     });
 
-    this.socket.on('message', msg => this.messagesSubject.next(msg));
+    this.socket.on('message', msg => this.receive(msg, message => this.emitMessage(message)));
+    this.socket.on('message-updated', data =>
+      this.receive(data.message, message => this.messageChangesSubject.next({ type: 'updated', message }))
+    );
+    this.socket.on('message-deleted', data =>
+      this.messageChangesSubject.next({ type: 'deleted', messageId: data.messageId })
+    );
+    this.socket.on('message-expired', data =>
+      this.messageChangesSubject.next({ type: 'expired', messageIds: data.messageIds })
+    );
+    this.socket.on('reaction-updated', data =>
+      this.messageChangesSubject.next({
+        type: 'reaction',
+        messageId: data.messageId,
+        emoji: data.emoji,
+        userId: data.userId,
+        added: data.added
+      })
+    );
     this.socket.on('room-info', info => {
       this.roomInfoSubject.next(info);
       this.storeLastRoom(info.roomId);
@@ -191,57 +501,619 @@ export class SocketService {
     this.socket.on('rate-limited', info =>
       this.rateLimitSubject.next(info)
     );
+
+    // Knock-mode rooms: requests we can answer as a member
+    this.socket.on('join-request', request => {
+      const pending = this.joinRequestsSubject.getValue();
+      if (!pending.some(r => r.requestId === request.requestId)) {
+        this.joinRequestsSubject.next([...pending, request]);
+      }
+    });
+
+    this.socket.on('join-request-resolved', data => {
+      this.joinRequestsSubject.next(
+        this.joinRequestsSubject.getValue().filter(r => r.requestId !== data.requestId)
+      );
+    });
+
+    // Knock-mode rooms: the answer to our own request
+    this.socket.on('join-approved', data =>
+      this.joinDecisionSubject.next({ ...data, approved: true })
+    );
+    this.socket.on('join-denied', data =>
+      this.joinDecisionSubject.next({ roomId: data.roomId, approved: false })
+    );
+
+    // Presence
+    this.socket.on('room-members', data => {
+      this.membersSubject.next(data.members);
+      // Anyone who left can't still be typing
+      const ids = new Set(data.members.map(m => m.id));
+      this.typingUsersSubject.next(
+        this.typingUsersSubject.getValue().filter(t => ids.has(t.userId))
+      );
+    });
+
+    this.socket.on('user-typing', data => {
+      const others = this.typingUsersSubject
+        .getValue()
+        .filter(t => t.userId !== data.userId);
+      this.typingUsersSubject.next(
+        data.isTyping ? [...others, { userId: data.userId, userName: data.userName }] : others
+      );
+    });
+
+    // Moderation
+    this.socket.on('owner-changed', data => {
+      const room = this.roomInfoSubject.getValue();
+      if (room?.roomId === data.roomId) {
+        this.roomInfoSubject.next({ ...room, ownerId: data.ownerId });
+      }
+    });
+
+    this.socket.on('kicked', data => this.handleRemoved(data));
+    this.socket.on('room-closed', data =>
+      this.handleRemoved({ roomId: data.roomId, reason: 'closed', closedFor: data.reason })
+    );
+
+    this.socket.on('muted', data =>
+      this.mutedUntilSubject.next(data.until ? new Date(data.until) : null)
+    );
+  }
+
+  /**
+   * Reconnect after a restart, spread out so clients don't all arrive
+   * at once. Failed attempts back off through the client's usual
+   * reconnection settings.
+   */
+  private scheduleMaintenanceReconnect(notice: ShutdownNotice): void {
+    this.clearMaintenanceReconnect();
+    const delay = notice.reconnectAfterMs * (1 + Math.random());
+    this.maintenanceReconnect = setTimeout(() => {
+      this.maintenanceReconnect = null;
+      this.socket?.connect();
+    }, delay);
+  }
+
+  private clearMaintenanceReconnect(): void {
+    if (this.maintenanceReconnect) {
+      clearTimeout(this.maintenanceReconnect);
+      this.maintenanceReconnect = null;
+    }
   }
 
   disconnect(): void {
+    this.clearMaintenanceReconnect();
+    this.maintenanceSubject.next(null);
     this.socket?.disconnect();
     this.socket = null;
     this.roomInfoSubject.next(null);
     this.pendingRoomId = null;
     this.isReconnecting = false;
+    this.resetRoomState();
+    this.storeLastRoom(null);
+  }
+
+  private resetRoomState(): void {
+    this.joinPendingSubject.next(false);
+    this.joinRequestsSubject.next([]);
+    this.mutedUntilSubject.next(null);
+    this.membersSubject.next([]);
+    this.typingUsersSubject.next([]);
+    this.clearTypingState();
+    this.resetSequence(0);
+    this.roomKey = null;
+  }
+
+  private handleRemoved(removed: RemovedInfo): void {
+    // Don't rejoin a room we were removed from
+    this.roomInfoSubject.next(null);
+    this.pendingRoomId = null;
+    this.resetRoomState();
     this.storeLastRoom(null);
+    this.removedSubject.next(removed);
+  }
+
+  private emitMessage(message: ChatMessage): void {
+    this.trackSeq(message.seq);
+    this.messagesSubject.next(message);
+  }
+
+  // ===============================
+  // SEQUENCE NUMBERS
+  // ===============================
+
+  /**
+   * Start counting from the room's latest sequence number, e.g. after
+   * loading its latest page
+   */
+  private resetSequence(latestSeq: number): void {
+    this.lastSeq = latestSeq;
+    this.seqsAhead.clear();
+    this.clearGapFill();
+  }
+
+  /**
+   * Note a received sequence number; one that skips ahead starts the
+   * wait for whatever is missing
+   */
+  private trackSeq(seq: number | undefined): void {
+    if (seq === undefined || seq <= this.lastSeq) {
+      return;
+    }
+    this.seqsAhead.add(seq);
+    this.advanceSeq();
+  }
+
+  /**
+   * We've been sent everything up to latestSeq that the server still
+   * holds (a history page); stop waiting for any of it
+   */
+  private catchUp(latestSeq: number): void {
+    this.lastSeq = Math.max(this.lastSeq, latestSeq);
+    this.advanceSeq();
+  }
+
+  private advanceSeq(): void {
+    for (const seq of this.seqsAhead) {
+      if (seq <= this.lastSeq) {
+        this.seqsAhead.delete(seq);
+      }
+    }
+    while (this.seqsAhead.delete(this.lastSeq + 1)) {
+      this.lastSeq++;
+    }
+
+    if (this.seqsAhead.size === 0) {
+      this.clearGapFill();
+    } else if (!this.gapFillTimeout) {
+      this.gapFillTimeout = setTimeout(() => {
+        this.gapFillTimeout = null;
+        this.fillGap();
+      }, GAP_FILL_DELAY_MS);
+    }
+  }
+
+  /**
+   * Fetch everything after the last sequence number we hold; the
+   * messages list dedupes whatever we already have
+   */
+  private fillGap(): void {
+    const room = this.roomInfoSubject.getValue();
+    if (!room || !this.socket?.connected || this.seqsAhead.size === 0) {
+      return;
+    }
+    this.socket.emit('fetch-history', { roomId: room.roomId, afterSeq: this.lastSeq }, res => {
+      if (!res.success || this.roomInfoSubject.getValue()?.roomId !== room.roomId) {
+        return;
+      }
+      res.messages.forEach(msg => this.receive(msg, message => this.emitMessage(message)));
+      this.catchUp(res.latestSeq);
+    });
+  }
+
+  private clearGapFill(): void {
+    if (this.gapFillTimeout) {
+      clearTimeout(this.gapFillTimeout);
+      this.gapFillTimeout = null;
+    }
+  }
+
+  // ===============================
+  // END-TO-END ENCRYPTION
+  // ===============================
+
+  /**
+   * Use this key for an encrypted room. Set it before joining so
+   * history can be decrypted.
+   */
+  setRoomKey(roomId: string, key: CryptoKey): void {
+    this.roomKey = { roomId, key };
+  }
+
+  hasRoomKey(roomId: string): boolean {
+    return this.roomKey?.roomId === roomId;
+  }
+
+  /**
+   * Decrypt an incoming message, then hand it on in arrival order
+   */
+  private receive(message: ChatMessage, deliver: (message: ChatMessage) => void): void {
+    this.inbound = this.inbound.then(async () => deliver(await this.openMessage(message)));
+  }
+
+  private async openPage(page: HistoryPage): Promise<HistoryPage> {
+    return { ...page, messages: await Promise.all(page.messages.map(m => this.openMessage(m))) };
+  }
+
+  private async openMessage(message: ChatMessage): Promise<ChatMessage> {
+    if (!message.encrypted || message.deleted) {
+      return message;
+    }
+    const room = this.roomKey;
+    if (!room) {
+      return { ...message, content: '', undecryptable: true };
+    }
+
+    try {
+      const opened: ChatMessage = {
+        ...message,
+        content: await decryptText(room.key, room.roomId, message.content)
+      };
+      if (message.replyTo && !message.replyTo.expired) {
+        const quoted = (await decryptText(room.key, room.roomId, message.replyTo.excerpt))
+          .replace(/\s+/g, ' ')
+          .trim();
+        const chars = Array.from(quoted);
+        opened.replyTo = {
+          ...message.replyTo,
+          excerpt: chars.length > REPLY_EXCERPT_LENGTH
+            ? chars.slice(0, REPLY_EXCERPT_LENGTH).join('').trimEnd() + '…'
+            : quoted
+        };
+      }
+      return opened;
+    } catch {
+      return { ...message, content: '', replyTo: undefined, undecryptable: true };
+    }
+  }
+
+  /**
+   * Encrypt outgoing content if the room needs it
+   */
+  private async sealContent(roomId: string, content: string): Promise<string> {
+    const room = this.roomInfoSubject.getValue();
+    if (room?.roomId !== roomId || !room.encrypted) {
+      return content;
+    }
+    if (this.roomKey?.roomId !== roomId) {
+      throw new Error('Missing the key for this encrypted room');
+    }
+    return encryptText(this.roomKey.key, roomId, content);
   }
 
   // ===============================
   // ROOM & MESSAGE APIs
   // ===============================
-  createRoom(): Observable<string> {
+  createRoom(options: RoomOptions = {}): Observable<string> {
     return new Observable(observer => {
-      this.socket?.emit('create-room', (res: any) =>
-        res.success ? observer.next(res.roomId) : observer.error(res.error)
-      );
+      this.socket?.emit('create-room', options, res => {
+        if (!res.success) {
+          observer.error(res.error);
+          return;
+        }
+        // Lets the creator into their own private room
+        this.storeAccessToken(res.roomId, res.accessToken);
+        observer.next(res.roomId);
+      });
     });
   }
 
-  joinRoom(roomId: string): Observable<boolean> {
+  /**
+   * Remember the passphrase to use when joining a private room
+   */
+  setRoomPassphrase(roomId: string, passphrase: string): void {
+    this.roomPassphrases.set(roomId, passphrase);
+  }
+
+  private buildJoinPayload(roomId: string): JoinRequestPayload {
+    const payload: JoinRequestPayload = { roomId };
+    const preferredName = this.getStoredUserName();
+    const passphrase = this.roomPassphrases.get(roomId);
+    const accessToken = this.getAccessToken(roomId);
+    const resumeToken = this.getResumeToken(roomId);
+    if (preferredName) payload.preferredName = preferredName;
+    if (passphrase) payload.passphrase = passphrase;
+    if (accessToken) payload.accessToken = accessToken;
+    if (resumeToken) payload.resumeToken = resumeToken;
+    return payload;
+  }
+
+  /**
+   * Join a room. Emits the most recent page of room history.
+   *
+   * In knock-mode rooms the server holds the request until a member
+   * approves it; joinPending$ is true while we wait.
+   */
+  joinRoom(roomId: string): Observable<HistoryPage> {
     return new Observable(observer => {
-      const preferredName = this.getStoredUserName();
-      this.socket?.emit(
-        'join-room',
-        preferredName ? { roomId, preferredName } : roomId,
-        (res: any) =>
-          res.success ? observer.next(true) : observer.error(res.error)
-      );
+      this.resetSequence(0);
+      let decision: Subscription | null = null;
+
+      const admitted = (history: HistoryPage | undefined, accessToken?: string | null, resumeToken?: string) => {
+        this.joinPendingSubject.next(false);
+        this.roomPassphrases.delete(roomId);
+        this.storeAccessToken(roomId, accessToken);
+        this.storeResumeToken(roomId, resumeToken);
+        const page = history ?? { messages: [], hasMore: false, latestSeq: 0 };
+        this.resetSequence(page.latestSeq);
+        this.openPage(page).then(opened => {
+          observer.next(opened);
+          observer.complete();
+        });
+      };
+
+      this.socket?.emit('join-room', this.buildJoinPayload(roomId), res => {
+        if (res.success) {
+          admitted(res.history, res.accessToken, res.resumeToken);
+          return;
+        }
+        if (!('pending' in res)) {
+          observer.error(res.error);
+          return;
+        }
+
+        this.joinPendingSubject.next(true);
+        decision = this.joinDecisionSubject
+          .pipe(filter(d => d.roomId === roomId), take(1))
+          .subscribe(d => {
+            if (d.approved) {
+              admitted(d.history, d.accessToken, d.resumeToken);
+            } else {
+              this.joinPendingSubject.next(false);
+              observer.error('Your request to join was declined');
+            }
+          });
+      });
+
+      return () => decision?.unsubscribe();
     });
   }
 
+  /**
+   * Rejoin after a reconnect, asking only for messages after the last
+   * sequence number we hold. Missed messages are replayed through
+   * messages$. The resume token lets the server give us back the same
+   * identity.
+   */
   private rejoinRoom(roomId: string): void {
-    const preferredName = this.getStoredUserName();
+    const payload = this.buildJoinPayload(roomId);
+    payload.afterSeq = this.lastSeq;
     this.socket?.emit(
       'join-room',
-      preferredName ? { roomId, preferredName } : roomId
+      payload,
+      res => {
+        if (!res.success) {
+          return;
+        }
+        this.storeResumeToken(roomId, res.resumeToken);
+        if (res.history) {
+          res.history.messages.forEach(msg =>
+            this.receive(msg, message => this.emitMessage(message))
+          );
+          this.catchUp(res.history.latestSeq);
+        }
+      }
     );
   }
 
+  /**
+   * Fetch the page of history preceding a given message
+   */
+  fetchHistory(roomId: string, before: string): Observable<HistoryPage> {
+    return new Observable(observer => {
+      this.socket?.emit('fetch-history', { roomId, before }, res => {
+        if (!res.success) {
+          observer.error(res.error);
+          return;
+        }
+        this.openPage({ messages: res.messages, hasMore: res.hasMore, latestSeq: res.latestSeq }).then(page => {
+          observer.next(page);
+          observer.complete();
+        });
+      });
+    });
+  }
+
   leaveRoom(roomId: string): void {
     this.socket?.emit('leave-room', roomId);
     this.roomInfoSubject.next(null);
     this.pendingRoomId = null;
+    this.resetRoomState();
     this.storeLastRoom(null);
   }
 
-  sendMessage(roomId: string, content: string): void {
-    this.socket?.emit('send-message', { roomId, content });
+  /**
+   * Answer a knock; errors if the request is gone or the knocker left
+   */
+  approveJoin(roomId: string, requestId: string): Observable<void> {
+    return this.request(reply =>
+      this.socket?.emit('approve-join', { roomId, requestId }, this.settleJoinRequest(requestId, reply)));
+  }
+
+  denyJoin(roomId: string, requestId: string): Observable<void> {
+    return this.request(reply =>
+      this.socket?.emit('deny-join', { roomId, requestId }, this.settleJoinRequest(requestId, reply)));
+  }
+
+  // ===============================
+  // MODERATION (room owner only)
+  // ===============================
+  kickUser(roomId: string, userId: string): Observable<void> {
+    return this.request(reply => this.socket?.emit('kick-user', { roomId, userId }, reply));
+  }
+
+  /**
+   * Mute a user. Omit durationSec for the server default; 0 unmutes.
+   */
+  muteUser(roomId: string, userId: string, durationSec?: number): Observable<void> {
+    return this.request(reply => this.socket?.emit('mute-user', { roomId, userId, durationSec }, reply));
+  }
+
+  banUser(roomId: string, userId: string): Observable<void> {
+    return this.request(reply => this.socket?.emit('ban-user', { roomId, userId }, reply));
+  }
+
+  /**
+   * Change some of the room's settings; everyone gets the result in room-info
+   */
+  updateRoomSettings(roomId: string, settings: Partial<RoomSettings>): Observable<void> {
+    return this.request(reply => this.socket?.emit('update-room-settings', { roomId, settings }, reply));
+  }
+
+  /**
+   * Send a message; emits what the server stored, or errors with a
+   * SendError if it refuses or doesn't answer in time. Sending again
+   * with the same clientMessageId is safe: it is posted at most once.
+   */
+  sendMessage(
+    roomId: string,
+    content: string,
+    { clientMessageId, replyTo }: { clientMessageId: string; replyTo?: string }
+  ): Observable<SendReceipt> {
+    const sent = new Promise<SendReceipt>((resolve, reject) => {
+      this.outbound = this.outbound
+        .then(() => this.sealContent(roomId, content))
+        .then(sealed => {
+          // Sends made while offline would be buffered and arrive before
+          // the rejoin; fail now and let the user retry instead
+          if (!this.socket?.connected) {
+            reject({ error: 'Not connected' } as SendError);
+            return;
+          }
+          const payload = replyTo
+            ? { roomId, content: sealed, replyTo, clientMessageId }
+            : { roomId, content: sealed, clientMessageId };
+          this.socket.timeout(SEND_TIMEOUT_MS).emit('send-message', payload, (err, res) => {
+            if (err) {
+              reject({ error: 'No response from the server' } as SendError);
+            } else if (res.success) {
+              resolve({ messageId: res.messageId, seq: res.seq });
+            } else {
+              reject({ error: res.error, code: res.code } as SendError);
+            }
+          });
+        })
+        .catch(() => {
+          // Only possible without a room key, which the UI prevents
+          reject({ error: 'Failed to send message' } as SendError);
+        });
+    });
+    // The server clears our typing state when the message lands
+    this.clearTypingState();
+    return from(sent);
+  }
+
+  editMessage(roomId: string, messageId: string, content: string): Observable<void> {
+    return from(this.sealContent(roomId, content)).pipe(
+      switchMap(sealed =>
+        this.request(reply => this.socket?.emit('edit-message', { roomId, messageId, content: sealed }, reply))
+      )
+    );
+  }
+
+  deleteMessage(roomId: string, messageId: string): Observable<void> {
+    return this.request(reply => this.socket?.emit('delete-message', { roomId, messageId }, reply));
+  }
+
+  /**
+   * Add our reaction, or remove it if we already reacted with this emoji
+   */
+  toggleReaction(roomId: string, messageId: string, emoji: string): Observable<void> {
+    return this.request(reply => this.socket?.emit('react-message', { roomId, messageId, emoji }, reply));
+  }
+
+  // ===============================
+  // FILE SHARING
+  // ===============================
+
+  /**
+   * Upload a file in chunks. Emits progress from 0 to 1 and completes
+   * once the server has posted the attachment message.
+   */
+  uploadFile(roomId: string, file: File): Observable<number> {
+    return new Observable(observer => {
+      let uploadId: string | null = null;
+      let cancelled = false;
+
+      // Resolves with the acknowledgement, rejects with its error text
+      const settle = <T>(send: (reply: (res: Ack<T>) => void) => void): Promise<T> =>
+        new Promise((resolve, reject) => {
+          if (!this.socket) {
+            reject('Not connected');
+            return;
+          }
+          send(res => (res.success ? resolve(res) : reject(res.error)));
+        });
+
+      (async () => {
+        const start = await settle<{ uploadId: string; chunkSize: number }>(reply =>
+          this.socket?.emit('upload-start', { roomId, name: file.name, type: file.type, size: file.size }, reply)
+        );
+        const id = start.uploadId;
+        uploadId = id;
+
+        for (let offset = 0, index = 0; offset < file.size; offset += start.chunkSize, index++) {
+          if (cancelled) return;
+          const data = await file.slice(offset, offset + start.chunkSize).arrayBuffer();
+          await settle<{ received: number }>(reply =>
+            this.socket?.emit('upload-chunk', { uploadId: id, index, data }, reply)
+          );
+          observer.next(Math.min(offset + start.chunkSize, file.size) / file.size);
+        }
+
+        await settle<{ attachmentId: string }>(reply => this.socket?.emit('upload-complete', { uploadId: id }, reply));
+        uploadId = null;
+        observer.complete();
+      })().catch(err => {
+        uploadId = null;
+        observer.error(typeof err === 'string' ? err : 'Upload failed');
+      });
+
+      return () => {
+        cancelled = true;
+        if (uploadId) {
+          this.socket?.emit('upload-cancel', { uploadId });
+        }
+      };
+    });
+  }
+
+  /**
+   * Download an attachment's bytes
+   */
+  fetchAttachment(roomId: string, attachmentId: string): Observable<Blob> {
+    return new Observable(observer => {
+      this.socket?.emit('fetch-attachment', { roomId, attachmentId }, res => {
+        if (!res.success) {
+          observer.error(res.error);
+          return;
+        }
+        observer.next(new Blob([res.data], { type: res.type }));
+        observer.complete();
+      });
+    });
+  }
+
+  /**
+   * Call on every keystroke. Sends typing-start at most every
+   * TYPING_THROTTLE_MS and typing-stop once the user goes idle.
+   */
+  notifyTyping(roomId: string): void {
+    const now = Date.now();
+    if (now - this.lastTypingSentAt >= TYPING_THROTTLE_MS) {
+      this.lastTypingSentAt = now;
+      this.socket?.emit('typing-start', roomId);
+    }
+
+    if (this.typingIdleTimeout) {
+      clearTimeout(this.typingIdleTimeout);
+    }
+    this.typingIdleTimeout = setTimeout(() => this.stopTyping(roomId), TYPING_IDLE_MS);
+  }
+
+  stopTyping(roomId: string): void {
+    if (!this.lastTypingSentAt) return;
+    this.clearTypingState();
+    this.socket?.emit('typing-stop', roomId);
+  }
+
+  private clearTypingState(): void {
+    this.lastTypingSentAt = 0;
+    if (this.typingIdleTimeout) {
+      clearTimeout(this.typingIdleTimeout);
+      this.typingIdleTimeout = null;
+    }
   }
 
   updateUserName(roomId: string, newName: string): Observable<string> {
@@ -249,7 +1121,7 @@ export class SocketService {
       this.socket?.emit(
         'update-username',
         { roomId, newName },
-        (res: any) =>
+        res =>
           res.success
             ? (this.storeUserName(res.name), observer.next(res.name))
             : observer.error(res.error)
@@ -257,10 +1129,41 @@ export class SocketService {
     });
   }
 
-  checkRoom(roomId: string): Observable<boolean> {
+  checkRoom(roomId: string): Observable<RoomAccessInfo> {
+    return new Observable(observer => {
+      this.socket?.emit('check-room', roomId, res => {
+        observer.next(res.success ? res : { exists: false, error: res.error });
+        observer.complete();
+      });
+    });
+  }
+
+  /**
+   * Send a request whose ack carries no data; errors with the server's text
+   */
+  /**
+   * Drop a join request someone else answered (or that was withdrawn)
+   * before we did, then pass the reply on
+   */
+  private settleJoinRequest(requestId: string, reply: (res: Ack) => void): (res: Ack) => void {
+    return res => {
+      if (!res.success && res.code === 'JOIN_REQUEST_NOT_FOUND') {
+        this.joinRequestsSubject.next(
+          this.joinRequestsSubject.getValue().filter(r => r.requestId !== requestId)
+        );
+      }
+      reply(res);
+    };
+  }
+
+  private request(send: (reply: (res: Ack) => void) => void): Observable<void> {
     return new Observable(observer => {
-      this.socket?.emit('check-room', roomId, (res: any) => {
-        observer.next(res.exists);
+      send(res => {
+        if (!res.success) {
+          observer.error(res.error);
+          return;
+        }
+        observer.next();
         observer.complete();
       });
     });
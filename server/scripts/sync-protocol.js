@@ -0,0 +1,22 @@
+/**
+ * Copy the shared protocol schema into this package
+ *
+ * shared/protocol.json is the source of truth. The server keeps a
+ * committed copy in src/ so it runs from its own directory: a deploy
+ * whose root is server/ never sees shared/. Runs before start, dev and
+ * test; without shared/ the committed copy is used as is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const source = path.join(__dirname, '..', '..', 'shared', 'protocol.json');
+const target = path.join(__dirname, '..', 'src', 'protocol.json');
+
+if (fs.existsSync(source)) {
+  const schema = fs.readFileSync(source);
+  if (!fs.existsSync(target) || !schema.equals(fs.readFileSync(target))) {
+    fs.writeFileSync(target, schema);
+    console.log(`Copied ${path.relative(process.cwd(), source)} -> ${path.relative(process.cwd(), target)}`);
+  }
+}
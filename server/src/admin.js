@@ -0,0 +1,163 @@
+/**
+ * Admin HTTP API
+ *
+ * ARCHITECTURE DECISIONS:
+ *
+ * 1. OFF BY DEFAULT
+ *    - Mounted at /admin only does anything when ADMIN_TOKEN is set
+ *      (and long enough); otherwise every route is a 404
+ *
+ * 2. AUTHENTICATION
+ *    - "Authorization: Bearer <token>" on every /admin/api request
+ *    - Tokens are compared as SHA-256 digests with timingSafeEqual
+ *    - The dashboard page itself is static and holds no data; it asks
+ *      for the token and calls the API like any other client
+ *
+ * 3. SHARED STATE
+ *    - Everything is read from the shared store and acted on through
+ *      io, so with Redis the API sees and reaches every instance
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const { ADMIN, MESSAGE } = require('./config');
+const { roomManager: defaultRoomManager } = require('./roomManager');
+const { closeRoom, broadcastAnnouncement, rateLimiters: defaultRateLimiters } = require('./socket');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Admin');
+
+const DASHBOARD_PATH = path.join(__dirname, 'adminDashboard.html');
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Middleware: require a bearer token
+ * @param {string} token
+ * @returns {Function}
+ */
+function requireBearerToken(token) {
+  const expected = digest(token);
+  return (req, res, next) => {
+    const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+    if (!match || !crypto.timingSafeEqual(digest(match[1]), expected)) {
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Build the /admin router
+ * @param {object} options
+ * @param {Server} options.io - Socket.IO server
+ * @param {string|null} [options.token] - Admin bearer token
+ * @param {object} [options.roomManager]
+ * @param {object} [options.rateLimiters] - name -> RateLimiter
+ * @returns {express.Router}
+ */
+function createAdminRouter({
+  io,
+  token = ADMIN.TOKEN,
+  roomManager = defaultRoomManager,
+  rateLimiters = defaultRateLimiters
+}) {
+  const router = express.Router();
+
+  if (!token || token.length < ADMIN.MIN_TOKEN_LENGTH) {
+    if (token) {
+      logger.warn('admin-token-too-short', { minLength: ADMIN.MIN_TOKEN_LENGTH });
+    }
+    return router;
+  }
+
+  // Dashboard page (static; data comes from the API)
+  router.get('/', (req, res) => {
+    res.sendFile(DASHBOARD_PATH);
+  });
+
+  const api = express.Router();
+  api.use(requireBearerToken(token));
+  router.use('/api', api);
+
+  // =========================================
+  // READ
+  // =========================================
+  api.get('/rooms', async (req, res) => {
+    const stats = await roomManager.getStats();
+    res.json(stats);
+  });
+
+  api.get('/rooms/:roomId', async (req, res) => {
+    const room = await roomManager.getRoomDetails(req.params.roomId);
+    if (!room) {
+      res.status(404).json({ error: 'Room not found' });
+      return;
+    }
+    res.json(room);
+  });
+
+  api.get('/users', async (req, res) => {
+    res.json({ users: await roomManager.listUsers() });
+  });
+
+  api.get('/rate-limits', async (req, res) => {
+    const limits = {};
+    for (const [name, limiter] of Object.entries(rateLimiters)) {
+      limits[name] = {
+        ...(await limiter.getStats()),
+        entries: await limiter.getEntries()
+      };
+    }
+    res.json(limits);
+  });
+
+  // =========================================
+  // ACT
+  // =========================================
+  api.delete('/rooms/:roomId', async (req, res) => {
+    const closed = await closeRoom(io, req.params.roomId, 'admin');
+    if (!closed) {
+      res.status(404).json({ error: 'Room not found' });
+      return;
+    }
+    logger.info('room-closed', { roomId: req.params.roomId });
+    res.json({ success: true });
+  });
+
+  api.post('/announcements', async (req, res) => {
+    const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+    if (!text || text.length > MESSAGE.MAX_LENGTH) {
+      res.status(400).json({ error: `Announcement must be 1-${MESSAGE.MAX_LENGTH} characters` });
+      return;
+    }
+    const rooms = await broadcastAnnouncement(io, text.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, ''));
+    logger.info('announcement-sent', { rooms });
+    res.json({ success: true, rooms });
+  });
+
+  api.delete('/sockets/:socketId', async (req, res) => {
+    // io.in() also matches room names, so insist on the socket itself
+    const sockets = await io.in(req.params.socketId).fetchSockets();
+    const target = sockets.find(socket => socket.id === req.params.socketId);
+    if (!target) {
+      res.status(404).json({ error: 'Socket not found' });
+      return;
+    }
+    target.disconnect(true);
+    logger.info('socket-disconnected', { socketId: req.params.socketId });
+    res.json({ success: true });
+  });
+
+  // Errors: logged here, generic message to the caller
+  api.use((error, req, res, next) => {
+    logger.error('request-failed', { path: req.path, error });
+    res.status(500).json({ error: 'Internal error' });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter, requireBearerToken };
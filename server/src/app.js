@@ -0,0 +1,75 @@
+/**
+ * HTTP App
+ *
+ * Builds the Express app, the HTTP server and Socket.IO, wired together
+ * but not listening. index.js starts it for real; tests drive the app
+ * with supertest.
+ */
+
+const express = require('express');
+const http = require('http');
+const cors = require('cors');
+const helmet = require('helmet');
+const { initializeSocketServer } = require('./socket');
+const { createAdminRouter, requireBearerToken } = require('./admin');
+const { registry } = require('./metrics');
+const { CORS_ORIGIN, METRICS, ADMIN } = require('./config');
+
+/**
+ * Create the app
+ *
+ * Set app.locals.shuttingDown once draining starts; /health then
+ * answers 503.
+ *
+ * @param {object} [options]
+ * @param {string|null} [options.adminToken] - Admin bearer token
+ * @returns {{ app: express.Application, server: http.Server, io: Server }}
+ */
+function createApp({ adminToken = ADMIN.TOKEN } = {}) {
+  const app = express();
+  const server = http.createServer(app);
+  app.locals.shuttingDown = false;
+
+  // SECURITY: Helmet adds secure HTTP headers
+  app.use(helmet({
+    // Allow Socket.IO and WebSocket connections
+    contentSecurityPolicy: false,
+    crossOriginEmbedderPolicy: false
+  }));
+
+  // Middleware
+  app.use(cors({
+    origin: CORS_ORIGIN,
+    credentials: true
+  }));
+  app.use(express.json({ limit: '10kb' })); // SECURITY: Limit JSON body size
+
+  // Health check endpoint (503 while draining, so load balancers stop
+  // sending new clients here)
+  app.get('/health', (req, res) => {
+    const { shuttingDown } = req.app.locals;
+    res.status(shuttingDown ? 503 : 200).json({
+      status: shuttingDown ? 'draining' : 'ok',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Prometheus metrics (see metrics.js for names)
+  if (METRICS.ENABLED) {
+    const metricsAuth = METRICS.TOKEN ? [requireBearerToken(METRICS.TOKEN)] : [];
+    app.get('/metrics', ...metricsAuth, async (req, res) => {
+      res.type('text/plain; version=0.0.4');
+      res.send(await registry.render());
+    });
+  }
+
+  // Initialize Socket.IO
+  const io = initializeSocketServer(server);
+
+  // Admin API and dashboard (disabled unless ADMIN_TOKEN is set)
+  app.use('/admin', createAdminRouter({ io, token: adminToken }));
+
+  return { app, server, io };
+}
+
+module.exports = { createApp };
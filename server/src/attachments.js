@@ -0,0 +1,110 @@
+/**
+ * Attachment Helpers
+ *
+ * Files shared in a room are ephemeral like everything else: they live
+ * in the state store next to the room and are deleted with it.
+ *
+ * 1. TYPE CHECKING
+ *    - The declared MIME type is a hint, never trusted on its own
+ *    - Images are identified by their magic bytes; a file that claims
+ *      to be an image but doesn't look like one is rejected
+ *    - Other allowed types get a cheap sanity check (PDF header, no NUL
+ *      bytes in text)
+ *
+ * 2. UPLOAD PROTOCOL
+ *    - upload-start reserves room quota and returns an uploadId
+ *    - upload-chunk delivers ordered binary chunks (UPLOAD.CHUNK_BYTES)
+ *    - upload-complete verifies the file and posts an attachment message
+ *    - In-flight uploads belong to the uploading connection
+ */
+
+const { UPLOAD } = require('./config');
+const { ERROR_CODES } = require('./protocol');
+
+// Leading bytes of each image format we accept
+const IMAGE_SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { type: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  // RIFF....WEBP; null entries are the (variable) chunk size
+  { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] }
+];
+
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+
+/**
+ * Identify an image by its magic bytes
+ * @param {Buffer} buffer
+ * @returns {string|null} Image MIME type, or null if not a known image
+ */
+function sniffImageType(buffer) {
+  const match = IMAGE_SIGNATURES.find(({ bytes }) =>
+    buffer.length >= bytes.length && bytes.every((byte, i) => byte === null || buffer[i] === byte)
+  );
+  return match ? match.type : null;
+}
+
+/**
+ * Validate the metadata sent with upload-start
+ * @param {object} data - { name, type, size }
+ * @returns {{ valid: boolean, code?: string, error?: string, name?: string, type?: string, size?: number }}
+ */
+function validateUploadRequest(data) {
+  const { name, type, size } = data || {};
+
+  if (typeof name !== 'string' || typeof type !== 'string' || !Number.isInteger(size)) {
+    return { valid: false, code: ERROR_CODES.INVALID_REQUEST, error: 'Invalid request' };
+  }
+  if (size <= 0) {
+    return { valid: false, code: ERROR_CODES.FILE_EMPTY, error: 'File is empty' };
+  }
+  if (size > UPLOAD.MAX_FILE_BYTES) {
+    return { valid: false, code: ERROR_CODES.FILE_TOO_LARGE, error: `File too large (max ${Math.floor(UPLOAD.MAX_FILE_BYTES / (1024 * 1024))} MB)` };
+  }
+  if (!UPLOAD.ALLOWED_TYPES.includes(type)) {
+    return { valid: false, code: ERROR_CODES.FILE_TYPE_NOT_ALLOWED, error: 'File type not allowed' };
+  }
+
+  // Keep just a display name: no paths, no control characters
+  const safeName = name
+    .split(/[\\/]/).pop()
+    .replace(/[\x00-\x1F\x7F]/g, '')
+    .trim()
+    .substring(0, UPLOAD.MAX_NAME_LENGTH);
+
+  return { valid: true, name: safeName || 'file', type, size };
+}
+
+/**
+ * Check a finished upload's content against its declared type
+ * @param {Buffer} buffer
+ * @param {string} declaredType
+ * @returns {{ valid: boolean, code?: string, error?: string, type?: string }} type is the verified type
+ */
+function verifyContent(buffer, declaredType) {
+  const imageType = sniffImageType(buffer);
+
+  // Anything that is really an image is treated as that image
+  if (imageType) {
+    return UPLOAD.ALLOWED_TYPES.includes(imageType)
+      ? { valid: true, type: imageType }
+      : { valid: false, code: ERROR_CODES.FILE_TYPE_NOT_ALLOWED, error: 'File type not allowed' };
+  }
+  if (declaredType.startsWith('image/')) {
+    return { valid: false, code: ERROR_CODES.FILE_CONTENT_MISMATCH, error: 'File is not a valid image' };
+  }
+  if (declaredType === 'application/pdf' && !buffer.subarray(0, PDF_SIGNATURE.length).equals(PDF_SIGNATURE)) {
+    return { valid: false, code: ERROR_CODES.FILE_CONTENT_MISMATCH, error: 'File is not a valid PDF' };
+  }
+  if (declaredType === 'text/plain' && buffer.includes(0)) {
+    return { valid: false, code: ERROR_CODES.FILE_CONTENT_MISMATCH, error: 'File is not plain text' };
+  }
+
+  return { valid: true, type: declaredType };
+}
+
+module.exports = {
+  sniffImageType,
+  validateUploadRequest,
+  verifyContent
+};
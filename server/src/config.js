@@ -5,6 +5,9 @@
  * All limits and timeouts are defined here for easy tuning.
  */
 
+const crypto = require('crypto');
+const { createLogger, configureLogger } = require('./logger');
+
 const PORT = process.env.PORT || 3000;
 const CORS_ORIGIN = process.env.CORS_ORIGIN || 'http://localhost:4200';
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -13,11 +16,46 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 // SECURITY CONFIGURATION
 // ===========================================
 const SECURITY = {
+  // Reverse proxies in front of the server. Each appends the address it
+  // saw to X-Forwarded-For, so the client is that many hops from the
+  // right; anything further left is whatever the client sent. 0 (the
+  // default) ignores the header and uses the socket's peer address
+  TRUSTED_PROXY_HOPS: Math.max(0, parseInt(process.env.TRUSTED_PROXY_HOPS) || 0),
   // Maximum connections allowed per IP address
   MAX_CONNECTIONS_PER_IP: parseInt(process.env.MAX_CONNECTIONS_PER_IP) || 5,
   // Event rate limit (non-message events like join, create)
   EVENT_RATE_LIMIT: parseInt(process.env.EVENT_RATE_LIMIT) || 10,
-  EVENT_RATE_WINDOW_MS: parseInt(process.env.EVENT_RATE_WINDOW_MS) || 60000
+  EVENT_RATE_WINDOW_MS: parseInt(process.env.EVENT_RATE_WINDOW_MS) || 60000,
+  EVENT_RATE_ALGORITHM: process.env.EVENT_RATE_ALGORITHM || 'sliding-window',
+  // Share of the event budget each event uses (anything unlisted costs 1)
+  EVENT_COSTS: {
+    'create-room': 3,
+    'join-room': 2
+  },
+  // The same events, summed over every socket from one IP
+  IP_EVENT_RATE_LIMIT: parseInt(process.env.IP_EVENT_RATE_LIMIT) || 30,
+  // Wrong passphrases and knocks on one room from anyone (slows
+  // passphrase guessing); joins with an access or resume token skip it
+  ROOM_JOIN_RATE_LIMIT: parseInt(process.env.ROOM_JOIN_RATE_LIMIT) || 30
+};
+
+// ===========================================
+// IP BLOCKING
+// ===========================================
+//
+// IPs that keep hitting rate limits are blocked for a while; each
+// repeat block lasts twice as long as the last. See ipBlocklist.js.
+//
+const BLOCK = {
+  // Rate-limit rejections in a row that trigger a block
+  STRIKES: parseInt(process.env.BLOCK_STRIKES) || 10,
+  // Strikes further apart than this don't add up
+  STRIKE_WINDOW_MS: parseInt(process.env.BLOCK_STRIKE_WINDOW_MS) || 60000,
+  // First block: 1 minute, doubling up to 1 hour
+  BASE_MS: parseInt(process.env.BLOCK_BASE_MS) || 60000,
+  MAX_MS: parseInt(process.env.BLOCK_MAX_MS) || 60 * 60 * 1000,
+  // How long past blocks count towards the next one
+  MEMORY_MS: parseInt(process.env.BLOCK_MEMORY_MS) || 24 * 60 * 60 * 1000
 };
 
 // ===========================================
@@ -27,13 +65,22 @@ const SECURITY = {
 // Why rate limiting?
 // - Prevents spam attacks that could degrade service for all users
 // - Limits resource consumption per client
-// - Simple token bucket algorithm: refills over time
+// - Messages use a token bucket: refills over time, allows short bursts
+// - Algorithms are described in rateLimiter.js
 //
 const RATE_LIMIT = {
   // Maximum messages a user can send in the time window
   MAX_MESSAGES: parseInt(process.env.RATE_LIMIT_MAX) || 10,
   // Time window in milliseconds (10 seconds)
   WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW) || 10000,
+  // 'token-bucket', 'sliding-window' or 'fixed-window'
+  ALGORITHM: process.env.RATE_LIMIT_ALGORITHM || 'token-bucket',
+  // Token bucket size: messages that can be sent at once after a pause
+  BURST: parseInt(process.env.RATE_LIMIT_BURST) || null,
+  // The same budget, summed over every socket from one IP
+  IP_MAX_MESSAGES: parseInt(process.env.RATE_LIMIT_IP_MAX) || 20,
+  // All messages in one room, from everyone
+  ROOM_MAX_MESSAGES: parseInt(process.env.RATE_LIMIT_ROOM_MAX) || 60,
   // Cooldown message shown to rate-limited users
   COOLDOWN_MESSAGE: 'Slow down! You\'re sending messages too fast.'
 };
@@ -53,9 +100,27 @@ const MESSAGE = {
   // Minimum characters (prevents empty-ish messages)
   MIN_LENGTH: 1,
   // Maximum messages stored per room (older messages are discarded)
-  HISTORY_LIMIT: parseInt(process.env.MESSAGE_HISTORY_LIMIT) || 100
+  HISTORY_LIMIT: parseInt(process.env.MESSAGE_HISTORY_LIMIT) || 100,
+  // Messages returned per history page (on join and via fetch-history)
+  HISTORY_PAGE_SIZE: parseInt(process.env.MESSAGE_HISTORY_PAGE_SIZE) || 50,
+  // How long after sending a message its author may edit or delete it
+  EDIT_WINDOW_MS: parseInt(process.env.MESSAGE_EDIT_WINDOW_MS) || 5 * 60 * 1000,
+  // Distinct emoji reactions allowed on a single message
+  MAX_REACTIONS: parseInt(process.env.MESSAGE_MAX_REACTIONS) || 20,
+  // Characters of the original message quoted in a reply
+  REPLY_EXCERPT_LENGTH: 120,
+  // Bounds for the message lifetime a room creator can set
+  // (disappearing messages); 0 or unset keeps messages
+  MIN_LIFETIME_SEC: 10,
+  MAX_LIFETIME_SEC: parseInt(process.env.MESSAGE_MAX_LIFETIME_SEC) || 24 * 60 * 60,
+  // Resolution of the expiry timer wheel: messages go up to this late
+  EXPIRY_TICK_MS: parseInt(process.env.MESSAGE_EXPIRY_TICK_MS) || 1000
 };
 
+// Encrypted rooms carry base64(12-byte IV + ciphertext + 16-byte tag).
+// Sized for a MAX_LENGTH message at up to 3 UTF-8 bytes per character.
+MESSAGE.MAX_CIPHERTEXT_LENGTH = 4 * Math.ceil((12 + 3 * MESSAGE.MAX_LENGTH + 16) / 3);
+
 // ===========================================
 // ROOM CONFIGURATION
 // ===========================================
@@ -71,7 +136,195 @@ const ROOM = {
   // Set to 0 for immediate cleanup
   CLEANUP_DELAY_MS: parseInt(process.env.ROOM_CLEANUP_DELAY) || 0,
   // Maximum rooms that can exist simultaneously (0 = unlimited)
-  MAX_ROOMS: parseInt(process.env.ROOM_MAX_ROOMS) || 1000
+  MAX_ROOMS: parseInt(process.env.ROOM_MAX_ROOMS) || 1000,
+  // Private room passphrase length limits
+  PASSPHRASE_MIN_LENGTH: 4,
+  PASSPHRASE_MAX_LENGTH: 128,
+  // Maximum join requests waiting for approval in a knock-mode room
+  MAX_PENDING_JOINS: parseInt(process.env.ROOM_MAX_PENDING_JOINS) || 20,
+  // Room code style: 'numeric' (1234), 'alphanumeric' (k7qm2xpd) or
+  // 'words' (amber-fox-42). See roomCode.js.
+  CODE_FORMAT: process.env.ROOM_CODE_FORMAT || 'numeric',
+  // Code length for numeric/alphanumeric (unset = format default)
+  CODE_LENGTH: parseInt(process.env.ROOM_CODE_LENGTH) || null,
+  // Rooms are closed at this age, however busy (0, the default, = no limit)
+  MAX_AGE_MS: parseInt(process.env.ROOM_MAX_AGE_MS) || 0,
+  // ...or after this long without a message (0, the default, = no
+  // limit), so a forgotten tab can't keep a room open for ever
+  IDLE_TIMEOUT_MS: parseInt(process.env.ROOM_IDLE_TIMEOUT_MS) || 0,
+  // Members are warned this long before either limit closes the room
+  CLOSE_WARNING_MS: parseInt(process.env.ROOM_CLOSE_WARNING_MS) || 5 * 60 * 1000,
+  // How often rooms are checked against the limits
+  LIMIT_CHECK_MS: parseInt(process.env.ROOM_LIMIT_CHECK_MS) || 30 * 1000,
+  // Room settings the owner can change (see RoomManager.updateSettings)
+  TOPIC_MAX_LENGTH: 120,
+  // Longest slow mode: seconds between one user's messages
+  SLOW_MODE_MAX_SEC: parseInt(process.env.ROOM_SLOW_MODE_MAX_SEC) || 10 * 60
+};
+
+// ===========================================
+// MODERATION CONFIGURATION
+// ===========================================
+//
+// The room owner (creator, or whoever inherits the room) can kick,
+// mute and ban. Mutes are always time-limited.
+//
+const MODERATION = {
+  // Mute length when the owner doesn't pick one
+  DEFAULT_MUTE_MS: parseInt(process.env.MODERATION_DEFAULT_MUTE_MS) || 5 * 60 * 1000,
+  // Longest mute the owner can hand out
+  MAX_MUTE_MS: parseInt(process.env.MODERATION_MAX_MUTE_MS) || 60 * 60 * 1000
+};
+
+// ===========================================
+// FILE UPLOAD CONFIGURATION
+// ===========================================
+//
+// Files are held in the state store (memory or Redis, never disk)
+// and deleted along with their room.
+//
+const UPLOAD = {
+  // Largest single file
+  MAX_FILE_BYTES: parseInt(process.env.UPLOAD_MAX_FILE_BYTES) || 5 * 1024 * 1024,
+  // Total attachment bytes a room may hold
+  MAX_ROOM_BYTES: parseInt(process.env.UPLOAD_MAX_ROOM_BYTES) || 20 * 1024 * 1024,
+  // Chunk size clients send (must stay below Socket.IO's 1 MB message cap)
+  CHUNK_BYTES: 64 * 1024,
+  // Uploads one socket may have in flight
+  MAX_CONCURRENT: 2,
+  MAX_NAME_LENGTH: 100,
+  // Images are verified by magic bytes regardless of declared type
+  ALLOWED_TYPES: (process.env.UPLOAD_ALLOWED_TYPES || 'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean)
+};
+
+// ===========================================
+// TYPING INDICATOR CONFIGURATION
+// ===========================================
+//
+// Clients re-send typing-start while the user keeps typing, so the
+// timeout only has to cover a few seconds of silence.
+//
+const TYPING = {
+  // Typing state expires if the client goes quiet this long
+  TIMEOUT_MS: parseInt(process.env.TYPING_TIMEOUT_MS) || 5000,
+  // Max typing-start/typing-stop events per socket per window
+  MAX_EVENTS: parseInt(process.env.TYPING_RATE_LIMIT) || 20,
+  WINDOW_MS: parseInt(process.env.TYPING_RATE_WINDOW_MS) || 10000,
+  ALGORITHM: process.env.TYPING_RATE_ALGORITHM || 'sliding-window'
+};
+
+// ===========================================
+// STATE STORE CONFIGURATION
+// ===========================================
+//
+// Why a pluggable store?
+// - 'memory' keeps everything in-process (single instance only)
+// - 'redis' shares rooms and rate limits between instances, and
+//   enables the Socket.IO Redis adapter so broadcasts reach every node
+//
+const STORE = {
+  // Defaults to redis when REDIS_URL is set, memory otherwise
+  DRIVER: process.env.STORE_DRIVER || (process.env.REDIS_URL ? 'redis' : 'memory'),
+  REDIS_URL: process.env.REDIS_URL || 'redis://localhost:6379',
+  // Namespace so several deployments can share one Redis
+  KEY_PREFIX: process.env.REDIS_KEY_PREFIX || 'fourbyte:'
+};
+
+// ===========================================
+// ADMIN API CONFIGURATION
+// ===========================================
+//
+// The /admin API and dashboard are off unless ADMIN_TOKEN is set.
+// Requests authenticate with "Authorization: Bearer <ADMIN_TOKEN>".
+//
+const ADMIN = {
+  TOKEN: process.env.ADMIN_TOKEN || null,
+  // Shorter tokens are refused, leaving the API disabled
+  MIN_TOKEN_LENGTH: 16
+};
+
+// ===========================================
+// SHUTDOWN CONFIGURATION
+// ===========================================
+//
+// On SIGTERM/SIGINT clients are told to reconnect, new rooms and joins
+// are refused, and in-flight requests get DRAIN_MS to be answered.
+// Whatever is still running after TIMEOUT_MS is cut off.
+//
+const SHUTDOWN = {
+  TIMEOUT_MS: parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10000,
+  DRAIN_MS: parseInt(process.env.SHUTDOWN_DRAIN_MS) || 5000,
+  // Suggested to clients in server-shutdown; they add jitter
+  RECONNECT_AFTER_MS: 3000
+};
+
+// ===========================================
+// SESSION RESUME CONFIGURATION
+// ===========================================
+//
+// A user whose connection drops keeps their place in the room for
+// RESUME_GRACE_MS; reconnecting with the resume token from join-room
+// restores the same identity without leave/join messages.
+//
+const SESSION = {
+  // Signs resume tokens. Set it when running several instances (or to
+  // keep tokens valid across restarts); random per process otherwise
+  SECRET: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+  // How long a dropped user's slot is held (0 = leave at once)
+  RESUME_GRACE_MS: process.env.SESSION_RESUME_GRACE_MS !== undefined
+    ? parseInt(process.env.SESSION_RESUME_GRACE_MS) || 0
+    : 30000,
+  RESUME_TOKEN_TTL_MS: 24 * 60 * 60 * 1000
+};
+
+// ===========================================
+// METRICS CONFIGURATION
+// ===========================================
+//
+// Prometheus text format at /metrics (see metrics.js). Set
+// METRICS_TOKEN to require "Authorization: Bearer <token>" to scrape.
+// In production the endpoint is only served with a token: room and
+// user counts are not for the public.
+//
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const METRICS = {
+  ENABLED: process.env.METRICS_ENABLED !== 'false' && (Boolean(METRICS_TOKEN) || NODE_ENV !== 'production'),
+  TOKEN: METRICS_TOKEN
+};
+
+// ===========================================
+// MESSAGE FILTERING
+// ===========================================
+//
+// Rules in messageFilter.js: zalgo, words, caps, links, flood.
+// ENABLED rules apply in every room (none unless FILTER_RULES is set);
+// room creators turn on the rules they want for their own room.
+// Encrypted rooms are never filtered.
+//
+const listFromEnv = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+const FILTER = {
+  // 'words' does nothing until FILTER_WORDS is set
+  ENABLED: listFromEnv(process.env.FILTER_RULES),
+  // Word list: masked with bullets, or the message is rejected
+  WORDS: listFromEnv(process.env.FILTER_WORDS),
+  WORD_ACTION: process.env.FILTER_WORD_ACTION === 'reject' ? 'reject' : 'mask',
+  // Domains links may point to (subdomains included); empty blocks all links
+  LINK_ALLOWLIST: listFromEnv(process.env.FILTER_LINK_ALLOWLIST),
+  // Mostly-uppercase messages with at least this many letters are refused
+  CAPS_MIN_LETTERS: parseInt(process.env.FILTER_CAPS_MIN_LETTERS) || 12,
+  CAPS_MAX_RATIO: parseFloat(process.env.FILTER_CAPS_MAX_RATIO) || 0.7,
+  // Combining marks kept per character
+  ZALGO_MAX_MARKS: parseInt(process.env.FILTER_ZALGO_MAX_MARKS) || 3,
+  // Identical messages a user may send within the window
+  FLOOD_MAX_REPEATS: parseInt(process.env.FILTER_FLOOD_MAX_REPEATS) || 3,
+  FLOOD_WINDOW_MS: parseInt(process.env.FILTER_FLOOD_WINDOW_MS) || 30000
 };
 
 // ===========================================
@@ -84,30 +337,74 @@ const USERNAME = {
   PATTERN: /^[a-zA-Z0-9_-]+$/
 };
 
+// ===========================================
+// LOGGING CONFIGURATION
+// ===========================================
+//
+// JSON lines via logger.js. IPs and names are hashed by default:
+// - LOG_REDACT=hash: keyed hash, same input gives same output (default)
+// - LOG_REDACT=remove: left out entirely
+// - LOG_REDACT=off: written as is - local debugging only
+//
+const LOG = {
+  LEVEL: process.env.LOG_LEVEL || 'info',
+  REDACT: process.env.LOG_REDACT || 'hash',
+  // Shared salt so hashes match across instances (random per process otherwise)
+  HASH_SALT: process.env.LOG_HASH_SALT || null
+};
+
+configureLogger(LOG);
+const logger = createLogger('Config');
+
 // ===========================================
 // ENVIRONMENT VALIDATION
 // ===========================================
 // Warn about potential misconfigurations in production
 if (NODE_ENV === 'production') {
   if (CORS_ORIGIN === 'http://localhost:4200') {
-    console.warn('[Config] WARNING: CORS_ORIGIN is set to localhost in production!');
+    logger.warn('cors-origin-localhost', { corsOrigin: CORS_ORIGIN });
   }
   if (!process.env.CORS_ORIGIN) {
-    console.warn('[Config] WARNING: CORS_ORIGIN not set, using default.');
+    logger.warn('cors-origin-default', { corsOrigin: CORS_ORIGIN });
+  }
+  if (LOG.REDACT === 'off') {
+    logger.warn('log-redaction-off');
+  }
+  if (!process.env.SESSION_SECRET && STORE.DRIVER === 'redis') {
+    logger.warn('session-secret-missing');
+  }
+  if (!METRICS_TOKEN && process.env.METRICS_ENABLED !== 'false') {
+    // /metrics stays off until a token is set
+    logger.warn('metrics-token-missing');
   }
 }
 
-console.log(`[Config] Environment: ${NODE_ENV}`);
-console.log(`[Config] CORS Origin: ${CORS_ORIGIN}`);
-console.log(`[Config] Rate Limit: ${RATE_LIMIT.MAX_MESSAGES} msgs per ${RATE_LIMIT.WINDOW_MS}ms`);
+logger.info('config-loaded', {
+  environment: NODE_ENV,
+  corsOrigin: CORS_ORIGIN,
+  rateLimit: `${RATE_LIMIT.MAX_MESSAGES} msgs per ${RATE_LIMIT.WINDOW_MS}ms (${RATE_LIMIT.ALGORITHM})`,
+  store: STORE.DRIVER,
+  logLevel: LOG.LEVEL
+});
 
 module.exports = {
   PORT,
   CORS_ORIGIN,
   NODE_ENV,
   SECURITY,
+  BLOCK,
   RATE_LIMIT,
   MESSAGE,
   ROOM,
+  MODERATION,
+  UPLOAD,
+  TYPING,
+  STORE,
+  ADMIN,
+  SESSION,
+  SHUTDOWN,
+  METRICS,
+  LOG,
+  FILTER,
   USERNAME
 };
@@ -1,63 +1,63 @@
-const express = require('express');
-const http = require('http');
-const cors = require('cors');
-const helmet = require('helmet');
-const { initializeSocketServer } = require('./socket');
-const { PORT, CORS_ORIGIN } = require('./config');
-
-const app = express();
-const server = http.createServer(app);
-
-// SECURITY: Helmet adds secure HTTP headers
-app.use(helmet({
-  // Allow Socket.IO and WebSocket connections
-  contentSecurityPolicy: false,
-  crossOriginEmbedderPolicy: false
-}));
-
-// Middleware
-app.use(cors({
-  origin: CORS_ORIGIN,
-  credentials: true
-}));
-app.use(express.json({ limit: '10kb' })); // SECURITY: Limit JSON body size
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
-
-// Initialize Socket.IO
-const io = initializeSocketServer(server);
-
-// SECURITY: Graceful shutdown handling
-const gracefulShutdown = (signal) => {
-  console.log(`\n[Server] Received ${signal}. Shutting down gracefully...`);
-  
-  // Close Socket.IO connections
-  io.close(() => {
-    console.log('[Server] Socket.IO connections closed');
-  });
-  
-  // Close HTTP server
-  server.close(() => {
-    console.log('[Server] HTTP server closed');
+const { createApp } = require('./app');
+const { shutdownSocketServer } = require('./socket');
+const { store } = require('./store');
+const { roomManager } = require('./roomManager');
+const { PORT, SHUTDOWN } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Server');
+
+/**
+ * Start listening, and drain gracefully on SIGTERM/SIGINT
+ * @returns {{ app: express.Application, server: http.Server }}
+ */
+function start() {
+  const { app, server, io } = createApp();
+
+  // SECURITY: Graceful shutdown handling
+  const gracefulShutdown = async (signal) => {
+    if (app.locals.shuttingDown) {
+      return;
+    }
+    app.locals.shuttingDown = true;
+    logger.info('shutdown-started', { signal });
+    
+    // Force exit if draining takes too long
+    setTimeout(() => {
+      logger.error('shutdown-forced');
+      process.exit(1);
+    }, SHUTDOWN.TIMEOUT_MS).unref();
+    
+    try {
+      // Notify clients, let in-flight requests finish, disconnect everyone
+      await shutdownSocketServer(io);
+      roomManager.destroy();
+      
+      // Closes the HTTP server too
+      await new Promise(resolve => io.close(resolve));
+      logger.info('http-server-closed');
+      
+      // Release the state store (closes the Redis connection if any)
+      await store.close();
+    } catch (error) {
+      logger.error('shutdown-failed', { error });
+    }
     process.exit(0);
+  };
+
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+  // Start server
+  server.listen(PORT, () => {
+    logger.info('server-listening', { port: PORT });
   });
-  
-  // Force exit after 10 seconds
-  setTimeout(() => {
-    console.error('[Server] Forced shutdown after timeout');
-    process.exit(1);
-  }, 10000);
-};
-
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-
-// Start server
-server.listen(PORT, () => {
-  console.log(`FOURBYTE server running on port ${PORT}`);
-});
-
-module.exports = { app, server };
+
+  return { app, server };
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { start };
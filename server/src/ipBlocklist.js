@@ -0,0 +1,96 @@
+/**
+ * IP Blocklist - Escalating Temporary Blocks
+ *
+ * ARCHITECTURE DECISIONS:
+ *
+ * 1. STRIKES, THEN BLOCKS
+ *    - A rate-limit rejection on the client's own budgets (socket or IP)
+ *      is a strike against the IP; a busy room's shared budget is not
+ *    - BLOCK.STRIKES strikes in a row, each within BLOCK.STRIKE_WINDOW_MS
+ *      of the last, block the IP
+ *    - A normal user who hits a limit once or twice never gets here
+ *
+ * 2. ESCALATION
+ *    - Each block doubles the last one, from BLOCK.BASE_MS up to
+ *      BLOCK.MAX_MS. The level is remembered for at least
+ *      BLOCK.MEMORY_MS after the last block, then an IP starts over
+ *
+ * 3. NOTHING TO CLEAN UP
+ *    - Strikes and blocks are store entries with a TTL, so both expire
+ *      on their own, and with Redis they apply on every instance
+ */
+
+const { BLOCK } = require('./config');
+const { store: defaultStore } = require('./store');
+const { metrics } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('IpBlocklist');
+
+const strikeKey = (ip) => `ipblock:strikes:${ip}`;
+const blockKey = (ip) => `ipblock:block:${ip}`;
+
+class IpBlocklist {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.store] - State store (defaults to shared store)
+   * @param {Function} [options.clock] - Returns the time in ms (defaults to Date.now)
+   * @param {object} [options.settings] - Overrides for config BLOCK
+   */
+  constructor({ store = defaultStore, clock = Date.now, settings = BLOCK } = {}) {
+    this.store = store;
+    this.clock = clock;
+    this.settings = settings;
+  }
+
+  /**
+   * How much longer an IP is blocked
+   * @param {string} ip
+   * @returns {Promise<number>} Milliseconds, or 0 if not blocked
+   */
+  async getBlockRemaining(ip) {
+    const block = await this.store.get(blockKey(ip));
+    return block ? Math.max(0, block.until - this.clock()) : 0;
+  }
+
+  /**
+   * Record a strike; blocks the IP once it has enough
+   * @param {string} ip
+   * @returns {Promise<number>} Block duration in ms if this strike blocked the IP, else 0
+   */
+  async recordStrike(ip) {
+    const { STRIKES, STRIKE_WINDOW_MS, BASE_MS, MAX_MS, MEMORY_MS } = this.settings;
+    const now = this.clock();
+
+    const strikes = await this.store.update(strikeKey(ip), (count) => (count || 0) + 1, {
+      ttlMs: STRIKE_WINDOW_MS
+    });
+    if (strikes < STRIKES) {
+      return 0;
+    }
+    await this.store.delete(strikeKey(ip));
+
+    let durationMs = 0;
+    await this.store.update(blockKey(ip), (block) => {
+      // Already blocked (e.g. strikes raced in from another instance)
+      if (block && block.until > now) {
+        durationMs = 0;
+        return undefined;
+      }
+      const level = block ? block.level + 1 : 0;
+      durationMs = Math.min(BASE_MS * 2 ** level, MAX_MS);
+      return { level, until: now + durationMs };
+    }, { ttlMs: MAX_MS + MEMORY_MS });
+
+    if (durationMs > 0) {
+      metrics.ipBlocks.inc();
+      logger.warn('ip-blocked', { ip, durationMs });
+    }
+    return durationMs;
+  }
+}
+
+// Singleton shared by the socket handlers
+const ipBlocklist = new IpBlocklist();
+
+module.exports = { IpBlocklist, ipBlocklist };
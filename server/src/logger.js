@@ -0,0 +1,126 @@
+/**
+ * Structured Logger
+ *
+ * ARCHITECTURE DECISIONS:
+ *
+ * 1. JSON LINES
+ *    - One JSON object per line: time, level, component, event, then
+ *      any fields (roomId, socketId, ...). Log shippers parse it as is
+ *    - Events are short kebab-case names ("room-created"), so they can
+ *      be searched without matching on free text
+ *
+ * 2. PRIVACY BY DEFAULT
+ *    - Fields that identify a person (ip, name, ...) are hashed before
+ *      they are written. The same value hashes the same way, so one
+ *      client's lines can still be followed, but not traced back
+ *    - The salt is random per process unless LOG_HASH_SALT is set;
+ *      set it when lines from several instances need to line up
+ *    - LOG_REDACT=remove drops those fields; LOG_REDACT=off keeps them
+ *      (local debugging only)
+ *
+ * 3. NO DEPENDENCIES
+ *    - config.js logs too, so this module cannot require it; config.js
+ *      calls configureLogger() with LOG settings once they are known
+ */
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names that identify a person rather than a room or connection
+const SENSITIVE_FIELDS = new Set(['ip', 'name', 'oldName', 'newName']);
+
+const settings = {
+  level: 'info',
+  redact: 'hash',
+  salt: crypto.randomBytes(16).toString('hex')
+};
+
+/**
+ * Apply LOG settings from config.js
+ * @param {object} options
+ * @param {string} [options.LEVEL] - debug, info, warn or error
+ * @param {string} [options.REDACT] - hash, remove or off
+ * @param {string|null} [options.HASH_SALT]
+ */
+function configureLogger({ LEVEL, REDACT, HASH_SALT } = {}) {
+  if (LEVEL in LEVELS) {
+    settings.level = LEVEL;
+  }
+  if (['hash', 'remove', 'off'].includes(REDACT)) {
+    settings.redact = REDACT;
+  }
+  if (HASH_SALT) {
+    settings.salt = HASH_SALT;
+  }
+}
+
+const hash = (value) =>
+  crypto.createHmac('sha256', settings.salt).update(String(value)).digest('hex').substring(0, 12);
+
+/**
+ * Prepare fields for output: redact what identifies a person and
+ * reduce errors to their message
+ * @param {object} fields
+ * @returns {object}
+ */
+function prepareFields(fields) {
+  const prepared = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) {
+      continue;
+    }
+    if (SENSITIVE_FIELDS.has(key) && settings.redact !== 'off') {
+      if (settings.redact === 'hash') {
+        prepared[key] = hash(value);
+      }
+      continue;
+    }
+    prepared[key] = value instanceof Error ? value.message : value;
+  }
+  return prepared;
+}
+
+/**
+ * Write one line, if the level is enabled
+ * @param {string} level
+ * @param {string} component
+ * @param {string} event
+ * @param {object} fields
+ */
+function write(level, component, event, fields) {
+  if (LEVELS[level] < LEVELS[settings.level]) {
+    return;
+  }
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    component,
+    event,
+    ...prepareFields(fields)
+  });
+  // Warnings and errors on stderr, like console.warn/console.error
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(line + '\n');
+}
+
+/**
+ * Create a logger for one component
+ *
+ * Usage: logger.info('room-created', { roomId })
+ *
+ * @param {string} component - e.g. 'Socket', 'RoomManager'
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function }}
+ */
+function createLogger(component) {
+  const logger = {};
+  for (const level of Object.keys(LEVELS)) {
+    logger[level] = (event, fields = {}) => write(level, component, event, fields);
+  }
+  return logger;
+}
+
+module.exports = {
+  createLogger,
+  configureLogger
+};
@@ -0,0 +1,195 @@
+/**
+ * Message Filter Pipeline
+ *
+ * ARCHITECTURE DECISIONS:
+ *
+ * 1. RULES IN A FIXED ORDER
+ *    - Each rule sees the text left by the one before; it can pass it
+ *      on, rewrite it (masking, trimming) or reject the message
+ *    - Rewriting rules run first, so later rules and flood detection
+ *      compare the text that would actually be posted
+ *    - A rejection carries a protocol error code (e.g. BLOCKED_WORD)
+ *      that send-message returns to the client alongside the error text
+ *
+ * 2. WHO TURNS RULES ON
+ *    - FILTER.ENABLED rules apply in every room on this deployment
+ *    - A room creator can switch on any other rule for their room; they
+ *      cannot switch off the deployment's
+ *
+ * 3. ENCRYPTED ROOMS
+ *    - Content there is ciphertext, so nothing here can apply; callers
+ *      skip the pipeline for those rooms
+ */
+
+const { FILTER } = require('./config');
+const { ERROR_CODES } = require('./protocol');
+
+// Not '*': runs of asterisks would read as markdown emphasis
+const MASK_CHARACTER = '•';
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()[\]]+/gi;
+
+// Runs of combining marks (accents, "zalgo" stacking)
+const COMBINING_RUN_PATTERN = /\p{M}+/gu;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeForComparison = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Host name of a link, or null if it doesn't parse
+ * @param {string} link
+ * @returns {string|null}
+ */
+function linkHost(link) {
+  try {
+    return new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rule definitions
+ *
+ * Each takes the filter settings and returns
+ * check(text, context) -> { text } to continue, or { error, code } to reject.
+ * context: { senderId, now, isEdit, getRecentMessages() }
+ */
+const RULES = {
+  // Trim stacked combining marks; ordinary accents and emoji are left alone
+  zalgo: ({ ZALGO_MAX_MARKS }) => (text) => ({
+    text: text.replace(COMBINING_RUN_PATTERN, (run) =>
+      Array.from(run).slice(0, ZALGO_MAX_MARKS).join(''))
+  }),
+
+  words: ({ WORDS, WORD_ACTION }) => {
+    if (WORDS.length === 0) {
+      return (text) => ({ text });
+    }
+    // Whole words only, so "class" doesn't trip on "ass"
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${WORDS.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    return (text) => {
+      if (!text.match(pattern)) {
+        return { text };
+      }
+      if (WORD_ACTION === 'reject') {
+        return { error: 'Message contains a blocked word', code: ERROR_CODES.BLOCKED_WORD };
+      }
+      return { text: text.replace(pattern, (word) => MASK_CHARACTER.repeat(Array.from(word).length)) };
+    };
+  },
+
+  caps: ({ CAPS_MIN_LETTERS, CAPS_MAX_RATIO }) => (text) => {
+    const letters = text.match(/\p{L}/gu) || [];
+    if (letters.length < CAPS_MIN_LETTERS) {
+      return { text };
+    }
+    const upper = letters.filter(letter => letter !== letter.toLowerCase()).length;
+    if (upper / letters.length > CAPS_MAX_RATIO) {
+      return { error: 'Please don\'t shout', code: ERROR_CODES.TOO_MUCH_CAPS };
+    }
+    return { text };
+  },
+
+  links: ({ LINK_ALLOWLIST }) => (text) => {
+    const allowed = (host) => host && LINK_ALLOWLIST.some(domain => host === domain || host.endsWith(`.${domain}`));
+    const links = text.match(LINK_PATTERN) || [];
+    if (links.some(link => !allowed(linkHost(link)))) {
+      return {
+        error: LINK_ALLOWLIST.length > 0 ? 'Links to that site are not allowed here' : 'Links are not allowed here',
+        code: ERROR_CODES.LINK_NOT_ALLOWED
+      };
+    }
+    return { text };
+  },
+
+  // Same text from the same user again and again within the window
+  flood: ({ FLOOD_MAX_REPEATS, FLOOD_WINDOW_MS }) => async (text, { senderId, now, isEdit, getRecentMessages }) => {
+    if (isEdit) {
+      return { text };
+    }
+    const normalized = normalizeForComparison(text);
+    const repeats = (await getRecentMessages()).filter(message =>
+      message.senderId === senderId &&
+      now - new Date(message.timestamp).getTime() < FLOOD_WINDOW_MS &&
+      typeof message.content === 'string' &&
+      normalizeForComparison(message.content) === normalized
+    ).length;
+    if (repeats >= FLOOD_MAX_REPEATS) {
+      return { error: 'You already sent that', code: ERROR_CODES.REPEATED_MESSAGE };
+    }
+    return { text };
+  }
+};
+
+// Order matters: rewriting rules first (see header)
+const RULE_NAMES = Object.keys(RULES);
+
+/**
+ * Build a message filter
+ * @param {object} [settings] - Overrides for config FILTER
+ * @returns {object} { ruleNames, enabledRules, validateRoomRules, apply }
+ */
+function createMessageFilter(settings = FILTER) {
+  const unknown = settings.ENABLED.filter(name => !RULES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown message filter rule(s) "${unknown.join(', ')}" (expected ${RULE_NAMES.join(', ')})`);
+  }
+  const checks = Object.fromEntries(RULE_NAMES.map(name => [name, RULES[name](settings)]));
+
+  return {
+    ruleNames: RULE_NAMES,
+    enabledRules: [...settings.ENABLED],
+
+    /**
+     * Validate the rules a room creator asked for
+     * @param {*} rules - From create-room options
+     * @returns {{ valid: boolean, code?: string, error?: string, rules?: string[] }}
+     */
+    validateRoomRules(rules) {
+      if (rules === undefined || rules === null) {
+        return { valid: true, rules: [] };
+      }
+      if (!Array.isArray(rules) || !rules.every(name => typeof name === 'string' && RULES[name])) {
+        return { valid: false, code: ERROR_CODES.INVALID_FILTER, error: 'Unknown message filter' };
+      }
+      return { valid: true, rules: Array.from(new Set(rules)) };
+    },
+
+    /**
+     * Run a message through the deployment's rules plus the room's
+     * @param {string} text - Already validated by validateMessage
+     * @param {object} context
+     * @param {string[]} [context.roomRules] - Rules the room creator enabled
+     * @param {string} context.senderId
+     * @param {boolean} [context.isEdit] - Edits skip flood detection
+     * @param {Function} context.getRecentMessages - async () => recent room messages
+     * @returns {Promise<{ valid: boolean, error?: string, code?: string, sanitized?: string }>}
+     */
+    async apply(text, { roomRules = [], ...context }) {
+      const active = new Set([...settings.ENABLED, ...roomRules]);
+      const ruleContext = { now: Date.now(), isEdit: false, ...context };
+      let current = text;
+      for (const name of RULE_NAMES) {
+        if (!active.has(name)) {
+          continue;
+        }
+        const result = await checks[name](current, ruleContext);
+        if (result.error) {
+          return { valid: false, error: result.error, code: result.code };
+        }
+        current = result.text;
+      }
+      return { valid: true, sanitized: current };
+    }
+  };
+}
+
+// The filter for this deployment
+const messageFilter = createMessageFilter();
+
+module.exports = {
+  createMessageFilter,
+  messageFilter
+};
@@ -0,0 +1,223 @@
+/**
+ * Prometheus Metrics
+ *
+ * ARCHITECTURE DECISIONS:
+ *
+ * 1. NO CLIENT LIBRARY
+ *    - Counters, gauges and histograms are a few lines each, and the
+ *      text exposition format is simple; see render()
+ *
+ * 2. STABLE NAMES
+ *    - Every metric is defined once, below, with a fourbyte_ prefix;
+ *      the README lists them. Renaming one breaks dashboards, so don't
+ *
+ * 3. PER-INSTANCE VS SHARED
+ *    - Counters, histograms and connection gauges describe this
+ *      instance; Prometheus sums them across instances
+ *    - Room and user gauges read the shared store, so every instance
+ *      reports the same cluster-wide value
+ *
+ * 4. PRIVACY
+ *    - No label ever carries an IP, name, room code or message text.
+ *      Per-IP connections are reported as how many IPs hold N
+ *      connections, not which IPs
+ */
+
+const PREFIX = 'fourbyte_';
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => (value === Infinity ? '+Inf' : String(value));
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort());
+
+class Counter {
+  /**
+   * @param {string} name - Without the fourbyte_ prefix
+   * @param {string} help
+   */
+  constructor(name, help) {
+    this.name = PREFIX + name;
+    this.help = help;
+    this.type = 'counter';
+    this.values = new Map(); // labelKey -> { labels, value }
+  }
+
+  /**
+   * @param {object} [labels]
+   * @param {number} [amount]
+   */
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(labels);
+    const entry = this.values.get(key) || { labels, value: 0 };
+    entry.value += amount;
+    this.values.set(key, entry);
+  }
+
+  async samples() {
+    return Array.from(this.values.values(), ({ labels, value }) => ({ name: this.name, labels, value }));
+  }
+}
+
+class Gauge {
+  /**
+   * Gauges are read when scraped, from a collector set by whoever
+   * owns the state
+   * @param {string} name - Without the fourbyte_ prefix
+   * @param {string} help
+   */
+  constructor(name, help) {
+    this.name = PREFIX + name;
+    this.help = help;
+    this.type = 'gauge';
+    this.collector = null;
+  }
+
+  /**
+   * @param {Function} collector - async () => number | [{ labels, value }]
+   */
+  setCollector(collector) {
+    this.collector = collector;
+  }
+
+  async samples() {
+    if (!this.collector) {
+      return [];
+    }
+    const result = await this.collector();
+    const values = typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+    return values.map(({ labels, value }) => ({ name: this.name, labels, value }));
+  }
+}
+
+class Histogram {
+  /**
+   * @param {string} name - Without the fourbyte_ prefix
+   * @param {string} help
+   * @param {number[]} buckets - Upper bounds, ascending
+   */
+  constructor(name, help, buckets) {
+    this.name = PREFIX + name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = [...buckets, Infinity];
+    this.counts = this.buckets.map(() => 0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  /**
+   * @param {number} value
+   */
+  observe(value) {
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        this.counts[i]++;
+      }
+    });
+    this.sum += value;
+    this.count++;
+  }
+
+  async samples() {
+    return [
+      ...this.buckets.map((bound, i) => ({
+        name: `${this.name}_bucket`,
+        labels: { le: formatValue(bound) },
+        value: this.counts[i]
+      })),
+      { name: `${this.name}_sum`, labels: {}, value: this.sum },
+      { name: `${this.name}_count`, labels: {}, value: this.count }
+    ];
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * @param {Counter|Gauge|Histogram} metric
+   * @returns {Counter|Gauge|Histogram} The same metric
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Render every metric in the Prometheus text format (version 0.0.4)
+   * @returns {Promise<string>}
+   */
+  async render() {
+    const blocks = await Promise.all(this.metrics.map(async (metric) => {
+      const lines = [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`
+      ];
+      for (const { name, labels, value } of await metric.samples()) {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+      return lines.join('\n');
+    }));
+    return blocks.join('\n') + '\n';
+  }
+}
+
+// =========================================
+// METRICS
+// Names are part of the public interface (see README)
+// =========================================
+const registry = new Registry();
+
+const metrics = {
+  // Gauges (collectors are set in socket.js)
+  rooms: registry.register(new Gauge('rooms', 'Rooms that currently exist')),
+  users: registry.register(new Gauge('users', 'Users currently in a room')),
+  connections: registry.register(new Gauge('connections', 'Open Socket.IO connections on this instance')),
+  clientIPs: registry.register(new Gauge(
+    'client_ips',
+    'Client IPs on this instance, by how many connections each holds'
+  )),
+
+  // Counters
+  messagesSent: registry.register(new Counter('messages_sent_total', 'Messages posted to rooms, by type')),
+  rateLimitRejections: registry.register(new Counter(
+    'rate_limit_rejections_total',
+    'Requests refused by a rate limiter, by limiter'
+  )),
+  roomCreationFailures: registry.register(new Counter(
+    'room_creation_failures_total',
+    'create-room requests that did not create a room, by reason'
+  )),
+  disconnects: registry.register(new Counter('disconnects_total', 'Socket disconnections, by Socket.IO reason')),
+  ipBlocks: registry.register(new Counter('ip_blocks_total', 'Temporary IP blocks imposed for repeated rate limiting')),
+
+  // Histograms
+  messageSize: registry.register(new Histogram(
+    'message_size_bytes',
+    'Size of posted message content in UTF-8 bytes',
+    [16, 32, 64, 128, 256, 512, 1024, 2048, 4096]
+  )),
+  roomLifetime: registry.register(new Histogram(
+    'room_lifetime_seconds',
+    'Time from room creation to destruction',
+    [60, 300, 900, 1800, 3600, 3 * 3600, 6 * 3600, 12 * 3600, 24 * 3600]
+  ))
+};
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  registry,
+  metrics
+};
@@ -0,0 +1,215 @@
+/**
+ * Wire Protocol
+ *
+ * ARCHITECTURE DECISIONS:
+ *
+ * 1. ONE SCHEMA, TWO CONSUMERS
+ *    - Every event in both directions is described in
+ *      shared/protocol.json, which the Angular client compiles against
+ *      and this module validates against
+ *    - Field specs are deliberately small: type, optional, nullable,
+ *      length/size bounds, enum, items/fields, and ref to a named type
+ *    - Unknown fields are ignored, so adding one is not a breaking change
+ *    - Each package reads its own committed copy (src/protocol.json
+ *      here), refreshed from shared/ before start and test, so the
+ *      server still runs when deployed from server/ alone
+ *
+ * 2. CENTRAL VALIDATION
+ *    - socket.js checks each incoming packet here before any handler
+ *      runs; handlers can rely on payload shapes and an ack function
+ *    - Semantic checks (membership, limits, content rules) stay in the
+ *      handlers
+ *
+ * 3. ERROR CODES
+ *    - Failures carry a stable code next to the human-readable text;
+ *      clients branch on the code and show the text
+ *    - ProtocolError carries a code out of RoomManager and friends;
+ *      any other error is reported as INTERNAL_ERROR, never verbatim
+ *
+ * 4. VERSIONING
+ *    - Clients send their protocol version in the handshake
+ *      (auth.protocol); anything older than minVersion is refused with
+ *      PROTOCOL_OUTDATED so the client can ask the user to refresh
+ *    - Bump version for any change a current client would misread;
+ *      raise minVersion only when old clients must be turned away
+ */
+
+// Copy of shared/protocol.json (see scripts/sync-protocol.js)
+const schema = require('./protocol.json');
+const { isValidRoomCode } = require('./roomCode');
+
+const PROTOCOL_VERSION = schema.version;
+const MIN_PROTOCOL_VERSION = schema.minVersion;
+
+// CODE -> 'CODE', so typos fail loudly instead of sending undefined
+const ERROR_CODES = Object.freeze(Object.fromEntries(Object.keys(schema.errors).map(code => [code, code])));
+
+// Checks for the `format` keyword
+const FORMATS = {
+  roomCode: isValidRoomCode
+};
+
+class ProtocolError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} [message] - Defaults to the schema's text for code
+   */
+  constructor(code, message) {
+    if (!schema.errors[code]) {
+      throw new Error(`Unknown protocol error code "${code}"`);
+    }
+    super(message || schema.errors[code]);
+    this.name = 'ProtocolError';
+    this.code = code;
+  }
+}
+
+/**
+ * Build a failed acknowledgement
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} [message] - Defaults to the schema's text for code
+ * @returns {{ success: false, code: string, error: string }}
+ */
+function fail(code, message) {
+  const { code: known, message: text } = new ProtocolError(code, message);
+  return { success: false, code: known, error: text };
+}
+
+/**
+ * Build a failed acknowledgement from a caught error
+ * @param {Error} error
+ * @param {string} [fallbackCode] - Used for anything but a ProtocolError
+ * @param {string} [fallbackMessage]
+ * @returns {{ success: false, code: string, error: string }}
+ */
+function failFrom(error, fallbackCode = ERROR_CODES.INTERNAL_ERROR, fallbackMessage) {
+  if (error instanceof ProtocolError) {
+    return { success: false, code: error.code, error: error.message };
+  }
+  return fail(fallbackCode, fallbackMessage);
+}
+
+/**
+ * Check a value against a field spec
+ * @param {object} spec
+ * @param {*} value
+ * @param {string} path - Where the value sits, for the log
+ * @returns {{ path: string, code: string }|null} The first problem, or null
+ */
+function checkValue(spec, value, path) {
+  if (spec.ref) {
+    const { ref, ...rest } = spec;
+    return checkValue({ ...schema.types[ref], ...rest }, value, path);
+  }
+  if (value === undefined || value === null) {
+    const allowed = value === null ? spec.nullable || spec.optional : spec.optional;
+    return allowed ? null : { path, code: ERROR_CODES.INVALID_REQUEST };
+  }
+
+  const problem = { path, code: ERROR_CODES.INVALID_REQUEST };
+  switch (spec.type) {
+    case 'any':
+      return null;
+    case 'string':
+    case 'date':
+      if (typeof value !== 'string') return problem;
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) return problem;
+      if (spec.minLength !== undefined && value.length < spec.minLength) return problem;
+      if (spec.enum && !spec.enum.includes(value)) return problem;
+      if (spec.format && !FORMATS[spec.format](value)) {
+        return { path, code: spec.format === 'roomCode' ? ERROR_CODES.INVALID_ROOM_CODE : problem.code };
+      }
+      return null;
+    case 'integer':
+    case 'number':
+      if (spec.type === 'integer' ? !Number.isInteger(value) : !Number.isFinite(value)) return problem;
+      if (spec.min !== undefined && value < spec.min) return problem;
+      if (spec.max !== undefined && value > spec.max) return problem;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : problem;
+    case 'binary':
+      return Buffer.isBuffer(value) ? null : problem;
+    case 'array':
+      if (!Array.isArray(value)) return problem;
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) return problem;
+      for (let i = 0; i < value.length; i++) {
+        const itemProblem = checkValue(spec.items, value[i], `${path}[${i}]`);
+        if (itemProblem) return itemProblem;
+      }
+      return null;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value) || Buffer.isBuffer(value)) return problem;
+      for (const [name, fieldSpec] of Object.entries(spec.fields || {})) {
+        const fieldProblem = checkValue(fieldSpec, value[name], `${path}.${name}`);
+        if (fieldProblem) return fieldProblem;
+      }
+      return null;
+    default:
+      throw new Error(`Unknown type "${spec.type}" in protocol schema at ${path}`);
+  }
+}
+
+/**
+ * Describe how a client event is sent
+ * @param {string} event
+ * @returns {{ ack: string, hasPayload: boolean }|null} null for unknown events
+ */
+function describeClientEvent(event) {
+  const definition = Object.hasOwn(schema.clientEvents, event) ? schema.clientEvents[event] : null;
+  if (!definition) {
+    return null;
+  }
+  return { ack: definition.ack, hasPayload: Boolean(definition.payload) };
+}
+
+/**
+ * Validate an incoming payload against its event's schema
+ * @param {string} event
+ * @param {*} payload - undefined for events without one
+ * @returns {{ valid: boolean, code?: string, error?: string, path?: string }}
+ */
+function validatePayload(event, payload) {
+  const definition = Object.hasOwn(schema.clientEvents, event) ? schema.clientEvents[event] : null;
+  if (!definition) {
+    return { valid: false, code: ERROR_CODES.INVALID_REQUEST, error: schema.errors.INVALID_REQUEST, path: event };
+  }
+  if (!definition.payload) {
+    return { valid: true };
+  }
+  const problem = checkValue(definition.payload, payload, 'payload');
+  if (problem) {
+    return { valid: false, code: problem.code, error: schema.errors[problem.code], path: problem.path };
+  }
+  return { valid: true };
+}
+
+/**
+ * Decide whether a client speaking `clientVersion` may connect
+ * @param {*} clientVersion - From the handshake; missing for clients
+ *   that predate versioning
+ * @returns {{ compatible: boolean, code?: string }}
+ */
+function negotiateVersion(clientVersion) {
+  if (!Number.isInteger(clientVersion) || clientVersion < MIN_PROTOCOL_VERSION) {
+    return { compatible: false, code: ERROR_CODES.PROTOCOL_OUTDATED };
+  }
+  // Newer than us: usually mid-deploy, with this instance on its way out
+  if (clientVersion > PROTOCOL_VERSION) {
+    return { compatible: false, code: ERROR_CODES.PROTOCOL_UNSUPPORTED };
+  }
+  return { compatible: true };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  ERROR_CODES,
+  ERROR_MESSAGES: schema.errors,
+  ProtocolError,
+  fail,
+  failFrom,
+  describeClientEvent,
+  validatePayload,
+  negotiateVersion
+};
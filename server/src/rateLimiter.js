@@ -1,76 +1,281 @@
 /**
- * Rate Limiter - Token Bucket Implementation
- * 
- * ARCHITECTURE DECISION:
- * We use a token bucket algorithm because:
- * 1. Simple to implement and understand
- * 2. Allows bursts while enforcing average rate
- * 3. Memory efficient (stores only timestamp + count per user)
- * 4. No external dependencies (Redis, etc.)
- * 
- * TRADE-OFFS:
- * - In-memory storage means limits reset on server restart
- * - Not suitable for distributed systems (would need Redis)
- * - Acceptable for ephemeral chat rooms where persistence isn't needed
+ * Rate Limiter
+ *
+ * ARCHITECTURE DECISIONS:
+ *
+ * 1. ALGORITHM PER LIMITER
+ *    - token-bucket: refills at maxRequests per windowMs, up to burst
+ *      tokens. Allows short bursts while enforcing the average rate
+ *    - sliding-window: weighs the previous window's count by how much
+ *      of it still overlaps, so there is no boundary to burst across
+ *    - fixed-window: a plain counter that resets all at once. Cheapest,
+ *      but a client can send 2x the limit across a window boundary
+ *    - Each stores a few numbers per client, never a request log
+ *
+ * 2. COSTS
+ *    - check() takes a cost, so an expensive event (creating a room)
+ *      can use more of the budget than a cheap one
+ *    - A cost larger than the limit (or burst) is never allowed; its
+ *      resetIn is Infinity, since no amount of waiting helps
+ *
+ * 3. STORAGE
+ *    - Counters live in the shared state store (see store/index.js)
+ *    - With the memory store limits reset on server restart
+ *    - With the Redis store limits are shared by every server instance
+ *    - Entries carry a TTL, so stale clients expire without a sweep
+ *      over every tracked identifier
+ *
+ * 4. TIME
+ *    - Every algorithm reads time from the clock option (Date.now by
+ *      default), so behaviour is deterministic given the clock
+ *
+ * 5. COMPOSITE LIMITS
+ *    - One request can count against several budgets at once (its
+ *      socket, its IP, its room); see checkRateLimits()
  */
 
+const { store: defaultStore } = require('./store');
+const { metrics } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('RateLimiter');
+
+/**
+ * Algorithm definitions
+ *
+ * Each takes the limiter settings and returns:
+ * - ttlMs: how long an untouched entry matters
+ * - consume(state, now, cost): { allowed, state, remaining, resetIn };
+ *   state is what to store (undefined when nothing changed)
+ * - inspect(state, now): { used, remaining, resetIn } or null when the
+ *   entry no longer limits anything
+ */
+const ALGORITHMS = {
+  'token-bucket': ({ maxRequests, windowMs, burst }) => {
+    const capacity = burst ?? maxRequests;
+    const refillPerMs = maxRequests / windowMs;
+
+    const tokensAt = (state, now) => state
+      ? Math.min(capacity, state.tokens + (now - state.updatedAt) * refillPerMs)
+      : capacity;
+    // Time until the bucket holds `tokens` again
+    const msUntil = (tokens, current) => Math.max(0, Math.ceil((tokens - current) / refillPerMs));
+
+    return {
+      // An empty bucket is full again after this long
+      ttlMs: Math.ceil(capacity / refillPerMs),
+
+      consume(state, now, cost) {
+        const tokens = tokensAt(state, now);
+        if (tokens < cost) {
+          const resetIn = cost > capacity ? Infinity : msUntil(cost, tokens);
+          return { allowed: false, remaining: Math.floor(tokens), resetIn };
+        }
+        const left = tokens - cost;
+        return {
+          allowed: true,
+          state: { tokens: left, updatedAt: now },
+          remaining: Math.floor(left),
+          resetIn: msUntil(capacity, left)
+        };
+      },
+
+      inspect(state, now) {
+        const tokens = tokensAt(state, now);
+        if (tokens >= capacity) {
+          return null;
+        }
+        return { used: capacity - tokens, remaining: Math.floor(tokens), resetIn: msUntil(capacity, tokens) };
+      }
+    };
+  },
+
+  'sliding-window': ({ maxRequests, windowMs }) => {
+    // Roll the stored counts forward to the window containing `now`
+    const current = (state, now) => {
+      const windowStart = now - (now % windowMs);
+      if (!state || state.windowStart < windowStart - windowMs) {
+        return { windowStart, count: 0, previousCount: 0 };
+      }
+      if (state.windowStart < windowStart) {
+        return { windowStart, count: 0, previousCount: state.count };
+      }
+      return state;
+    };
+    // Requests counted against `now`: all of this window, plus the
+    // part of the previous window that still overlaps
+    const usedAt = (window, now) =>
+      window.count + window.previousCount * (1 - (now - window.windowStart) / windowMs);
+
+    return {
+      ttlMs: windowMs * 2,
+
+      consume(state, now, cost) {
+        const window = current(state, now);
+        const used = usedAt(window, now);
+        if (used + cost > maxRequests) {
+          // When the previous window alone is the problem, wait for
+          // enough of it to slide out; otherwise for the next window
+          const room = maxRequests - window.count - cost;
+          let resetIn = window.windowStart + windowMs - now;
+          if (cost > maxRequests) {
+            resetIn = Infinity;
+          } else if (room >= 0 && window.previousCount > 0) {
+            resetIn = Math.ceil(windowMs * (1 - room / window.previousCount)) - (now - window.windowStart);
+          }
+          return { allowed: false, remaining: Math.max(0, Math.floor(maxRequests - used)), resetIn };
+        }
+        return {
+          allowed: true,
+          state: { ...window, count: window.count + cost },
+          remaining: Math.floor(maxRequests - used - cost),
+          resetIn: window.windowStart + windowMs - now
+        };
+      },
+
+      inspect(state, now) {
+        const window = current(state, now);
+        const used = usedAt(window, now);
+        if (used <= 0) {
+          return null;
+        }
+        return {
+          used,
+          remaining: Math.max(0, Math.floor(maxRequests - used)),
+          resetIn: window.windowStart + windowMs - now
+        };
+      }
+    };
+  },
+
+  'fixed-window': ({ maxRequests, windowMs }) => {
+    const active = (state, now) => state && now - state.windowStart < windowMs;
+
+    return {
+      ttlMs: windowMs * 2,
+
+      consume(state, now, cost) {
+        const window = active(state, now) ? state : { count: 0, windowStart: now };
+        const resetIn = windowMs - (now - window.windowStart);
+        if (window.count + cost > maxRequests) {
+          return {
+            allowed: false,
+            remaining: maxRequests - window.count,
+            resetIn: cost > maxRequests ? Infinity : resetIn
+          };
+        }
+        const count = window.count + cost;
+        return {
+          allowed: true,
+          state: { count, windowStart: window.windowStart },
+          remaining: maxRequests - count,
+          resetIn
+        };
+      },
+
+      inspect(state, now) {
+        if (!active(state, now)) {
+          return null;
+        }
+        return {
+          used: state.count,
+          remaining: Math.max(0, maxRequests - state.count),
+          resetIn: windowMs - (now - state.windowStart)
+        };
+      }
+    };
+  }
+};
+
 class RateLimiter {
   /**
-   * @param {number} maxRequests - Maximum requests allowed in window
+   * @param {number} maxRequests - Requests allowed per window (for the
+   *   token bucket: tokens added per window)
    * @param {number} windowMs - Time window in milliseconds
+   * @param {object} [options]
+   * @param {string} [options.name] - Namespace for this limiter's keys
+   * @param {string} [options.algorithm] - 'token-bucket', 'sliding-window' or 'fixed-window'
+   * @param {number} [options.burst] - Token bucket size (defaults to maxRequests)
+   * @param {Function} [options.clock] - Returns the time in ms (defaults to Date.now)
+   * @param {object} [options.store] - State store (defaults to shared store)
    */
-  constructor(maxRequests, windowMs) {
+  constructor(maxRequests, windowMs, {
+    name = 'default',
+    algorithm = 'sliding-window',
+    burst = null,
+    clock = Date.now,
+    store = defaultStore
+  } = {}) {
+    const define = ALGORITHMS[algorithm];
+    if (!define) {
+      throw new Error(`Unknown rate limit algorithm "${algorithm}" (expected ${Object.keys(ALGORITHMS).join(', ')})`);
+    }
+
     this.maxRequests = maxRequests;
     this.windowMs = windowMs;
-    
-    // Map of identifier -> { count, windowStart }
-    // Using Map for O(1) lookups
-    this.clients = new Map();
-    
+    this.name = name;
+    this.algorithm = algorithm;
+    this.burst = algorithm === 'token-bucket' ? (burst ?? maxRequests) : null;
+    this.clock = clock;
+    this.store = store;
+    this.strategy = define({ maxRequests, windowMs, burst: this.burst });
+
     // Periodic cleanup to prevent memory leaks from disconnected clients
     // Runs every minute to remove stale entries
     this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
   }
 
   /**
-   * Check if a request should be allowed
+   * Store key for an identifier
+   * @param {string} identifier
+   * @returns {string}
+   */
+  key(identifier) {
+    return `ratelimit:${this.name}:${identifier}`;
+  }
+
+  /**
+   * Check if a request should be allowed, and count it if so
    * @param {string} identifier - Unique client identifier (socket ID)
-   * @returns {object} { allowed: boolean, remaining: number, resetIn: number }
+   * @param {number} [cost] - How much of the budget this request uses
+   * @returns {Promise<object>} { allowed: boolean, remaining: number, resetIn: number }
    */
-  check(identifier) {
-    const now = Date.now();
-    let client = this.clients.get(identifier);
-
-    // New client or window expired - reset
-    if (!client || now - client.windowStart >= this.windowMs) {
-      client = { count: 0, windowStart: now };
-      this.clients.set(identifier, client);
-    }
+  async check(identifier, cost = 1) {
+    const now = this.clock();
+    let result;
 
-    // Check if under limit
-    if (client.count < this.maxRequests) {
-      client.count++;
-      return {
-        allowed: true,
-        remaining: this.maxRequests - client.count,
-        resetIn: this.windowMs - (now - client.windowStart)
-      };
+    // The mutator may run more than once (Redis retries), so it only
+    // computes; counting happens after
+    await this.store.update(this.key(identifier), (state) => {
+      const { state: next, ...outcome } = this.strategy.consume(state, now, cost);
+      result = outcome;
+      return next;
+    }, { ttlMs: this.strategy.ttlMs });
+
+    if (!result.allowed) {
+      metrics.rateLimitRejections.inc({ limiter: this.name });
     }
+    return result;
+  }
 
-    // Rate limited
-    return {
-      allowed: false,
-      remaining: 0,
-      resetIn: this.windowMs - (now - client.windowStart)
-    };
+  /**
+   * Would check() allow this request? Counts nothing
+   * @param {string} identifier
+   * @param {number} [cost]
+   * @returns {Promise<object>} { allowed, remaining, resetIn }
+   */
+  async peek(identifier, cost = 1) {
+    const state = await this.store.get(this.key(identifier));
+    const { state: next, ...outcome } = this.strategy.consume(state, this.clock(), cost);
+    return outcome;
   }
 
   /**
    * Remove a client's rate limit tracking (on disconnect)
-   * @param {string} identifier 
+   * @param {string} identifier
    */
-  remove(identifier) {
-    this.clients.delete(identifier);
+  async remove(identifier) {
+    await this.store.delete(this.key(identifier));
   }
 
   /**
@@ -78,14 +283,9 @@ class RateLimiter {
    * This prevents memory leaks from clients that disconnected
    */
   cleanup() {
-    const now = Date.now();
-    const staleThreshold = this.windowMs * 2; // Keep for 2x window duration
-
-    for (const [identifier, client] of this.clients.entries()) {
-      if (now - client.windowStart > staleThreshold) {
-        this.clients.delete(identifier);
-      }
-    }
+    this.store.prune().catch((error) => {
+      logger.error('cleanup-failed', { limiter: this.name, error });
+    });
   }
 
   /**
@@ -98,17 +298,66 @@ class RateLimiter {
     }
   }
 
+  /**
+   * List identifiers that are currently being limited (for the admin API)
+   * @returns {Promise<object[]>} [{ id, count, remaining, resetIn }]
+   */
+  async getEntries() {
+    const now = this.clock();
+    const prefix = this.key('');
+    const keys = await this.store.keys(prefix);
+    const entries = await Promise.all(keys.map(async (key) => {
+      const usage = this.strategy.inspect(await this.store.get(key), now);
+      if (!usage) {
+        return null;
+      }
+      return {
+        id: key.substring(prefix.length),
+        count: Math.ceil(usage.used),
+        remaining: usage.remaining,
+        resetIn: usage.resetIn
+      };
+    }));
+    return entries.filter(Boolean);
+  }
+
   /**
    * Get current stats (for monitoring)
-   * @returns {object}
+   * @returns {Promise<object>}
    */
-  getStats() {
+  async getStats() {
+    const tracked = await this.store.keys(this.key(''));
     return {
-      trackedClients: this.clients.size,
+      trackedClients: tracked.length,
+      algorithm: this.algorithm,
       maxRequests: this.maxRequests,
-      windowMs: this.windowMs
+      windowMs: this.windowMs,
+      ...(this.burst !== null && { burst: this.burst })
     };
   }
 }
 
-module.exports = { RateLimiter };
+/**
+ * Check a request against several limiters, each with its own key
+ *
+ * Stops at the first refusal. Budgets checked before it keep the
+ * request: a refused attempt still costs something.
+ *
+ * @param {Array<object>} checks - [{ limiter, key, cost?, shared? }], narrowest first;
+ *   shared marks a budget many clients draw from (e.g. a room's)
+ * @returns {Promise<object>} { allowed, remaining, resetIn }, plus on refusal
+ *   limiter (its name) and shared
+ */
+async function checkRateLimits(checks) {
+  let remaining = Infinity;
+  for (const { limiter, key, cost = 1, shared = false } of checks) {
+    const result = await limiter.check(key, cost);
+    if (!result.allowed) {
+      return { ...result, limiter: limiter.name, shared };
+    }
+    remaining = Math.min(remaining, result.remaining);
+  }
+  return { allowed: true, remaining, resetIn: 0 };
+}
+
+module.exports = { RateLimiter, checkRateLimits };
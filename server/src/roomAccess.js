@@ -0,0 +1,131 @@
+/**
+ * Room Access Helpers
+ *
+ * Credentials for private rooms. Nothing secret is ever stored in clear:
+ *
+ * 1. PASSPHRASES
+ *    - Hashed with scrypt and a per-room random salt
+ *    - Verified with a constant-time comparison
+ *
+ * 2. ACCESS TOKENS
+ *    - Issued to the creator and to every admitted user
+ *    - Let a client back in after a reconnect or page refresh without
+ *      re-entering the passphrase or knocking again
+ *    - Only a SHA-256 digest is kept in the room
+ *
+ * 3. RESUME TOKENS
+ *    - Issued to every user on join; name a room and a user id
+ *    - Signed with HMAC-SHA256 (SESSION.SECRET) rather than stored, so
+ *      any instance can check one without a lookup
+ *    - Carry an expiry; they prove who a user was, not that they may
+ *      still enter (access checks run as usual)
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+const TOKEN_BYTES = 24;
+// Far longer than any token we issue; refuse before hashing
+const MAX_RESUME_TOKEN_LENGTH = 512;
+
+/**
+ * Hash a passphrase for storage
+ * @param {string} passphrase
+ * @returns {Promise<{ salt: string, hash: string }>} Hex-encoded salt and hash
+ */
+async function hashPassphrase(passphrase) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(passphrase, salt, KEY_BYTES);
+  return { salt: salt.toString('hex'), hash: hash.toString('hex') };
+}
+
+/**
+ * Check a passphrase against a stored hash
+ * @param {string} passphrase
+ * @param {{ salt: string, hash: string }} stored
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassphrase(passphrase, stored) {
+  if (typeof passphrase !== 'string' || !stored) {
+    return false;
+  }
+  const expected = Buffer.from(stored.hash, 'hex');
+  const actual = await scrypt(passphrase, Buffer.from(stored.salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Create a new access token
+ * @returns {{ token: string, digest: string }} Token for the client, digest for the room
+ */
+function createAccessToken() {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+  return { token, digest: digestToken(token) };
+}
+
+/**
+ * Digest an access token for storage/lookup
+ * @param {string} token
+ * @returns {string}
+ */
+function digestToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+const sign = (payload, secret) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Create a resume token for a user in a room
+ * @param {{ roomId: string, userId: string }} claims
+ * @param {string} secret
+ * @param {number} ttlMs
+ * @returns {string}
+ */
+function createResumeToken({ roomId, userId }, secret, ttlMs) {
+  const payload = Buffer.from(JSON.stringify({ roomId, userId, exp: Date.now() + ttlMs })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Check a resume token's signature and expiry
+ * @param {string} token
+ * @param {string} secret
+ * @returns {{ roomId: string, userId: string }|null} Claims, or null if invalid
+ */
+function verifyResumeToken(token, secret) {
+  if (typeof token !== 'string' || token.length > MAX_RESUME_TOKEN_LENGTH) {
+    return null;
+  }
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) {
+    return null;
+  }
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  try {
+    const { roomId, userId, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (typeof roomId !== 'string' || typeof userId !== 'string' || !(exp > Date.now())) {
+      return null;
+    }
+    return { roomId, userId };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  hashPassphrase,
+  verifyPassphrase,
+  createAccessToken,
+  digestToken,
+  createResumeToken,
+  verifyResumeToken
+};
@@ -0,0 +1,171 @@
+/**
+ * Room Codes
+ *
+ * ARCHITECTURE DECISIONS:
+ *
+ * 1. ONE MODULE FOR GENERATION AND VALIDATION
+ *    - Handlers validate room IDs with isValidRoomCode() instead of
+ *      their own regex, so changing the format is a config change
+ *    - What each format looks like lives in shared/protocol.json
+ *      (roomCodes), which the client checks codes against too
+ *      (client/src/app/room-code.ts); the server adds the configured
+ *      length on top and tells clients its format on connect
+ *
+ * 2. FORMATS (ROOM.CODE_FORMAT)
+ *    - numeric: the classic 4-digit code, or longer (1000-9999 for 4)
+ *    - alphanumeric: lowercase letters and digits without look-alikes
+ *      (no 0/o, 1/i/l), 8 characters by default
+ *    - words: adjective-noun-number, e.g. "amber-fox-42"
+ *
+ * 3. COLLISIONS NEAR CAPACITY
+ *    - Every format numbers its codes 0..size-1 (codeAt), so callers
+ *      can walk the whole space instead of retrying at random forever
+ *    - Random picks use crypto.randomInt: codes are not predictable
+ */
+
+const crypto = require('crypto');
+const { ROOM } = require('./config');
+// Copy of shared/protocol.json (see scripts/sync-protocol.js)
+const { roomCodes } = require('./protocol.json');
+
+const ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+const ADJECTIVES = [
+  'amber', 'azure', 'bold', 'brave', 'bright', 'calm', 'clever', 'cold',
+  'cosmic', 'crimson', 'curly', 'dark', 'dusty', 'eager', 'early', 'fancy',
+  'fast', 'fuzzy', 'gentle', 'giant', 'golden', 'green', 'happy', 'hidden',
+  'humble', 'icy', 'jolly', 'kind', 'late', 'lazy', 'little', 'lucky',
+  'mellow', 'misty', 'noble', 'odd', 'pale', 'plain', 'proud', 'quick',
+  'quiet', 'rapid', 'red', 'rosy', 'royal', 'rusty', 'shy', 'silent',
+  'silver', 'sleepy', 'sly', 'smooth', 'snowy', 'solar', 'stormy', 'sunny',
+  'swift', 'tame', 'tidy', 'tiny', 'violet', 'warm', 'wild', 'witty'
+];
+
+const NOUNS = [
+  'badger', 'bat', 'bear', 'bee', 'bison', 'boar', 'cat', 'cobra',
+  'crab', 'crane', 'crow', 'deer', 'dove', 'duck', 'eagle', 'eel',
+  'falcon', 'ferret', 'finch', 'fox', 'frog', 'gecko', 'goat', 'goose',
+  'hare', 'hawk', 'heron', 'horse', 'ibis', 'koala', 'lark', 'lemur',
+  'lion', 'llama', 'lynx', 'mole', 'moose', 'moth', 'mouse', 'newt',
+  'otter', 'owl', 'panda', 'parrot', 'pike', 'puma', 'quail', 'rabbit',
+  'raven', 'seal', 'shark', 'sloth', 'snail', 'swan', 'tiger', 'toad',
+  'trout', 'turtle', 'viper', 'wasp', 'whale', 'wolf', 'wren', 'yak'
+];
+
+// Two-digit suffix on word codes: 10-99
+const WORD_NUMBERS = 90;
+
+// crypto.randomInt only covers ranges below 2^48
+const MAX_RANDOM_RANGE = 2 ** 48 - 1;
+
+/**
+ * Format definitions
+ *
+ * Each takes the configured length and returns:
+ * - size: number of distinct codes
+ * - codeAt(index): the code for 0 <= index < size
+ * - length: exact code length, or null where codes vary
+ */
+const FORMATS = {
+  numeric: (length = 4) => {
+    const min = 10 ** (length - 1);
+    return {
+      size: 9 * min,
+      codeAt: (index) => String(min + index),
+      length,
+      lengths: [4, 12]
+    };
+  },
+
+  alphanumeric: (length = 8) => ({
+    size: ALPHABET.length ** length,
+    codeAt: (index) => {
+      let code = '';
+      for (let i = 0; i < length; i++) {
+        code = ALPHABET[index % ALPHABET.length] + code;
+        index = Math.floor(index / ALPHABET.length);
+      }
+      return code;
+    },
+    length,
+    lengths: [6, 9]
+  }),
+
+  words: () => ({
+    size: ADJECTIVES.length * NOUNS.length * WORD_NUMBERS,
+    codeAt: (index) => {
+      const number = 10 + (index % WORD_NUMBERS);
+      index = Math.floor(index / WORD_NUMBERS);
+      const noun = NOUNS[index % NOUNS.length];
+      const adjective = ADJECTIVES[Math.floor(index / NOUNS.length)];
+      return `${adjective}-${noun}-${number}`;
+    },
+    length: null,
+    lengths: null
+  })
+};
+
+/**
+ * Build a room code format
+ * @param {string} name - 'numeric', 'alphanumeric' or 'words'
+ * @param {number|null} [length] - Code length, where the format has one
+ * @returns {object} { name, size, codeAt, randomCode, isValid }
+ */
+function createRoomCodeFormat(name, length = null) {
+  const define = FORMATS[name];
+  if (!define) {
+    throw new Error(`Unknown room code format "${name}" (expected ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  const format = define(length || undefined);
+  if (length && format.lengths) {
+    const [min, max] = format.lengths;
+    if (length < min || length > max) {
+      throw new Error(`Room code length for "${name}" must be ${min}-${max}`);
+    }
+  }
+  const pattern = new RegExp(roomCodes[name].pattern);
+
+  return {
+    name,
+    size: format.size,
+    codeAt: format.codeAt,
+
+    /**
+     * Pick a code uniformly at random
+     * @returns {string}
+     */
+    randomCode() {
+      return format.codeAt(crypto.randomInt(Math.min(format.size, MAX_RANDOM_RANGE)));
+    },
+
+    /**
+     * Check that a value is a well-formed code of this format
+     * @param {*} code
+     * @returns {boolean}
+     */
+    isValid(code) {
+      return typeof code === 'string'
+        && pattern.test(code)
+        && (format.length === null || code.length === format.length);
+    }
+  };
+}
+
+// The format this server hands out and accepts
+const roomCode = createRoomCodeFormat(ROOM.CODE_FORMAT, ROOM.CODE_LENGTH);
+
+/**
+ * Validate a room ID from a client
+ * @param {*} roomId
+ * @returns {boolean}
+ */
+function isValidRoomCode(roomId) {
+  return roomCode.isValid(roomId);
+}
+
+module.exports = {
+  roomCode,
+  createRoomCodeFormat,
+  isValidRoomCode
+};
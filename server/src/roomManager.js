@@ -1,67 +1,256 @@
 /**
- * In-memory Room Manager
+ * Room Manager
  * 
  * ARCHITECTURE DECISIONS:
  * 
- * 1. WHY IN-MEMORY?
+ * 1. WHY A PLUGGABLE STORE?
  *    - Rooms are ephemeral by design (no persistence needed)
- *    - Simplifies architecture (no database dependencies)
- *    - Fast O(1) lookups with Map data structures
- *    - Acceptable trade-off: data lost on server restart
+ *    - Default memory store: no external dependencies, data lost on restart
+ *    - Redis store: rooms shared between server instances
+ *    - All room state goes through the store (see store/index.js), so
+ *      every method that touches it is async
  * 
  * 2. WHY SINGLETON?
- *    - Single source of truth for room state
- *    - Avoids synchronization issues between instances
+ *    - One manager per process, backed by the shared store
  *    - Easy to access from socket handlers
+ *    - Tests and tools can build their own with a different store
  * 
- * 3. DATA STRUCTURE CHOICES:
- *    - Map for rooms: O(1) lookup by roomId
- *    - Map for userSockets: O(1) lookup for disconnect handling
+ * 3. DATA LAYOUT:
+ *    - room:<roomId> -> Room object (users is a Map keyed by socketId)
+ *    - socket:<socketId> -> { roomId, id, name }
+ *      Reverse index for efficient disconnect handling
  *    - Dual tracking allows efficient cleanup from either direction
+ *    - Mutations use store.update() so concurrent handlers (on this
+ *      or another instance) never overwrite each other's changes
+ * 
+ * 4. OWNERSHIP & MODERATION:
+ *    - room.ownerSocketId: the creator, passed on when the owner leaves
+ *    - room.mutes: userId -> muted-until timestamp
+ *    - room.mutedFingerprints: the same deadline by IP fingerprint, so
+ *      leaving and rejoining under a new user id doesn't lift a mute
+ *    - room.bans: IP fingerprints, salted per room so raw IPs are
+ *      never stored
+ * 
+ * 5. ATTACHMENTS:
+ *    - File bytes live under their own store keys (file:<roomId>:<id>)
+ *      so room updates don't rewrite them
+ *    - room.attachmentBytes tracks reserved + stored bytes for the quota
+ * 
+ * 6. ROOM CODES:
+ *    - Format and generation live in roomCode.js
+ *    - createRoom() tries a few random codes, then walks the code space
+ *      so a nearly full server still finds the free ones
+ * 
+ * 7. HELD SLOTS (SESSION RESUME):
+ *    - holdUser() keeps a dropped user in room.users, marked with
+ *      disconnectedAt, so their id, name and ownership survive a
+ *      reconnect; the socket layer releases them if nobody resumes
+ *    - joinRoom() with a valid resume token moves a held slot to the
+ *      new socket, keeping its place in join order
+ *
+ * 8. ERRORS:
+ *    - Refusals a user should see (room full, wrong passphrase) throw a
+ *      ProtocolError with a code from the wire protocol (protocol.js);
+ *      the socket layer passes them on as they are
+ *
+ * 9. SEQUENCE NUMBERS & IDEMPOTENCY:
+ *    - room.seq counts stored messages; addMessage() stamps each one
+ *      with the next number inside the same store update, so numbers
+ *      are gapless and ordered even across instances
+ *    - Messages keep the sender's clientMessageId; a second message
+ *      with the same one from the same sender is not stored again.
+ *      Keys are remembered as long as the message stays in history
+ *
+ * 10. DISAPPEARING MESSAGES:
+ *    - room.messageLifetimeMs, set at creation, stamps each stored
+ *      message with expiresAt
+ *    - expireMessages() removes what is due; the socket layer calls it
+ *      from its timer wheel and tells clients
+ *    - Reads skip expired messages too, so a message whose timer was on
+ *      an instance that went away is still never served
+ *    - Reply quotes of an expired message lose their excerpt
+ *
+ * 11. ROOM LIFETIME LIMITS:
+ *    - Rooms close at ROOM.MAX_AGE_MS, or after ROOM.IDLE_TIMEOUT_MS
+ *      since room.lastActivityAt (the last stored message), even with
+ *      users still connected
+ *    - checkLifetime() says when to warn and when to close; the warning
+ *      is claimed in a store update (room.closeWarnedAt), so only one
+ *      instance sends it. Closing is left to the socket layer
+ *
+ * 12. ROOM SETTINGS:
+ *    - room.settings: topic, a user cap (maxUsers, within ROOM.MAX_USERS),
+ *      slow mode and announcement mode; set at creation, changed by the
+ *      owner with updateSettings()
+ *    - The cap is enforced in joinRoom(); claimPostSlot() enforces the
+ *      other two when someone posts. The owner is exempt from both
+ *    - Announcement mode also stops edits (editMessage()), so messages
+ *      from before it was turned on can't be rewritten. Edits don't
+ *      count toward slow mode: they add nothing new, and the message
+ *      rate limit and edit window already bound them
+ *    - room.lastPostAt: userId -> time of their last post, for slow mode
+ */
+
+const crypto = require('crypto');
+const { ROOM, MESSAGE, USERNAME, UPLOAD, SESSION } = require('./config');
+const { store: defaultStore } = require('./store');
+const { roomCode: defaultRoomCode } = require('./roomCode');
+const { metrics } = require('./metrics');
+const { createLogger } = require('./logger');
+const { ProtocolError, ERROR_CODES } = require('./protocol');
+const {
+  hashPassphrase,
+  verifyPassphrase,
+  createAccessToken,
+  digestToken,
+  createResumeToken,
+  verifyResumeToken
+} = require('./roomAccess');
+
+const logger = createLogger('RoomManager');
+
+const roomKey = (roomId) => `room:${roomId}`;
+const socketKey = (socketId) => `socket:${socketId}`;
+const fileKey = (roomId, fileId) => `file:${roomId}:${fileId}`;
+
+// Access tokens kept per private room (oldest are dropped first)
+const MAX_ACCESS_TOKENS = 500;
+
+// Random room codes to try before walking the code space
+const RANDOM_CODE_ATTEMPTS = 10;
+
+/**
+ * Whether a message's lifetime has run out
+ * @param {object} message 
+ * @param {number} now 
+ * @returns {boolean}
+ */
+function hasExpired(message, now) {
+  return Boolean(message.expiresAt) && new Date(message.expiresAt).getTime() <= now;
+}
+
+// Settings of a room nobody has configured
+const DEFAULT_SETTINGS = {
+  topic: '',
+  maxUsers: null, // null: ROOM.MAX_USERS
+  slowModeSec: 0,
+  announcementOnly: false
+};
+
+/**
+ * A room's settings, with defaults for rooms stored before they existed
+ * @param {object} room 
+ * @returns {object}
+ */
+function readSettings(room) {
+  return { ...DEFAULT_SETTINGS, ...room.settings };
+}
+
+/**
+ * Most users a room takes: its own cap or the server's, whichever is lower
+ * @param {object} room 
+ * @returns {number} 0 for no limit
+ */
+function userCap(room) {
+  const { maxUsers } = readSettings(room);
+  if (!maxUsers) {
+    return ROOM.MAX_USERS;
+  }
+  return ROOM.MAX_USERS > 0 ? Math.min(maxUsers, ROOM.MAX_USERS) : maxUsers;
+}
+
+/**
+ * When a room's age or idle limit closes it, whichever comes first
+ * @param {object} room 
+ * @returns {{ at: number, reason: 'expired'|'idle' }|null} null with no limits set
+ */
+function closingDeadline(room) {
+  const deadlines = [];
+  if (ROOM.MAX_AGE_MS > 0) {
+    deadlines.push({ at: new Date(room.createdAt).getTime() + ROOM.MAX_AGE_MS, reason: 'expired' });
+  }
+  if (ROOM.IDLE_TIMEOUT_MS > 0) {
+    // Rooms stored before activity was tracked count from creation
+    const lastActivity = new Date(room.lastActivityAt || room.createdAt).getTime();
+    deadlines.push({ at: lastActivity + ROOM.IDLE_TIMEOUT_MS, reason: 'idle' });
+  }
+  return deadlines.reduce((first, deadline) => (!first || deadline.at < first.at ? deadline : first), null);
+}
+
+/**
+ * Find a sender's stored message by the key their client sent with it
+ * @param {object} room 
+ * @param {string} senderId 
+ * @param {string} [clientMessageId] 
+ * @returns {object|null}
  */
+function findSent(room, senderId, clientMessageId) {
+  if (!clientMessageId) {
+    return null;
+  }
+  return room.messages.find(m => m.clientMessageId === clientMessageId && m.senderId === senderId) || null;
+}
 
-const { ROOM, MESSAGE, USERNAME } = require('./config');
+/**
+ * Convert a stored message to what clients receive
+ * 
+ * Reactions are held as Map<emoji, Set<userId>>, which Socket.IO
+ * would serialize as {}; clients get { emoji: [userId, ...] }.
+ * 
+ * @param {object} message 
+ * @returns {object}
+ */
+function serializeMessage(message) {
+  if (!message.reactions) {
+    return message;
+  }
+  const reactions = {};
+  for (const [emoji, userIds] of message.reactions) {
+    reactions[emoji] = Array.from(userIds);
+  }
+  return { ...message, reactions };
+}
 
 class RoomManager {
-  constructor() {
-    // Primary data stores
-    // rooms: roomId -> Room object
-    this.rooms = new Map();
-    // userSockets: socketId -> { roomId, userId, userName }
-    // Reverse index for efficient disconnect handling
-    this.userSockets = new Map();
+  /**
+   * @param {object} [store] - State store (defaults to shared store)
+   * @param {object} [roomCode] - Room code format (defaults to ROOM.CODE_FORMAT)
+   */
+  constructor(store = defaultStore, roomCode = defaultRoomCode) {
+    this.store = store;
+    this.roomCode = roomCode;
     
     // Cleanup timers for delayed room destruction
     // roomId -> timeoutId
+    // Timers are local to this instance; the callback re-checks the
+    // shared room state before destroying anything
     this.cleanupTimers = new Map();
   }
 
   /**
-   * Generate a unique 4-digit room code
+   * Candidate codes for a new room
    * 
-   * WHY 4 DIGITS?
-   * - Easy to communicate verbally
-   * - 9000 possible codes (1000-9999) is sufficient for expected load
-   * - Collision handled by retry loop
+   * Random picks first; while the space is mostly free one of them
+   * almost always works. If they all collide the server is near
+   * capacity, so walk every code from a random starting point,
+   * skipping the ones known to be taken.
    * 
-   * @returns {string} 4-digit room code
+   * @returns {AsyncGenerator<string>}
    */
-  generateRoomCode() {
-    // Guard against infinite loop if all codes are taken
-    const maxAttempts = 100;
-    let attempts = 0;
-    let code;
+  async *candidateRoomCodes() {
+    for (let attempt = 0; attempt < RANDOM_CODE_ATTEMPTS; attempt++) {
+      yield this.roomCode.randomCode();
+    }
     
-    do {
-      code = Math.floor(1000 + Math.random() * 9000).toString();
-      attempts++;
-      
-      if (attempts >= maxAttempts) {
-        throw new Error('Unable to generate unique room code. Server at capacity.');
+    const taken = new Set(await this.getRoomIds());
+    const { size } = this.roomCode;
+    const start = Math.floor(Math.random() * size);
+    for (let offset = 0; offset < size; offset++) {
+      const code = this.roomCode.codeAt((start + offset) % size);
+      if (!taken.has(code)) {
+        yield code;
       }
-    } while (this.rooms.has(code));
-    
-    return code;
+    }
   }
 
   /**
@@ -99,88 +288,388 @@ class RoomManager {
    * Create a new room
    * 
    * ROOM LIFECYCLE:
-   * 1. Created when first user requests
+   * 1. Created when first user requests, under a free code (see
+   *    candidateRoomCodes)
    * 2. Active while users are present
    * 3. Destroyed when last user leaves (immediate or delayed based on config)
    * 
-   * @returns {object} Room object with roomId
+   * PRIVATE ROOMS:
+   * - passphrase: stored as a salted scrypt hash, required to join
+   * - requireApproval ("knock" mode): joins wait for a member to approve
+   * - encrypted: end-to-end encrypted; the key never reaches the server
+   * 
+   * @param {object} [options]
+   * @param {string} [options.passphrase] - Optional join passphrase
+   * @param {boolean} [options.requireApproval] - Hold joins for approval
+   * @param {boolean} [options.encrypted] - Messages are client-side ciphertext
+   * @param {string[]} [options.filters] - Extra message filter rules (ignored when encrypted)
+   * @param {number} [options.messageLifetimeMs] - Messages disappear this long
+   *   after they are sent; 0 keeps them
+   * @param {object} [options.settings] - Initial room settings (already
+   *   validated); see updateSettings
+   * @param {string} [options.ownerSocketId] - Creator's socket, the first owner
+   * @returns {Promise<object>} Room object with roomId
    */
-  createRoom() {
+  async createRoom({
+    passphrase = null,
+    requireApproval = false,
+    encrypted = false,
+    filters = [],
+    messageLifetimeMs = 0,
+    settings = {},
+    ownerSocketId = null
+  } = {}) {
     // Check room limit
-    if (ROOM.MAX_ROOMS > 0 && this.rooms.size >= ROOM.MAX_ROOMS) {
-      throw new Error('Server at capacity. Please try again later.');
+    if (ROOM.MAX_ROOMS > 0 && (await this.getRoomIds()).length >= ROOM.MAX_ROOMS) {
+      throw new ProtocolError(ERROR_CODES.SERVER_AT_CAPACITY);
     }
     
-    const roomId = this.generateRoomCode();
-    const room = {
-      id: roomId,
-      users: new Map(), // socketId -> { id, name }
-      createdAt: new Date(),
-      messages: []
+    const access = {
+      passphrase: passphrase ? await hashPassphrase(passphrase) : null,
+      requireApproval: Boolean(requireApproval),
+      tokens: new Set(), // SHA-256 digests of issued access tokens
+      joinRequests: new Map() // requestId -> { id, socketId, name, requestedAt }
     };
     
-    this.rooms.set(roomId, room);
-    console.log(`[RoomManager] Room created: ${roomId}`);
-    return room;
+    for await (const roomId of this.candidateRoomCodes()) {
+      const room = {
+        id: roomId,
+        users: new Map(), // socketId -> { id, name }
+        createdAt: new Date(),
+        // Last stored message, for the idle limit
+        lastActivityAt: new Date(),
+        messages: [],
+        seq: 0, // Sequence number of the last stored message
+        access,
+        // End-to-end encrypted: content is opaque ciphertext to us
+        encrypted: Boolean(encrypted),
+        // Message filter rules the creator turned on (see messageFilter.js)
+        filters: encrypted ? [] : filters,
+        // Disappearing messages: 0 keeps them (see expireMessages)
+        messageLifetimeMs,
+        settings: { ...DEFAULT_SETTINGS, ...settings },
+        lastPostAt: new Map(), // userId -> ms, for slow mode
+        ownerSocketId,
+        mutes: new Map(), // userId -> muted-until (ms)
+        mutedFingerprints: new Map(), // IP fingerprint -> muted-until (ms)
+        bans: new Set(), // IP fingerprints
+        banSalt: crypto.randomBytes(16).toString('hex'),
+        attachmentBytes: 0
+      };
+      
+      // Atomic claim: fails if the code is taken, even on another instance
+      if (await this.store.add(roomKey(roomId), room)) {
+        logger.info('room-created', { roomId });
+        return room;
+      }
+    }
+    
+    throw new ProtocolError(ERROR_CODES.SERVER_AT_CAPACITY, 'Unable to generate unique room code. Server at capacity.');
+  }
+
+  /**
+   * List the IDs of all rooms
+   * @returns {Promise<string[]>}
+   */
+  async getRoomIds() {
+    const keys = await this.store.keys(roomKey(''));
+    return keys.map(key => key.substring(roomKey('').length));
   }
 
   /**
    * Check if a room exists
    * @param {string} roomId 
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    */
-  roomExists(roomId) {
-    return this.rooms.has(roomId);
+  async roomExists(roomId) {
+    return (await this.store.get(roomKey(roomId))) !== null;
   }
 
   /**
    * Get room by ID
+   * 
+   * NOTE: Returns a snapshot. Changes must go through RoomManager
+   * methods, which write back to the store.
+   * 
    * @param {string} roomId 
-   * @returns {object|null}
+   * @returns {Promise<object|null>}
    */
-  getRoom(roomId) {
-    return this.rooms.get(roomId) || null;
+  async getRoom(roomId) {
+    return this.store.get(roomKey(roomId));
   }
 
   /**
-   * Add user to a room
+   * Describe what a room requires before joining
+   * @param {string} roomId 
+   * @returns {Promise<object|null>} { requiresPassphrase, requiresApproval, encrypted }
+   */
+  async getAccessInfo(roomId) {
+    const room = await this.getRoom(roomId);
+    if (!room) {
+      return null;
+    }
+    return {
+      requiresPassphrase: Boolean(room.access.passphrase),
+      requiresApproval: room.access.requireApproval,
+      encrypted: Boolean(room.encrypted)
+    };
+  }
+
+  /**
+   * Whether a room is end-to-end encrypted
+   * @param {string} roomId 
+   * @returns {Promise<boolean>}
+   */
+  async isEncrypted(roomId) {
+    const room = await this.getRoom(roomId);
+    return Boolean(room?.encrypted);
+  }
+
+  /**
+   * Message filter rules a room's creator turned on
+   * @param {string} roomId 
+   * @returns {Promise<string[]>}
+   */
+  async getFilters(roomId) {
+    const room = await this.getRoom(roomId);
+    return room?.filters || [];
+  }
+
+  /**
+   * How long messages last in a room
+   * @param {string} roomId 
+   * @returns {Promise<number>} Milliseconds, or 0 if they don't expire
+   */
+  async getMessageLifetime(roomId) {
+    const room = await this.getRoom(roomId);
+    return room?.messageLifetimeMs || 0;
+  }
+
+  /**
+   * Decide whether a socket may join a room
    * 
-   * IMPORTANT: This method handles the case where a user might be
-   * in another room already (e.g., stale connection). We clean up
-   * the old room membership before adding to the new one.
+   * ORDER OF CHECKS:
+   * 1. Current members and valid access token holders are let straight in
+   * 2. Passphrase, if the room has one
+   * 3. Knock mode: the join must be approved by a member
    * 
    * @param {string} roomId 
    * @param {string} socketId 
-   * @param {string} [preferredName] - Optional preferred username (from session)
-   * @returns {object} User info { id, name }
+   * @param {object} [credentials]
+   * @param {string} [credentials.passphrase]
+   * @param {string} [credentials.accessToken]
+   * @param {string} [credentials.clientIP] - Checked against room bans
+   * @returns {Promise<'granted'|'knock'>}
    */
-  joinRoom(roomId, socketId, preferredName = null) {
-    const room = this.rooms.get(roomId);
+  async authorizeJoin(roomId, socketId, { passphrase = null, accessToken = null, clientIP = null } = {}) {
+    const room = await this.getRoom(roomId);
     if (!room) {
-      throw new Error('Room not found');
+      throw new ProtocolError(ERROR_CODES.ROOM_NOT_FOUND);
     }
+    
+    // Bans beat every credential, including access tokens
+    if (clientIP && room.bans.has(this.fingerprint(room, clientIP))) {
+      throw new ProtocolError(ERROR_CODES.BANNED);
+    }
+    
+    const { access } = room;
+    if (room.users.has(socketId)) {
+      return 'granted';
+    }
+    if (typeof accessToken === 'string' && access.tokens.has(digestToken(accessToken))) {
+      return 'granted';
+    }
+    
+    if (access.passphrase) {
+      if (!passphrase) {
+        throw new ProtocolError(ERROR_CODES.PASSPHRASE_REQUIRED);
+      }
+      if (!(await verifyPassphrase(passphrase, access.passphrase))) {
+        throw new ProtocolError(ERROR_CODES.PASSPHRASE_INCORRECT);
+      }
+    }
+    
+    if (access.requireApproval) {
+      // Nobody could answer the knock
+      if (room.users.size === 0) {
+        throw new ProtocolError(ERROR_CODES.NO_APPROVER);
+      }
+      return 'knock';
+    }
+    
+    return 'granted';
+  }
 
-    // Check room capacity
-    if (ROOM.MAX_USERS > 0 && room.users.size >= ROOM.MAX_USERS) {
-      throw new Error('Room is full');
+  /**
+   * Check for a credential from an earlier admission to this room: an
+   * access token the room issued, or a resume token signed for it
+   * @param {string} roomId 
+   * @param {object} credentials
+   * @param {string} [credentials.accessToken]
+   * @param {string} [credentials.resumeToken]
+   * @returns {Promise<boolean>}
+   */
+  async holdsRoomToken(roomId, { accessToken = null, resumeToken = null } = {}) {
+    if (resumeToken && verifyResumeToken(resumeToken, SESSION.SECRET)?.roomId === roomId) {
+      return true;
     }
+    if (typeof accessToken !== 'string') {
+      return false;
+    }
+    const room = await this.getRoom(roomId);
+    return Boolean(room) && room.access.tokens.has(digestToken(accessToken));
+  }
 
-    // Cancel any pending cleanup for this room
-    this.cancelRoomCleanup(roomId);
+  /**
+   * Issue an access token for a private room
+   * 
+   * Public rooms need no token, so none is issued.
+   * 
+   * @param {string} roomId 
+   * @returns {Promise<string|null>} Token to hand to the client
+   */
+  async issueAccessToken(roomId) {
+    const { token, digest } = createAccessToken();
+    let issued = false;
+    
+    await this.store.update(roomKey(roomId), (room) => {
+      if (!room || (!room.access.passphrase && !room.access.requireApproval)) {
+        issued = false;
+        return undefined;
+      }
+      room.access.tokens.add(digest);
+      while (room.access.tokens.size > MAX_ACCESS_TOKENS) {
+        room.access.tokens.delete(room.access.tokens.values().next().value);
+      }
+      issued = true;
+      return room;
+    });
+    
+    return issued ? token : null;
+  }
+
+  /**
+   * Issue a resume token for a user in a room
+   * @param {string} roomId 
+   * @param {string} userId 
+   * @returns {string}
+   */
+  issueResumeToken(roomId, userId) {
+    return createResumeToken({ roomId, userId }, SESSION.SECRET, SESSION.RESUME_TOKEN_TTL_MS);
+  }
+
+  /**
+   * Queue a join request in a knock-mode room
+   * 
+   * A socket has at most one pending request per room; asking again
+   * returns the existing request.
+   * 
+   * @param {string} roomId 
+   * @param {string} socketId 
+   * @param {string} [preferredName]
+   * @param {string} [clientIP] - Fingerprinted so an approved knock can be banned
+   * @returns {Promise<object>} Request { id, socketId, name, requestedAt }
+   */
+  async addJoinRequest(roomId, socketId, preferredName = null, clientIP = null) {
+    const name = this.sanitizeUserName(preferredName) || this.generateUserName();
+    const requestId = `req_${crypto.randomBytes(8).toString('hex')}`;
+    let request;
+    
+    await this.store.update(roomKey(roomId), (room) => {
+      if (!room) {
+        throw new ProtocolError(ERROR_CODES.ROOM_NOT_FOUND);
+      }
+      
+      const { joinRequests } = room.access;
+      for (const existing of joinRequests.values()) {
+        if (existing.socketId === socketId) {
+          request = existing;
+          return undefined;
+        }
+      }
+      
+      if (joinRequests.size >= ROOM.MAX_PENDING_JOINS) {
+        throw new ProtocolError(ERROR_CODES.TOO_MANY_JOIN_REQUESTS);
+      }
+      
+      request = { id: requestId, socketId, name, requestedAt: new Date() };
+      if (clientIP) {
+        // Carried over to the member entry if the knock is approved
+        request.fingerprint = this.fingerprint(room, clientIP);
+      }
+      joinRequests.set(requestId, request);
+      return room;
+    });
+    
+    return request;
+  }
+
+  /**
+   * Remove a pending join request
+   * @param {string} roomId 
+   * @param {object} match - { requestId } or { socketId }
+   * @returns {Promise<object|null>} The removed request
+   */
+  async removeJoinRequest(roomId, { requestId = null, socketId = null }) {
+    let removed = null;
+    
+    await this.store.update(roomKey(roomId), (room) => {
+      removed = null;
+      if (!room) {
+        return undefined;
+      }
+      
+      for (const request of room.access.joinRequests.values()) {
+        if (request.id === requestId || request.socketId === socketId) {
+          removed = request;
+          break;
+        }
+      }
+      if (!removed) {
+        return undefined;
+      }
+      
+      room.access.joinRequests.delete(removed.id);
+      return room;
+    });
+    
+    return removed;
+  }
 
+  /**
+   * Add user to a room
+   * 
+   * IMPORTANT: This method handles the case where a user might be
+   * in another room already (e.g., stale connection). We clean up
+   * the old room membership before adding to the new one.
+   * 
+   * RESUMING:
+   * A valid resume token for this room whose user is held (see
+   * holdUser) moves that slot to this socket, returning resumed: true.
+   * If the slot has already been released, the user id is reused for
+   * an ordinary join.
+   * 
+   * @param {string} roomId 
+   * @param {string} socketId 
+   * @param {string} [preferredName] - Optional preferred username (from session)
+   * @param {object} [origin] - Remembered as a fingerprint so the owner can ban
+   * @param {string} [origin.clientIP] - Direct joins
+   * @param {string} [origin.fingerprint] - Approved knocks (from the join request)
+   * @param {string} [origin.resumeToken] - From an earlier join
+   * @returns {Promise<object>} User info { id, name, resumed }
+   */
+  async joinRoom(roomId, socketId, preferredName = null, { clientIP = null, fingerprint = null, resumeToken = null } = {}) {
     // Check if user is already in another room - clean up first
-    const existingUserInfo = this.userSockets.get(socketId);
+    const existingUserInfo = await this.store.get(socketKey(socketId));
     if (existingUserInfo && existingUserInfo.roomId !== roomId) {
-      this.leaveRoom(existingUserInfo.roomId, socketId);
+      await this.leaveRoom(existingUserInfo.roomId, socketId);
     }
 
-    // Check if user is already in this room (reconnection scenario)
-    if (room.users.has(socketId)) {
-      return room.users.get(socketId);
-    }
+    const claims = resumeToken ? verifyResumeToken(resumeToken, SESSION.SECRET) : null;
+    const resumeUserId = claims?.roomId === roomId ? claims.userId : null;
 
     // Generate or use preferred username
-    const userId = `user_${socketId.substring(0, 8)}`;
+    const newUserId = `user_${socketId.substring(0, 8)}`;
     let userName;
     
     if (preferredName) {
@@ -189,13 +678,85 @@ class RoomManager {
     } else {
       userName = this.generateUserName();
     }
-    
-    const userInfo = { id: userId, name: userName };
-    room.users.set(socketId, userInfo);
-    this.userSockets.set(socketId, { roomId, ...userInfo });
 
-    console.log(`[RoomManager] User ${userName} (${socketId}) joined room ${roomId}. Users: ${room.users.size}`);
-    return userInfo;
+    let userInfo;
+    let heldSocketId = null;
+    const room = await this.store.update(roomKey(roomId), (room) => {
+      heldSocketId = null;
+      let userId = newUserId;
+      if (!room) {
+        throw new ProtocolError(ERROR_CODES.ROOM_NOT_FOUND);
+      }
+
+      // Check if user is already in this room (reconnection scenario)
+      if (room.users.has(socketId)) {
+        userInfo = room.users.get(socketId);
+        return undefined;
+      }
+
+      if (resumeUserId) {
+        const [previousSocketId, previous] = Array.from(room.users)
+          .find(([, user]) => user.id === resumeUserId) || [null, null];
+        if (previous?.disconnectedAt) {
+          // Same slot, new socket: rebuild the Map to keep join order
+          const { disconnectedAt, ...restored } = previous;
+          if (clientIP || fingerprint) {
+            restored.fingerprint = fingerprint || this.fingerprint(room, clientIP);
+          }
+          userInfo = { ...restored, resumed: true };
+          heldSocketId = previousSocketId;
+          room.users = new Map(Array.from(room.users, ([memberSocketId, user]) =>
+            memberSocketId === previousSocketId ? [socketId, restored] : [memberSocketId, user]));
+          if (room.ownerSocketId === previousSocketId || !room.ownerSocketId) {
+            room.ownerSocketId = socketId;
+          }
+          return room;
+        }
+        // Released already: same id, fresh slot - unless it's in use
+        if (!previous) {
+          userId = resumeUserId;
+        }
+      }
+
+      // Check room capacity
+      const cap = userCap(room);
+      if (cap > 0 && room.users.size >= cap) {
+        throw new ProtocolError(ERROR_CODES.ROOM_FULL);
+      }
+
+      userInfo = { id: userId, name: userName };
+      if (clientIP || fingerprint) {
+        userInfo.fingerprint = fingerprint || this.fingerprint(room, clientIP);
+        // Muted from this address under another id: the mute comes along
+        const mutedUntil = room.mutedFingerprints?.get(userInfo.fingerprint) || 0;
+        if (mutedUntil > Date.now()) {
+          room.mutes.set(userId, mutedUntil);
+        }
+      }
+      room.users.set(socketId, userInfo);
+      
+      // A room whose creator never arrived is owned by its first member
+      if (!room.ownerSocketId) {
+        room.ownerSocketId = socketId;
+      }
+      return room;
+    });
+
+    // Cancel any pending cleanup for this room
+    this.cancelRoomCleanup(roomId);
+
+    const { resumed = false, ...stored } = userInfo;
+    if (heldSocketId) {
+      await this.store.delete(socketKey(heldSocketId));
+    }
+    await this.store.set(socketKey(socketId), { roomId, ...stored });
+
+    if (resumed) {
+      logger.info('user-resumed', { roomId, socketId, previousSocketId: heldSocketId, users: room.users.size });
+    } else {
+      logger.info('user-joined', { roomId, socketId, name: userInfo.name, users: room.users.size });
+    }
+    return { ...stored, resumed };
   }
 
   /**
@@ -206,57 +767,82 @@ class RoomManager {
    * 1. Delete immediately (CLEANUP_DELAY_MS = 0)
    * 2. Wait a bit for reconnections (CLEANUP_DELAY_MS > 0)
    * 
+   * OWNERSHIP:
+   * If the owner leaves, ownership passes to the longest-present
+   * member who is still connected (Map keeps insertion order; held
+   * members are skipped). The returned info carries `newOwner` so
+   * callers can announce it.
+   * 
    * @param {string} roomId 
    * @param {string} socketId 
-   * @returns {object|null} Removed user info, or null if not found
+   * @returns {Promise<object|null>} Removed user info { id, name, newOwner }, or null if not found
    */
-  leaveRoom(roomId, socketId) {
-    const room = this.rooms.get(roomId);
-    if (!room) {
-      return null;
-    }
+  async leaveRoom(roomId, socketId) {
+    let userInfo = null;
+    let newOwner = null;
+    const room = await this.store.update(roomKey(roomId), (room) => {
+      userInfo = room ? room.users.get(socketId) || null : null;
+      newOwner = null;
+      if (!userInfo) {
+        return undefined;
+      }
+      room.users.delete(socketId);
+      
+      if (room.ownerSocketId === socketId) {
+        // Held members can't act as owner; with nobody else present the
+        // room is ownerless until someone arrives or resumes
+        const [nextSocketId, nextUser] = Array.from(room.users)
+          .find(([, user]) => !user.disconnectedAt) || [null, null];
+        room.ownerSocketId = nextSocketId;
+        newOwner = nextUser ? { id: nextUser.id, name: nextUser.name } : null;
+      }
+      return room;
+    });
 
-    const userInfo = room.users.get(socketId);
     if (!userInfo) {
       return null;
     }
     
-    room.users.delete(socketId);
-    this.userSockets.delete(socketId);
+    await this.store.delete(socketKey(socketId));
     
-    console.log(`[RoomManager] User ${userInfo.name} left room ${roomId}. Users: ${room.users.size}`);
+    logger.info('user-left', { roomId, socketId, name: userInfo.name, users: room.users.size });
 
     // Schedule room cleanup if empty
     if (room.users.size === 0) {
-      this.scheduleRoomCleanup(roomId);
+      await this.scheduleRoomCleanup(roomId);
     }
 
-    return userInfo;
+    return { id: userInfo.id, name: userInfo.name, newOwner };
   }
 
   /**
    * Schedule room cleanup after delay
    * @param {string} roomId 
    */
-  scheduleRoomCleanup(roomId) {
+  async scheduleRoomCleanup(roomId) {
     // Cancel existing timer if any
     this.cancelRoomCleanup(roomId);
     
     if (ROOM.CLEANUP_DELAY_MS <= 0) {
       // Immediate cleanup
-      this.destroyRoom(roomId);
+      await this.destroyRoom(roomId);
     } else {
       // Delayed cleanup - allows for reconnection
-      const timerId = setTimeout(() => {
-        const room = this.rooms.get(roomId);
-        if (room && room.users.size === 0) {
-          this.destroyRoom(roomId);
-        }
+      const timerId = setTimeout(async () => {
         this.cleanupTimers.delete(roomId);
+        try {
+          // Re-check shared state: someone may have joined via another instance
+          const room = await this.getRoom(roomId);
+          if (room && room.users.size === 0) {
+            await this.destroyRoom(roomId);
+          }
+        } catch (error) {
+          logger.error('room-cleanup-failed', { roomId, error });
+        }
       }, ROOM.CLEANUP_DELAY_MS);
       
       this.cleanupTimers.set(roomId, timerId);
-      console.log(`[RoomManager] Room ${roomId} scheduled for cleanup in ${ROOM.CLEANUP_DELAY_MS}ms`);
+      logger.info('room-cleanup-scheduled', { roomId, delayMs: ROOM.CLEANUP_DELAY_MS });
     }
   }
 
@@ -272,25 +858,78 @@ class RoomManager {
     }
   }
 
+  /**
+   * Stop pending room cleanups (for graceful shutdown)
+   */
+  destroy() {
+    for (const timerId of this.cleanupTimers.values()) {
+      clearTimeout(timerId);
+    }
+    this.cleanupTimers.clear();
+  }
+
+  /**
+   * Check a room against the age and idle limits
+   * 
+   * 'warn' is returned once per deadline, within ROOM.CLOSE_WARNING_MS
+   * of it; a message that pushes the idle deadline back allows a new
+   * warning later.
+   * 
+   * @param {string} roomId 
+   * @param {number} [now] 
+   * @returns {Promise<{ action: 'warn'|'close', reason: 'expired'|'idle', closesAt: Date }|null>}
+   *   null if there is nothing to do
+   */
+  async checkLifetime(roomId, now = Date.now()) {
+    let result = null;
+    await this.store.update(roomKey(roomId), (room) => {
+      result = null;
+      const deadline = room && closingDeadline(room);
+      if (!deadline) {
+        return undefined;
+      }
+      
+      const closesAt = new Date(deadline.at);
+      if (now >= deadline.at) {
+        result = { action: 'close', reason: deadline.reason, closesAt };
+        return undefined;
+      }
+      if (now < deadline.at - ROOM.CLOSE_WARNING_MS
+        || new Date(room.closeWarnedAt || 0).getTime() === deadline.at) {
+        return undefined;
+      }
+      room.closeWarnedAt = closesAt;
+      result = { action: 'warn', reason: deadline.reason, closesAt };
+      return room;
+    });
+    return result;
+  }
+
   /**
    * Destroy a room immediately
    * @param {string} roomId 
    */
-  destroyRoom(roomId) {
-    const room = this.rooms.get(roomId);
+  async destroyRoom(roomId) {
+    const room = await this.getRoom(roomId);
     if (!room) {
       return;
     }
     
     // Clean up any users still tracked (shouldn't happen, but defensive)
     for (const socketId of room.users.keys()) {
-      this.userSockets.delete(socketId);
+      await this.store.delete(socketKey(socketId));
     }
     
-    this.rooms.delete(roomId);
+    // Shared files go with the room
+    for (const key of await this.store.keys(fileKey(roomId, ''))) {
+      await this.store.delete(key);
+    }
+    
+    await this.store.delete(roomKey(roomId));
     this.cancelRoomCleanup(roomId);
+    metrics.roomLifetime.observe((Date.now() - new Date(room.createdAt).getTime()) / 1000);
     
-    console.log(`[RoomManager] Room ${roomId} destroyed`);
+    logger.info('room-destroyed', { roomId });
   }
 
   /**
@@ -300,16 +939,16 @@ class RoomManager {
    * Socket.IO calls this when the underlying connection is lost.
    * 
    * @param {string} socketId 
-   * @returns {object|null} { roomId, userInfo } if user was in a room
+   * @returns {Promise<object|null>} { roomId, userInfo } if user was in a room
    */
-  handleDisconnect(socketId) {
-    const userInfo = this.userSockets.get(socketId);
+  async handleDisconnect(socketId) {
+    const userInfo = await this.getUserInfo(socketId);
     if (!userInfo) {
       return null;
     }
     
     const { roomId } = userInfo;
-    const removedUser = this.leaveRoom(roomId, socketId);
+    const removedUser = await this.leaveRoom(roomId, socketId);
     
     if (removedUser) {
       return { roomId, userInfo: removedUser };
@@ -317,90 +956,725 @@ class RoomManager {
     return null;
   }
 
+  /**
+   * Keep a disconnected user's slot for a later resume
+   * 
+   * The user stays in the room (roster, ownership, socket index) but
+   * is marked disconnectedAt. Release with leaveRoom() if nobody
+   * resumes in time.
+   * 
+   * @param {string} socketId 
+   * @returns {Promise<object|null>} { roomId, userInfo } if user was in a room
+   */
+  async holdUser(socketId) {
+    const userInfo = await this.getUserInfo(socketId);
+    if (!userInfo) {
+      return null;
+    }
+
+    const { roomId } = userInfo;
+    let held = null;
+    await this.store.update(roomKey(roomId), (room) => {
+      held = room ? room.users.get(socketId) || null : null;
+      if (!held) {
+        return undefined;
+      }
+      held.disconnectedAt = Date.now();
+      return room;
+    });
+
+    if (!held) {
+      return null;
+    }
+    logger.info('user-held', { roomId, socketId });
+    return { roomId, userInfo: { id: held.id, name: held.name } };
+  }
+
+  /**
+   * List the people in a room, in the order they joined
+   * @param {string} roomId 
+   * @returns {Promise<object[]>} [{ id, name, isOwner }]
+   */
+  async getMembers(roomId) {
+    const room = await this.getRoom(roomId);
+    if (!room) {
+      return [];
+    }
+    return Array.from(room.users.entries()).map(([socketId, user]) => ({
+      id: user.id,
+      name: user.name,
+      isOwner: socketId === room.ownerSocketId
+    }));
+  }
+
+  /**
+   * Salted fingerprint of a client IP, unique to the room
+   * @param {object} room 
+   * @param {string} clientIP 
+   * @returns {string}
+   */
+  fingerprint(room, clientIP) {
+    return crypto.createHash('sha256').update(`${room.banSalt}:${clientIP}`).digest('hex');
+  }
+
+  /**
+   * Get a room's settings
+   * @param {string} roomId 
+   * @returns {Promise<object|null>} { topic, maxUsers, slowModeSec, announcementOnly }
+   */
+  async getSettings(roomId) {
+    const room = await this.getRoom(roomId);
+    return room ? readSettings(room) : null;
+  }
+
+  /**
+   * Change some of a room's settings
+   * 
+   * Lowering the user cap doesn't remove anyone; it only stops new joins.
+   * 
+   * @param {string} roomId 
+   * @param {object} changes - Validated settings to replace
+   * @returns {Promise<object>} The room's settings afterwards
+   */
+  async updateSettings(roomId, changes) {
+    const room = await this.store.update(roomKey(roomId), (room) => {
+      if (!room) {
+        throw new ProtocolError(ERROR_CODES.ROOM_NOT_FOUND);
+      }
+      room.settings = { ...readSettings(room), ...changes };
+      return room;
+    });
+    logger.info('room-settings-updated', { roomId, changed: Object.keys(changes) });
+    return readSettings(room);
+  }
+
+  /**
+   * Check that a member may post now under the room's settings, and
+   * start their slow-mode wait if so
+   * @param {string} roomId 
+   * @param {string} socketId 
+   * @param {number} [now] 
+   * @throws {ProtocolError} ANNOUNCEMENT_ONLY, or SLOW_MODE with the wait
+   */
+  async claimPostSlot(roomId, socketId, now = Date.now()) {
+    await this.store.update(roomKey(roomId), (room) => {
+      const user = room?.users.get(socketId);
+      if (!user) {
+        throw new ProtocolError(ERROR_CODES.NOT_IN_ROOM);
+      }
+      if (room.ownerSocketId === socketId) {
+        return undefined;
+      }
+      
+      const { announcementOnly, slowModeSec } = readSettings(room);
+      if (announcementOnly) {
+        throw new ProtocolError(ERROR_CODES.ANNOUNCEMENT_ONLY);
+      }
+      if (!slowModeSec) {
+        return undefined;
+      }
+      
+      const slowModeMs = slowModeSec * 1000;
+      room.lastPostAt = room.lastPostAt || new Map();
+      const waitMs = (room.lastPostAt.get(user.id) || 0) + slowModeMs - now;
+      if (waitMs > 0) {
+        throw new ProtocolError(ERROR_CODES.SLOW_MODE, `Slow mode is on. You can post again in ${Math.ceil(waitMs / 1000)}s`);
+      }
+      // Waits that are over don't need remembering
+      for (const [userId, postedAt] of room.lastPostAt) {
+        if (now - postedAt >= slowModeMs) {
+          room.lastPostAt.delete(userId);
+        }
+      }
+      room.lastPostAt.set(user.id, now);
+      return room;
+    });
+  }
+
+  /**
+   * Get the room owner
+   * @param {string} roomId 
+   * @returns {Promise<object|null>} { socketId, id, name } or null
+   */
+  async getOwner(roomId) {
+    const room = await this.getRoom(roomId);
+    const owner = room?.ownerSocketId ? room.users.get(room.ownerSocketId) : null;
+    return owner ? { socketId: room.ownerSocketId, id: owner.id, name: owner.name } : null;
+  }
+
+  /**
+   * Check whether a socket owns a room
+   * @param {string} roomId 
+   * @param {string} socketId 
+   * @returns {Promise<boolean>}
+   */
+  async isOwner(roomId, socketId) {
+    const room = await this.getRoom(roomId);
+    return Boolean(room) && room.ownerSocketId === socketId && room.users.has(socketId);
+  }
+
+  /**
+   * Find a room member by public user ID
+   * @param {string} roomId 
+   * @param {string} userId 
+   * @returns {Promise<object|null>} { socketId, id, name, fingerprint }
+   */
+  async findMember(roomId, userId) {
+    const room = await this.getRoom(roomId);
+    if (!room) {
+      return null;
+    }
+    for (const [socketId, user] of room.users.entries()) {
+      if (user.id === userId) {
+        return { socketId, ...user };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Mute a user until a given time (0 lifts the mute)
+   * 
+   * The mute also holds their IP fingerprint, so it follows them if
+   * they rejoin as a new user (see joinRoom).
+   * 
+   * @param {string} roomId 
+   * @param {string} userId 
+   * @param {number} untilMs - Epoch ms, or 0 to unmute
+   */
+  async setMute(roomId, userId, untilMs) {
+    await this.store.update(roomKey(roomId), (room) => {
+      if (!room) {
+        return undefined;
+      }
+      const now = Date.now();
+      room.mutedFingerprints = room.mutedFingerprints || new Map();
+      const { fingerprint } = Array.from(room.users.values()).find(user => user.id === userId) || {};
+      if (untilMs > now) {
+        room.mutes.set(userId, untilMs);
+        if (fingerprint) {
+          room.mutedFingerprints.set(fingerprint, untilMs);
+        }
+      } else {
+        room.mutes.delete(userId);
+        if (fingerprint) {
+          room.mutedFingerprints.delete(fingerprint);
+        }
+      }
+      // Forget fingerprints whose mute has run out
+      for (const [mutedFingerprint, until] of room.mutedFingerprints) {
+        if (until <= now) {
+          room.mutedFingerprints.delete(mutedFingerprint);
+        }
+      }
+      return room;
+    });
+  }
+
+  /**
+   * Time left on a user's mute
+   * @param {string} roomId 
+   * @param {string} userId 
+   * @returns {Promise<number>} Remaining ms (0 if not muted)
+   */
+  async getMuteRemaining(roomId, userId) {
+    const room = await this.getRoom(roomId);
+    const until = room?.mutes.get(userId) || 0;
+    return Math.max(0, until - Date.now());
+  }
+
+  /**
+   * Ban an IP fingerprint from a room
+   * 
+   * Refused when the owner shares the fingerprint (same network, same
+   * NAT): the ban would remove and lock out the owner too.
+   * 
+   * @param {string} roomId 
+   * @param {string} fingerprint 
+   * @returns {Promise<string[]>} Socket IDs of members sharing the fingerprint
+   * @throws {ProtocolError} CANNOT_MODERATE_SELF if the owner shares it
+   */
+  async banFingerprint(roomId, fingerprint) {
+    let affected = [];
+    await this.store.update(roomKey(roomId), (room) => {
+      if (!room) {
+        return undefined;
+      }
+      if (room.users.get(room.ownerSocketId)?.fingerprint === fingerprint) {
+        throw new ProtocolError(ERROR_CODES.CANNOT_MODERATE_SELF, 'That user shares your network address and cannot be banned; kick them instead');
+      }
+      room.bans.add(fingerprint);
+      affected = Array.from(room.users.entries())
+        .filter(([, user]) => user.fingerprint === fingerprint)
+        .map(([socketId]) => socketId);
+      return room;
+    });
+    return affected;
+  }
+
   /**
    * Get user count in a room
    * @param {string} roomId 
-   * @returns {number}
+   * @returns {Promise<number>}
    */
-  getRoomUserCount(roomId) {
-    const room = this.rooms.get(roomId);
+  async getRoomUserCount(roomId) {
+    const room = await this.getRoom(roomId);
     return room ? room.users.size : 0;
   }
 
   /**
    * Get user info by socket ID
    * @param {string} socketId 
-   * @returns {object|null}
+   * @returns {Promise<object|null>}
    */
-  getUserInfo(socketId) {
-    return this.userSockets.get(socketId) || null;
+  async getUserInfo(socketId) {
+    return this.store.get(socketKey(socketId));
   }
 
   /**
    * Add message to room history
    * 
+   * The message is stamped with the room's next sequence number, and
+   * with expiresAt in rooms with a message lifetime. If it carries a
+   * clientMessageId its sender already used, the earlier message is
+   * returned instead and nothing is stored.
+   * 
    * MEMORY MANAGEMENT:
    * We cap message history to prevent unbounded growth.
    * Old messages are discarded FIFO when limit is reached.
    * 
    * @param {string} roomId 
    * @param {object} message 
+   * @returns {Promise<{ message: object, duplicate: boolean }|null>} null if the room is gone
    */
-  addMessage(roomId, message) {
-    const room = this.rooms.get(roomId);
-    if (!room) {
-      return;
+  async addMessage(roomId, message) {
+    let result = null;
+    await this.store.update(roomKey(roomId), (room) => {
+      result = null;
+      if (!room) {
+        return undefined;
+      }
+      
+      const original = findSent(room, message.senderId, message.clientMessageId);
+      if (original) {
+        result = { message: serializeMessage(original), duplicate: true };
+        return undefined;
+      }
+      
+      // Rooms stored before sequence numbers existed start counting here
+      room.seq = (room.seq || 0) + 1;
+      const stored = { ...message, seq: room.seq };
+      if (room.messageLifetimeMs) {
+        stored.expiresAt = new Date(new Date(message.timestamp).getTime() + room.messageLifetimeMs);
+      }
+      room.messages.push(stored);
+      room.lastActivityAt = new Date();
+      result = { message: stored, duplicate: false };
+      
+      // Enforce message history limit
+      while (room.messages.length > MESSAGE.HISTORY_LIMIT) {
+        room.messages.shift();
+      }
+      return room;
+    });
+    return result;
+  }
+
+  /**
+   * Find a message its sender already posted under a clientMessageId
+   * @param {string} roomId 
+   * @param {string} senderId 
+   * @param {string} clientMessageId 
+   * @returns {Promise<object|null>}
+   */
+  async findSentMessage(roomId, senderId, clientMessageId) {
+    const room = await this.getRoom(roomId);
+    const message = room ? findSent(room, senderId, clientMessageId) : null;
+    return message ? serializeMessage(message) : null;
+  }
+
+  /**
+   * Look up a stored message
+   * @param {string} roomId 
+   * @param {string} messageId 
+   * @returns {Promise<object|null>}
+   */
+  async getMessage(roomId, messageId) {
+    const room = await this.getRoom(roomId);
+    const message = room?.messages.find(m => m.id === messageId);
+    return message && !hasExpired(message, Date.now()) ? serializeMessage(message) : null;
+  }
+
+  /**
+   * Apply a change to one stored message
+   * 
+   * The mutator receives the message (and the room, read-only) and
+   * returns nothing; throw to abort. Like every store mutator it may
+   * run more than once.
+   * 
+   * @param {string} roomId 
+   * @param {string} messageId 
+   * @param {function(object, object): void} mutator 
+   * @returns {Promise<object>} Copy of the updated message
+   */
+  async updateMessage(roomId, messageId, mutator) {
+    let updated = null;
+    await this.store.update(roomKey(roomId), (room) => {
+      if (!room) {
+        throw new ProtocolError(ERROR_CODES.ROOM_NOT_FOUND);
+      }
+      const message = room.messages.find(m => m.id === messageId);
+      if (!message || hasExpired(message, Date.now())) {
+        throw new ProtocolError(ERROR_CODES.MESSAGE_NOT_FOUND);
+      }
+      mutator(message, room);
+      updated = serializeMessage(message);
+      return room;
+    });
+    return updated;
+  }
+
+  /**
+   * Check that a sender may still change their message
+   * @param {object} message 
+   * @param {string} senderId 
+   */
+  assertEditable(message, senderId) {
+    if (message.deleted) {
+      throw new ProtocolError(ERROR_CODES.MESSAGE_DELETED);
+    }
+    if (message.type === 'system' || message.senderId !== senderId) {
+      throw new ProtocolError(ERROR_CODES.NOT_AUTHOR);
     }
+    if (Date.now() - new Date(message.timestamp).getTime() > MESSAGE.EDIT_WINDOW_MS) {
+      throw new ProtocolError(ERROR_CODES.EDIT_WINDOW_CLOSED);
+    }
+  }
+
+  /**
+   * Replace the content of a message
+   * @param {string} roomId 
+   * @param {string} messageId 
+   * @param {string} senderId - Must match the original sender
+   * @param {string} content - Already validated and sanitized
+   * @returns {Promise<object>} Updated message
+   * @throws {ProtocolError} ANNOUNCEMENT_ONLY for non-owners in announcement mode
+   */
+  async editMessage(roomId, messageId, senderId, content) {
+    return this.updateMessage(roomId, messageId, (message, room) => {
+      this.assertEditable(message, senderId);
+      if (readSettings(room).announcementOnly && room.users.get(room.ownerSocketId)?.id !== senderId) {
+        throw new ProtocolError(ERROR_CODES.ANNOUNCEMENT_ONLY);
+      }
+      if (message.attachment) {
+        throw new ProtocolError(ERROR_CODES.NOT_EDITABLE);
+      }
+      message.content = content;
+      message.editedAt = new Date();
+    });
+  }
+
+  /**
+   * Turn a message into a tombstone
+   * 
+   * TOMBSTONES:
+   * The entry stays in history so paging cursors and replies keep
+   * working, but its content is gone for good.
+   * 
+   * @param {string} roomId 
+   * @param {string} messageId 
+   * @param {string} senderId - Must match the original sender
+   * @returns {Promise<object>} Tombstone
+   */
+  async deleteMessage(roomId, messageId, senderId) {
+    let attachment = null;
+    const tombstone = await this.updateMessage(roomId, messageId, (message) => {
+      this.assertEditable(message, senderId);
+      attachment = message.attachment || null;
+      message.content = '';
+      message.deleted = true;
+      message.deletedAt = new Date();
+      delete message.editedAt;
+      delete message.reactions;
+      delete message.attachment;
+    });
     
-    room.messages.push(message);
+    // A deleted attachment frees its file and quota right away
+    if (attachment) {
+      await this.deleteAttachment(roomId, attachment);
+    }
+    return tombstone;
+  }
+
+  /**
+   * Remove messages whose lifetime has run out
+   * 
+   * Replies quoting them keep their place but lose the excerpt, and
+   * expired attachments free their file and quota.
+   * 
+   * @param {string} roomId 
+   * @param {number} [now] 
+   * @returns {Promise<string[]>} IDs of the removed messages
+   */
+  async expireMessages(roomId, now = Date.now()) {
+    let expired = [];
+    await this.store.update(roomKey(roomId), (room) => {
+      expired = [];
+      if (!room) {
+        return undefined;
+      }
+      
+      expired = room.messages.filter(message => hasExpired(message, now));
+      if (expired.length === 0) {
+        return undefined;
+      }
+      const expiredIds = new Set(expired.map(message => message.id));
+      room.messages = room.messages.filter(message => !expiredIds.has(message.id));
+      for (const message of room.messages) {
+        if (message.replyTo && expiredIds.has(message.replyTo.id)) {
+          message.replyTo = { id: message.replyTo.id, senderName: message.replyTo.senderName, excerpt: '', expired: true };
+        }
+      }
+      return room;
+    });
     
-    // Enforce message history limit
-    while (room.messages.length > MESSAGE.HISTORY_LIMIT) {
-      room.messages.shift();
+    for (const message of expired) {
+      if (message.attachment) {
+        await this.deleteAttachment(roomId, message.attachment);
+      }
+    }
+    return expired.map(message => message.id);
+  }
+
+  /**
+   * Reserve attachment quota for an upload
+   * @param {string} roomId 
+   * @param {number} bytes 
+   */
+  async reserveAttachmentBytes(roomId, bytes) {
+    await this.store.update(roomKey(roomId), (room) => {
+      if (!room) {
+        throw new ProtocolError(ERROR_CODES.ROOM_NOT_FOUND);
+      }
+      if (room.attachmentBytes + bytes > UPLOAD.MAX_ROOM_BYTES) {
+        throw new ProtocolError(ERROR_CODES.ROOM_STORAGE_FULL);
+      }
+      room.attachmentBytes += bytes;
+      return room;
+    });
+  }
+
+  /**
+   * Give back quota from a cancelled upload or deleted file
+   * @param {string} roomId 
+   * @param {number} bytes 
+   */
+  async releaseAttachmentBytes(roomId, bytes) {
+    await this.store.update(roomKey(roomId), (room) => {
+      if (!room) {
+        return undefined;
+      }
+      room.attachmentBytes = Math.max(0, room.attachmentBytes - bytes);
+      return room;
+    });
+  }
+
+  /**
+   * Store a verified file (quota must already be reserved)
+   * @param {string} roomId 
+   * @param {object} attachment - { id, name, type, size }
+   * @param {Buffer} data 
+   */
+  async saveAttachment(roomId, attachment, data) {
+    await this.store.set(fileKey(roomId, attachment.id), {
+      ...attachment,
+      data: data.toString('base64')
+    });
+  }
+
+  /**
+   * Load a stored file
+   * @param {string} roomId 
+   * @param {string} attachmentId 
+   * @returns {Promise<object|null>} { id, name, type, size, data: Buffer }
+   */
+  async getAttachment(roomId, attachmentId) {
+    const file = await this.store.get(fileKey(roomId, attachmentId));
+    return file ? { ...file, data: Buffer.from(file.data, 'base64') } : null;
+  }
+
+  /**
+   * Delete a stored file and release its quota
+   * @param {string} roomId 
+   * @param {object} attachment - { id, size }
+   */
+  async deleteAttachment(roomId, attachment) {
+    await this.store.delete(fileKey(roomId, attachment.id));
+    await this.releaseAttachmentBytes(roomId, attachment.size);
+  }
+
+  /**
+   * Add or remove a user's emoji reaction on a message
+   * @param {string} roomId 
+   * @param {string} messageId 
+   * @param {string} userId 
+   * @param {string} emoji - Already validated
+   * @returns {Promise<object>} { added, count } for this emoji
+   */
+  async toggleReaction(roomId, messageId, userId, emoji) {
+    let result = null;
+    await this.updateMessage(roomId, messageId, (message) => {
+      if (message.deleted || message.type === 'system') {
+        throw new ProtocolError(ERROR_CODES.REACTION_NOT_ALLOWED);
+      }
+      
+      const reactions = message.reactions || new Map();
+      const userIds = reactions.get(emoji) || new Set();
+      const added = !userIds.has(userId);
+      
+      if (added) {
+        if (!reactions.has(emoji) && reactions.size >= MESSAGE.MAX_REACTIONS) {
+          throw new ProtocolError(ERROR_CODES.TOO_MANY_REACTIONS);
+        }
+        userIds.add(userId);
+        reactions.set(emoji, userIds);
+      } else {
+        userIds.delete(userId);
+        if (userIds.size === 0) {
+          reactions.delete(emoji);
+        }
+      }
+      
+      message.reactions = reactions;
+      result = { added, count: userIds.size };
+    });
+    return result;
+  }
+
+  /**
+   * Get a page of room history
+   *
+   * PAGINATION:
+   * - No cursor: the most recent page (used on first join)
+   * - `before`: the page preceding that message (scrolling back)
+   * - `after`: every stored message following that message (filling
+   *   the gap after a reconnect). If the cursor has already dropped out
+   *   of history (expired or evicted) we can't tell what was missed:
+   *   the most recent page comes back with cursorExpired set, so the
+   *   client knows to replace what it shows rather than append.
+   * - `afterSeq`: every stored message numbered above it, for clients
+   *   that track sequence numbers; works even if that message is gone
+   *
+   * Every page carries latestSeq, the room's newest sequence number,
+   * so clients know what they should have seen.
+   *
+   * @param {string} roomId
+   * @param {object} [options]
+   * @param {string} [options.before] - Message ID to page back from
+   * @param {string} [options.after] - Message ID to resume after
+   * @param {number} [options.afterSeq] - Sequence number to resume after
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<{ messages: object[], hasMore: boolean, latestSeq: number, cursorExpired?: boolean }>}
+   */
+  async getMessageHistory(roomId, { before = null, after = null, afterSeq = null, limit = MESSAGE.HISTORY_PAGE_SIZE } = {}) {
+    const room = await this.getRoom(roomId);
+    if (!room) {
+      return { messages: [], hasMore: false, latestSeq: 0 };
+    }
+
+    const now = Date.now();
+    const messages = room.messages.filter(message => !hasExpired(message, now));
+    const latestSeq = room.seq || 0;
+
+    if (afterSeq !== null && afterSeq !== undefined) {
+      return {
+        messages: messages.filter(message => message.seq > afterSeq).map(serializeMessage),
+        hasMore: false,
+        latestSeq
+      };
     }
+
+    let cursorExpired = false;
+    if (after) {
+      const index = messages.findIndex(message => message.id === after);
+      if (index !== -1) {
+        return { messages: messages.slice(index + 1).map(serializeMessage), hasMore: false, latestSeq };
+      }
+      cursorExpired = true;
+    }
+
+    let end = messages.length;
+    if (before) {
+      end = messages.findIndex(message => message.id === before);
+      if (end === -1) {
+        // Cursor is older than anything we still hold
+        return { messages: [], hasMore: false, latestSeq };
+      }
+    }
+
+    const start = Math.max(0, end - limit);
+    const page = {
+      messages: messages.slice(start, end).map(serializeMessage),
+      hasMore: start > 0,
+      latestSeq
+    };
+    if (cursorExpired) {
+      page.cursorExpired = true;
+    }
+    return page;
   }
 
   /**
    * Update username for a user
    * @param {string} socketId 
    * @param {string} newName 
-   * @returns {object|null} Updated user info
+   * @returns {Promise<object|null>} Updated user info
    */
-  updateUserName(socketId, newName) {
+  async updateUserName(socketId, newName) {
     const sanitizedName = this.sanitizeUserName(newName);
     if (!sanitizedName) {
       return null;
     }
     
-    const userInfo = this.userSockets.get(socketId);
+    const userInfo = await this.getUserInfo(socketId);
     if (!userInfo) {
       return null;
     }
 
-    const room = this.rooms.get(userInfo.roomId);
-    if (!room) {
+    let renamed = false;
+    await this.store.update(roomKey(userInfo.roomId), (room) => {
+      const roomUser = room ? room.users.get(socketId) : null;
+      renamed = Boolean(roomUser);
+      if (!roomUser) {
+        return undefined;
+      }
+      roomUser.name = sanitizedName;
+      return room;
+    });
+
+    if (!renamed) {
       return null;
     }
 
-    const roomUser = room.users.get(socketId);
-    if (roomUser) {
-      roomUser.name = sanitizedName;
-      userInfo.name = sanitizedName;
-      return { id: userInfo.id, name: sanitizedName };
-    }
-    return null;
+    await this.store.set(socketKey(socketId), { ...userInfo, name: sanitizedName });
+    return { id: userInfo.id, name: sanitizedName };
   }
 
   /**
    * Get room statistics (for monitoring/debugging)
-   * @returns {object}
+   * @returns {Promise<object>}
    */
-  getStats() {
+  async getStats() {
+    const rooms = (await Promise.all(
+      (await this.getRoomIds()).map(roomId => this.getRoom(roomId))
+    )).filter(Boolean);
+    const sockets = await this.store.keys(socketKey(''));
+
     return {
-      totalRooms: this.rooms.size,
-      totalUsers: this.userSockets.size,
+      totalRooms: rooms.length,
+      totalUsers: sockets.length,
       pendingCleanups: this.cleanupTimers.size,
-      rooms: Array.from(this.rooms.values()).map(room => ({
+      rooms: rooms.map(room => ({
         id: room.id,
         userCount: room.users.size,
         messageCount: room.messages.length,
@@ -408,6 +1682,64 @@ class RoomManager {
       }))
     };
   }
+
+  /**
+   * Describe a room for the admin API
+   * @param {string} roomId 
+   * @returns {Promise<object|null>}
+   */
+  async getRoomDetails(roomId) {
+    const room = await this.getRoom(roomId);
+    if (!room) {
+      return null;
+    }
+    const deadline = closingDeadline(room);
+    return {
+      id: room.id,
+      createdAt: room.createdAt,
+      encrypted: Boolean(room.encrypted),
+      messageLifetimeMs: room.messageLifetimeMs || 0,
+      closesAt: deadline ? new Date(deadline.at) : null,
+      settings: readSettings(room),
+      requiresPassphrase: Boolean(room.access.passphrase),
+      requiresApproval: room.access.requireApproval,
+      pendingJoins: room.access.joinRequests.size,
+      messageCount: room.messages.length,
+      attachmentBytes: room.attachmentBytes || 0,
+      mutedUsers: Array.from(room.mutes.entries())
+        .filter(([, until]) => until > Date.now())
+        .map(([userId]) => userId),
+      banCount: room.bans.size,
+      users: Array.from(room.users, ([socketId, user]) => ({
+        socketId,
+        id: user.id,
+        name: user.name,
+        isOwner: socketId === room.ownerSocketId
+      }))
+    };
+  }
+
+  /**
+   * Count users in any room
+   * @returns {Promise<number>}
+   */
+  async countUsers() {
+    return (await this.store.keys(socketKey(''))).length;
+  }
+
+  /**
+   * List every connected user that is in a room
+   * @returns {Promise<object[]>} [{ socketId, roomId, id, name }]
+   */
+  async listUsers() {
+    const prefix = socketKey('');
+    const keys = await this.store.keys(prefix);
+    const users = await Promise.all(keys.map(async (key) => {
+      const info = await this.store.get(key);
+      return info && { socketId: key.substring(prefix.length), roomId: info.roomId, id: info.id, name: info.name };
+    }));
+    return users.filter(Boolean);
+  }
 }
 
 // Singleton instance
@@ -7,11 +7,17 @@
  *    - Applied per-socket for message sending
  *    - Prevents spam while allowing normal conversation flow
  *    - Client receives feedback when rate limited
+ *    - Other events share one budget, weighted by SECURITY.EVENT_COSTS
+ *    - Room events and messages also count against the client IP's
+ *      budget (one client, many sockets) and the room's (many clients)
+ *    - IPs that keep getting refused are blocked for a while, longer
+ *      each time; see ipBlocklist.js
  * 
  * 2. MESSAGE VALIDATION
  *    - Server-side validation is authoritative (never trust client)
  *    - Length limits prevent memory exhaustion
- *    - Content sanitization prevents injection attacks
+ *    - Content is stored and relayed as raw text; clients render it
+ *      through an allowlist markdown renderer, never as HTML
  * 
  * 3. SYSTEM MESSAGES
  *    - Join/leave events broadcast as system messages
@@ -22,58 +28,383 @@
  *    - All handlers wrapped in try-catch
  *    - Errors logged server-side, generic messages to client
  *    - Prevents information leakage
+ *    - Every failure carries a protocol error code (protocol.js) with
+ *      the human-readable text alongside
+ * 
+ * 5. HORIZONTAL SCALING
+ *    - Room and rate-limit state lives in the shared store, so handlers
+ *      are async and always await RoomManager/RateLimiter calls
+ *    - With the Redis store, the Socket.IO Redis adapter fans broadcasts
+ *      out to every instance
+ * 
+ * 6. MODERATION
+ *    - The room owner can kick, mute and ban; everyone else is refused
+ *    - Targets are removed through io.in(socketId) so moderation works
+ *      across instances, and each action is announced to the room
+ * 
+ * 7. FILE SHARING
+ *    - Chunked binary uploads over the socket; see attachments.js
+ *    - Files are fetched on demand with fetch-attachment rather than
+ *      pushed to everyone
+ * 
+ * 8. PRESENCE & TYPING
+ *    - The full member roster is re-sent whenever it changes; rooms are
+ *      small enough that diffs aren't worth the bookkeeping
+ *    - Typing state lives with the connection and expires on its own
+ *      if the client stops sending typing-start
+ * 
+ * 9. END-TO-END ENCRYPTED ROOMS
+ *    - Clients derive the key from a secret in the invite link's URL
+ *      fragment, which browsers never send to the server
+ *    - Content in these rooms is AES-GCM ciphertext; we only check its
+ *      shape and size, and mark messages encrypted: true
+ *    - Reply quotes copy the original ciphertext for clients to decrypt
+ *    - File sharing is off, since uploads would be readable here
+ *    - Names, reactions and timing remain visible to the server
+ * 
+ * 10. ADMINISTRATION
+ *    - closeRoom() and broadcastAnnouncement() are exported for the
+ *      admin API (admin.js); closed rooms get room-closed
+ * 
+ * 11. METRICS
+ *    - Handlers count what they do in metrics.js; gauges read the
+ *      connection map and the store when /metrics is scraped
+ * 
+ * 12. MESSAGE FILTERING
+ *    - Plain-text messages and edits pass through messageFilter.js after
+ *      validation; rejections return a code with the error
+ *    - Encrypted rooms are skipped: we can't read them
+ * 
+ * 13. SESSION RESUME
+ *    - Every join returns a signed resume token (roomAccess.js)
+ *    - A connection that drops (rather than leaving) holds its slot for
+ *      SESSION.RESUME_GRACE_MS; joining with the token inside that time
+ *      takes the slot back quietly, with no leave/join messages
+ *    - Slots nobody comes back for are released and announced as
+ *      "disconnected", as before
+ * 
+ * 14. GRACEFUL SHUTDOWN
+ *    - Requests with an acknowledgement are counted until answered, so
+ *      shutdownSocketServer() can let them finish before disconnecting
+ *    - Clients get server-shutdown with a reconnect hint first; from
+ *      then on create-room and join-room are refused
+ *    - Everything is addressed with io.local: other instances keep
+ *      serving (with Redis), and this one's clients move to them
+ * 
+ * 15. WIRE PROTOCOL
+ *    - Payloads are checked against shared/protocol.json before any
+ *      handler runs, so handlers start from well-formed input and
+ *      always have an acknowledgement to call
+ *    - The handshake carries the client's protocol version; outdated
+ *      clients are refused with PROTOCOL_OUTDATED
+ * 
+ * 16. DELIVERY
+ *    - Stored messages carry a per-room sequence number (seq); clients
+ *      order by it, and fetch-history { afterSeq } fills any gap
+ *    - send-message acks with the message id and seq; a retry with the
+ *      same clientMessageId gets the original's, and nothing is posted
+ *      twice
+ * 
+ * 17. DISAPPEARING MESSAGES
+ *    - Rooms may be created with a message lifetime; every stored
+ *      message's deadline goes into one timer wheel (timerWheel.js)
+ *      instead of a timer of its own
+ *    - Each tick expires what is due, grouped by room, and sends
+ *      message-expired so clients drop the messages
+ *    - Deadlines are kept by the instance that stored the message; if it
+ *      goes away, RoomManager still hides the messages from history
+ * 
+ * 18. ROOM LIFETIME LIMITS
+ *    - Every ROOM.LIMIT_CHECK_MS each instance checks the rooms against
+ *      the age and idle limits (RoomManager.checkLifetime)
+ *    - Rooms near a limit get a system message; rooms past it are closed
+ *      like an admin close, with room-closed reason 'expired' or 'idle'
+ * 
+ * 19. ROOM SETTINGS
+ *    - Topic, user cap, slow mode and announcement mode, set in
+ *      create-room or by the owner with update-room-settings
+ *    - Everyone in the room gets the new settings in room-info, and a
+ *      system message for the changes that affect who can post
+ *    - send-message checks slow mode and announcement mode through
+ *      RoomManager.claimPostSlot(); uploads count as posts too
  */
 
+const crypto = require('crypto');
 const { Server } = require('socket.io');
-const { CORS_ORIGIN, RATE_LIMIT, MESSAGE, USERNAME, SECURITY } = require('./config');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const {
+  CORS_ORIGIN,
+  RATE_LIMIT,
+  MESSAGE,
+  USERNAME,
+  SECURITY,
+  STORE,
+  ROOM,
+  MODERATION,
+  UPLOAD,
+  TYPING,
+  SESSION,
+  SHUTDOWN
+} = require('./config');
 const { roomManager } = require('./roomManager');
-const { RateLimiter } = require('./rateLimiter');
+const { roomCode } = require('./roomCode');
+const { RateLimiter, checkRateLimits } = require('./rateLimiter');
+const { ipBlocklist } = require('./ipBlocklist');
+const { createRedisClient } = require('./store');
+const { validateUploadRequest, verifyContent } = require('./attachments');
+const { messageFilter } = require('./messageFilter');
+const { TimerWheel } = require('./timerWheel');
+const {
+  ERROR_CODES,
+  ERROR_MESSAGES,
+  ProtocolError,
+  fail,
+  failFrom,
+  describeClientEvent,
+  validatePayload,
+  negotiateVersion
+} = require('./protocol');
+const { metrics } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Socket');
 
 // Initialize rate limiter for messages
-const messageRateLimiter = new RateLimiter(RATE_LIMIT.MAX_MESSAGES, RATE_LIMIT.WINDOW_MS);
+const messageRateLimiter = new RateLimiter(RATE_LIMIT.MAX_MESSAGES, RATE_LIMIT.WINDOW_MS, {
+  name: 'message',
+  algorithm: RATE_LIMIT.ALGORITHM,
+  burst: RATE_LIMIT.BURST
+});
 
 // SECURITY: Event rate limiter for non-message events (join, create, etc.)
-const eventRateLimiter = new RateLimiter(SECURITY.EVENT_RATE_LIMIT, SECURITY.EVENT_RATE_WINDOW_MS);
+const eventRateLimiter = new RateLimiter(SECURITY.EVENT_RATE_LIMIT, SECURITY.EVENT_RATE_WINDOW_MS, {
+  name: 'event',
+  algorithm: SECURITY.EVENT_RATE_ALGORITHM
+});
+
+// Deadlines of disappearing messages, keyed roomId:messageId
+const expiryWheel = new TimerWheel({ tickMs: MESSAGE.EXPIRY_TICK_MS });
+
+// Typing events are frequent and cheap, so they get their own budget
+const typingRateLimiter = new RateLimiter(TYPING.MAX_EVENTS, TYPING.WINDOW_MS, {
+  name: 'typing',
+  algorithm: TYPING.ALGORITHM
+});
+
+// The same budgets per client IP, so extra sockets don't buy more
+const ipMessageRateLimiter = new RateLimiter(RATE_LIMIT.IP_MAX_MESSAGES, RATE_LIMIT.WINDOW_MS, {
+  name: 'ip-message',
+  algorithm: RATE_LIMIT.ALGORITHM
+});
+const ipEventRateLimiter = new RateLimiter(SECURITY.IP_EVENT_RATE_LIMIT, SECURITY.EVENT_RATE_WINDOW_MS, {
+  name: 'ip-event',
+  algorithm: SECURITY.EVENT_RATE_ALGORITHM
+});
+
+// Per-room budgets, shared by everyone in (or knocking on) the room
+const roomMessageRateLimiter = new RateLimiter(RATE_LIMIT.ROOM_MAX_MESSAGES, RATE_LIMIT.WINDOW_MS, {
+  name: 'room-message'
+});
+const roomJoinRateLimiter = new RateLimiter(SECURITY.ROOM_JOIN_RATE_LIMIT, SECURITY.EVENT_RATE_WINDOW_MS, {
+  name: 'room-join'
+});
+
+// Every limiter by name (admin API, shutdown)
+const rateLimiters = {
+  message: messageRateLimiter,
+  event: eventRateLimiter,
+  typing: typingRateLimiter,
+  'ip-message': ipMessageRateLimiter,
+  'ip-event': ipEventRateLimiter,
+  'room-message': roomMessageRateLimiter,
+  'room-join': roomJoinRateLimiter
+};
 
 // SECURITY: Connection tracking per IP
 const connectionsByIP = new Map(); // IP -> count
 const MAX_CONNECTIONS_PER_IP = SECURITY.MAX_CONNECTIONS_PER_IP;
 
+// Gauges, read when /metrics is scraped
+metrics.rooms.setCollector(async () => (await roomManager.getRoomIds()).length);
+metrics.users.setCollector(() => roomManager.countUsers());
+metrics.connections.setCollector(async () => {
+  let total = 0;
+  for (const count of connectionsByIP.values()) {
+    total += count;
+  }
+  return total;
+});
+metrics.clientIPs.setCollector(async () => {
+  const ipsByCount = new Map(); // connections -> IPs holding that many
+  for (const count of connectionsByIP.values()) {
+    ipsByCount.set(count, (ipsByCount.get(count) || 0) + 1);
+  }
+  return Array.from(ipsByCount, ([connections, value]) => ({ labels: { connections }, value }));
+});
+
+// Disconnect reasons that mean the connection dropped; anything else
+// (leaving, a server-side kick) is final
+const RESUMABLE_DISCONNECT_REASONS = new Set(['transport close', 'transport error', 'ping timeout']);
+
+// Splits strings into user-perceived characters, so 👍🏽 or 👨‍👩‍👧 count as one
+const graphemeSegmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+/**
+ * Resolve the client IP
+ * 
+ * X-Forwarded-For is only read as far as SECURITY.TRUSTED_PROXY_HOPS
+ * reaches: the client can put anything in the header, but each trusted
+ * proxy appends the address it actually saw.
+ * 
+ * @param {Socket} socket 
+ * @param {number} [hops] - Trusted proxies in front of the server
+ * @returns {string}
+ */
+function getClientIP(socket, hops = SECURITY.TRUSTED_PROXY_HOPS) {
+  const { address } = socket.handshake;
+  if (hops === 0) {
+    return address || 'unknown';
+  }
+  const forwarded = String(socket.handshake.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(hop => hop.trim())
+    .filter(Boolean);
+  const chain = [...forwarded, address];
+  // A short chain means fewer proxies than configured; take the farthest
+  return chain[Math.max(0, chain.length - 1 - hops)] || 'unknown';
+}
+
+// Encrypted content: base64 of IV (12 bytes) + ciphertext + GCM tag (16 bytes)
+const CIPHERTEXT_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+const MIN_CIPHERTEXT_BYTES = 12 + 1 + 16;
+
 /**
  * Validate message content
+ * 
+ * In encrypted rooms content is opaque: it is checked for shape and
+ * size only, and passed through untouched.
+ * 
  * @param {string} content 
- * @returns {{ valid: boolean, error?: string, sanitized?: string }}
+ * @param {object} [options]
+ * @param {boolean} [options.encrypted] - Content is ciphertext
+ * @returns {{ valid: boolean, code?: string, error?: string, sanitized?: string }}
  */
-function validateMessage(content) {
+function validateMessage(content, { encrypted = false } = {}) {
   if (!content || typeof content !== 'string') {
-    return { valid: false, error: 'Message cannot be empty' };
+    return { valid: false, code: ERROR_CODES.MESSAGE_EMPTY, error: 'Message cannot be empty' };
+  }
+  
+  if (encrypted) {
+    return validateCiphertext(content);
   }
   
   const trimmed = content.trim();
   
   if (trimmed.length < MESSAGE.MIN_LENGTH) {
-    return { valid: false, error: 'Message too short' };
+    return { valid: false, code: ERROR_CODES.MESSAGE_TOO_SHORT, error: 'Message too short' };
   }
   
   if (trimmed.length > MESSAGE.MAX_LENGTH) {
-    return { valid: false, error: `Message too long (max ${MESSAGE.MAX_LENGTH} characters)` };
+    return { valid: false, code: ERROR_CODES.MESSAGE_TOO_LONG, error: `Message too long (max ${MESSAGE.MAX_LENGTH} characters)` };
   }
   
-  // Remove control characters but preserve normal text
-  let sanitized = trimmed.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-  
-  // SECURITY: HTML entity encoding to prevent XSS
-  // Encode < > & " ' to prevent HTML/script injection
-  sanitized = sanitized
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#x27;');
+  // Remove control characters (keeping tabs and newlines) and bidi
+  // overrides that could make text render differently than it reads
+  const sanitized = trimmed
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+    .replace(/[\u202A-\u202E\u2066-\u2069]/g, '');
   
   return { valid: true, sanitized };
 }
 
+/**
+ * Validate encrypted message content
+ * @param {string} content 
+ * @returns {{ valid: boolean, code?: string, error?: string, sanitized?: string }}
+ */
+function validateCiphertext(content) {
+  if (content.length > MESSAGE.MAX_CIPHERTEXT_LENGTH) {
+    return { valid: false, code: ERROR_CODES.MESSAGE_TOO_LONG, error: `Message too long (max ${MESSAGE.MAX_LENGTH} characters)` };
+  }
+  if (!CIPHERTEXT_PATTERN.test(content)
+    || Buffer.byteLength(content, 'base64') < MIN_CIPHERTEXT_BYTES) {
+    return { valid: false, code: ERROR_CODES.ENCRYPTION_REQUIRED, error: 'This room only accepts encrypted messages' };
+  }
+  return { valid: true, sanitized: content };
+}
+
+/**
+ * Validate content posted to a room, then run it through the message
+ * filter unless the room is encrypted
+ * @param {string} roomId 
+ * @param {*} content 
+ * @param {object} context
+ * @param {string} context.senderId - Poster's user ID
+ * @param {boolean} [context.isEdit]
+ * @returns {Promise<{ valid: boolean, error?: string, code?: string, sanitized?: string, encrypted?: boolean }>}
+ */
+async function checkContent(roomId, content, { senderId, isEdit = false }) {
+  const encrypted = await roomManager.isEncrypted(roomId);
+  const validation = validateMessage(content, { encrypted });
+  if (!validation.valid || encrypted) {
+    return { ...validation, encrypted };
+  }
+  
+  const filtered = await messageFilter.apply(validation.sanitized, {
+    roomRules: await roomManager.getFilters(roomId),
+    senderId,
+    isEdit,
+    getRecentMessages: async () => (await roomManager.getMessageHistory(roomId)).messages
+  });
+  return { ...filtered, encrypted };
+}
+
+/**
+ * Build the quoted snapshot carried by a reply
+ * 
+ * Encrypted messages can't be excerpted here, so their quote carries
+ * the original ciphertext and the client shortens it after decrypting.
+ * 
+ * @param {object} original - Stored message being replied to
+ * @returns {{ id: string, senderName: string, excerpt: string }}
+ */
+function createReplySnapshot(original) {
+  if (original.encrypted) {
+    return { id: original.id, senderName: original.senderName, excerpt: original.content };
+  }
+  
+  // Quotes are a single line of plain text
+  const text = original.attachment ? `📎 ${original.attachment.name}` : original.content;
+  const flattened = text.replace(/\s+/g, ' ').trim();
+  const graphemes = Array.from(graphemeSegmenter.segment(flattened), g => g.segment);
+  const excerpt = graphemes.length > MESSAGE.REPLY_EXCERPT_LENGTH
+    ? graphemes.slice(0, MESSAGE.REPLY_EXCERPT_LENGTH).join('').trimEnd() + '…'
+    : flattened;
+  return {
+    id: original.id,
+    senderName: original.senderName,
+    excerpt
+  };
+}
+
+/**
+ * Validate an emoji reaction
+ * 
+ * A reaction must be exactly one emoji grapheme. The length cap keeps
+ * pathological sequences (long ZWJ chains) out of room state.
+ * 
+ * @param {*} emoji 
+ * @returns {boolean}
+ */
+function isValidReaction(emoji) {
+  if (typeof emoji !== 'string' || emoji.length === 0 || emoji.length > 16) {
+    return false;
+  }
+  const graphemes = Array.from(graphemeSegmenter.segment(emoji));
+  return graphemes.length === 1 && /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(emoji);
+}
+
 /**
  * Create a system message object
  * @param {string} roomId 
@@ -82,7 +413,7 @@ function validateMessage(content) {
  */
 function createSystemMessage(roomId, content) {
   return {
-    id: `sys_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    id: `sys_${crypto.randomBytes(8).toString('hex')}`,
     type: 'system',
     senderId: 'system',
     senderName: 'System',
@@ -91,6 +422,272 @@ function createSystemMessage(roomId, content) {
   };
 }
 
+/**
+ * Validate an optional room passphrase from create-room
+ * @param {*} passphrase 
+ * @returns {{ valid: boolean, code?: string, error?: string, passphrase?: string|null }}
+ */
+function validatePassphrase(passphrase) {
+  if (passphrase === undefined || passphrase === null || passphrase === '') {
+    return { valid: true, passphrase: null };
+  }
+  
+  if (typeof passphrase !== 'string'
+    || passphrase.length < ROOM.PASSPHRASE_MIN_LENGTH
+    || passphrase.length > ROOM.PASSPHRASE_MAX_LENGTH) {
+    return {
+      valid: false,
+      code: ERROR_CODES.INVALID_PASSPHRASE,
+      error: `Passphrase must be ${ROOM.PASSPHRASE_MIN_LENGTH}-${ROOM.PASSPHRASE_MAX_LENGTH} characters`
+    };
+  }
+  
+  return { valid: true, passphrase };
+}
+
+/**
+ * Validate an optional message lifetime from create-room
+ * @param {*} lifetimeSec - Seconds; 0 or absent keeps messages
+ * @returns {{ valid: boolean, code?: string, error?: string, lifetimeMs?: number }}
+ */
+function validateMessageLifetime(lifetimeSec) {
+  if (lifetimeSec === undefined || lifetimeSec === null || lifetimeSec === 0) {
+    return { valid: true, lifetimeMs: 0 };
+  }
+  
+  if (!Number.isInteger(lifetimeSec)
+    || lifetimeSec < MESSAGE.MIN_LIFETIME_SEC
+    || lifetimeSec > MESSAGE.MAX_LIFETIME_SEC) {
+    return {
+      valid: false,
+      code: ERROR_CODES.INVALID_LIFETIME,
+      error: `Message lifetime must be ${MESSAGE.MIN_LIFETIME_SEC}-${MESSAGE.MAX_LIFETIME_SEC} seconds`
+    };
+  }
+  
+  return { valid: true, lifetimeMs: lifetimeSec * 1000 };
+}
+
+/**
+ * Validate room settings from create-room or update-room-settings
+ * 
+ * The schema has already checked the types; this applies the limits
+ * from config and tidies the topic.
+ * 
+ * @param {object} [input] - Any of topic, maxUsers, slowModeSec, announcementOnly
+ * @returns {{ valid: boolean, code?: string, error?: string, settings?: object }}
+ *   settings holds only the fields given
+ */
+function validateRoomSettings(input = {}) {
+  const settings = {};
+  const invalid = (error) => ({ valid: false, code: ERROR_CODES.INVALID_SETTINGS, error });
+  
+  if (input.topic !== undefined) {
+    // One line, without control characters
+    settings.topic = input.topic.replace(/[\x00-\x1F\x7F]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+  if (input.maxUsers !== undefined) {
+    if (input.maxUsers !== null && ROOM.MAX_USERS > 0 && input.maxUsers > ROOM.MAX_USERS) {
+      return invalid(`Room cap can't be more than ${ROOM.MAX_USERS}`);
+    }
+    settings.maxUsers = input.maxUsers;
+  }
+  if (input.slowModeSec !== undefined) {
+    if (input.slowModeSec > ROOM.SLOW_MODE_MAX_SEC) {
+      return invalid(`Slow mode can't be more than ${ROOM.SLOW_MODE_MAX_SEC} seconds`);
+    }
+    settings.slowModeSec = input.slowModeSec;
+  }
+  if (input.announcementOnly !== undefined) {
+    settings.announcementOnly = input.announcementOnly;
+  }
+  
+  return { valid: true, settings };
+}
+
+/**
+ * System message text for settings changes members should know about
+ * @param {object} before 
+ * @param {object} after 
+ * @returns {string[]}
+ */
+function describeSettingsChanges(before, after) {
+  const notices = [];
+  if (after.topic !== before.topic) {
+    notices.push(after.topic ? `Topic: ${after.topic}` : 'The topic was cleared');
+  }
+  if (after.announcementOnly !== before.announcementOnly) {
+    notices.push(after.announcementOnly ? 'Only the room owner can post now' : 'Everyone can post again');
+  }
+  if (after.slowModeSec !== before.slowModeSec) {
+    notices.push(after.slowModeSec
+      ? `Slow mode is on: one message every ${after.slowModeSec}s`
+      : 'Slow mode is off');
+  }
+  return notices;
+}
+
+/**
+ * Put a stored message's deadline on the expiry wheel
+ * @param {string} roomId 
+ * @param {object} message - As returned by addMessage
+ */
+function scheduleExpiry(roomId, message) {
+  if (message.expiresAt) {
+    expiryWheel.schedule(`${roomId}:${message.id}`, new Date(message.expiresAt).getTime(), roomId);
+  }
+}
+
+// =========================================
+// SERVER-WIDE ACTIONS (used by the admin API)
+// =========================================
+
+/**
+ * Close a room for everyone in it
+ * @param {Server} io 
+ * @param {string} roomId 
+ * @param {string} reason - Passed on to clients in room-closed
+ * @returns {Promise<boolean>} false if there is no such room
+ */
+async function closeRoom(io, roomId, reason) {
+  const room = await roomManager.getRoom(roomId);
+  if (!room) {
+    return false;
+  }
+  
+  io.to(roomId).emit('room-closed', { roomId, reason });
+  // Anyone still knocking won't be let in now
+  for (const request of room.access.joinRequests.values()) {
+    io.to(request.socketId).emit('join-denied', { roomId });
+  }
+  io.in(roomId).socketsLeave(roomId);
+  await roomManager.destroyRoom(roomId);
+  return true;
+}
+
+/**
+ * Post a system message to every room
+ * @param {Server} io 
+ * @param {string} text - Already validated
+ * @returns {Promise<number>} Number of rooms reached
+ */
+async function broadcastAnnouncement(io, text) {
+  const roomIds = await roomManager.getRoomIds();
+  for (const roomId of roomIds) {
+    io.to(roomId).emit('message', createSystemMessage(roomId, text));
+  }
+  return roomIds.length;
+}
+
+// =========================================
+// ROOM LIFETIME LIMITS
+// =========================================
+
+let roomLimitInterval = null;
+let checkingRoomLimits = false;
+
+/**
+ * Warn or close rooms that are near or past their age or idle limit
+ * @param {Server} io 
+ */
+async function checkRoomLimits(io) {
+  // A slow store shouldn't stack up checks
+  if (checkingRoomLimits) {
+    return;
+  }
+  checkingRoomLimits = true;
+  try {
+    for (const roomId of await roomManager.getRoomIds()) {
+      const status = await roomManager.checkLifetime(roomId);
+      if (status?.action === 'close') {
+        await closeRoom(io, roomId, status.reason);
+        logger.info('room-closed', { roomId, reason: status.reason });
+      } else if (status?.action === 'warn') {
+        const minutes = Math.max(1, Math.round((status.closesAt.getTime() - Date.now()) / 60000));
+        const when = `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+        const text = status.reason === 'idle'
+          ? `This room will close ${when} unless someone sends a message`
+          : `This room has reached its time limit and will close ${when}`;
+        io.to(roomId).emit('message', createSystemMessage(roomId, text));
+      }
+    }
+  } catch (error) {
+    logger.error('room-limit-check-failed', { error });
+  } finally {
+    checkingRoomLimits = false;
+  }
+}
+
+// =========================================
+// SHUTDOWN
+// =========================================
+
+// State for this instance, shared by every connection
+const lifecycle = {
+  draining: false,
+  // Requests not yet acknowledged, plus disconnect cleanups under way
+  inFlight: 0
+};
+
+// Not started once shutdown begins
+const REFUSED_WHILE_DRAINING = new Set(['create-room', 'join-room']);
+
+// Held slots awaiting a resume: socketId -> release timer
+const releaseTimers = new Map();
+
+/**
+ * Wait for in-flight work to finish
+ * @param {number} timeoutMs 
+ * @returns {Promise<boolean>} false if some was still running at the deadline
+ */
+async function waitForInFlight(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (lifecycle.inFlight > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return lifecycle.inFlight === 0;
+}
+
+/**
+ * Drain this instance's clients and stop its timers
+ * 
+ * Clients are told first, then in-flight requests get drainMs to be
+ * answered before every socket is disconnected. Closing io and the
+ * HTTP server is left to the caller.
+ * 
+ * @param {Server} io 
+ * @param {object} [options]
+ * @param {number} [options.drainMs] - Longest wait for in-flight requests
+ * @param {number} [options.reconnectAfterMs] - Hint passed to clients
+ */
+async function shutdownSocketServer(io, {
+  drainMs = SHUTDOWN.DRAIN_MS,
+  reconnectAfterMs = SHUTDOWN.RECONNECT_AFTER_MS
+} = {}) {
+  lifecycle.draining = true;
+  io.local.emit('server-shutdown', { reconnectAfterMs });
+
+  if (!(await waitForInFlight(drainMs))) {
+    logger.warn('shutdown-drain-incomplete', { inFlight: lifecycle.inFlight });
+  }
+
+  io.local.disconnectSockets(true);
+  // Disconnect handlers clean up rooms, uploads and typing state
+  await waitForInFlight(drainMs);
+
+  for (const timer of releaseTimers.values()) {
+    clearTimeout(timer);
+  }
+  releaseTimers.clear();
+  expiryWheel.stop();
+  clearInterval(roomLimitInterval);
+  roomLimitInterval = null;
+  for (const limiter of Object.values(rateLimiters)) {
+    limiter.destroy();
+  }
+  logger.info('socket-server-drained');
+}
+
 /**
  * Initialize Socket.IO server with all event handlers
  * @param {http.Server} httpServer 
@@ -110,269 +707,1288 @@ function initializeSocketServer(httpServer, ioInstance = null) {
     pingInterval: 25000
   });
 
+  // SCALING: With the Redis store, relay broadcasts through Redis pub/sub
+  // so io.to(roomId) reaches sockets connected to other instances
+  if (STORE.DRIVER === 'redis' && !ioInstance) {
+    const pubClient = createRedisClient(STORE.REDIS_URL);
+    const subClient = pubClient.duplicate();
+    io.adapter(createAdapter(pubClient, subClient, { key: `${STORE.KEY_PREFIX}socket.io` }));
+    logger.info('redis-adapter-enabled');
+  }
+
+  /**
+   * Handshake refusal; clients read the code from connect_error's data
+   * @param {string} code 
+   * @returns {Error}
+   */
+  const refuseConnection = (code) => Object.assign(new Error(ERROR_MESSAGES[code]), { data: { code } });
+
+  // Refuse clients speaking a protocol version we can't serve
+  io.use((socket, next) => {
+    const { compatible, code } = negotiateVersion(socket.handshake.auth?.protocol);
+    if (!compatible) {
+      next(refuseConnection(code));
+      return;
+    }
+    next();
+  });
+
+  // SECURITY: Refuse connections from blocked IPs at the handshake
+  io.use(async (socket, next) => {
+    try {
+      const blockedFor = await ipBlocklist.getBlockRemaining(getClientIP(socket));
+      if (blockedFor > 0) {
+        next(refuseConnection(ERROR_CODES.IP_BLOCKED));
+        return;
+      }
+      next();
+    } catch (error) {
+      logger.error('block-check-failed', { socketId: socket.id, error });
+      next();
+    }
+  });
+
+  // Expire due messages a room at a time, then tell the room
+  expiryWheel.start((entries) => {
+    const roomIds = new Set(entries.map(entry => entry.value));
+    for (const roomId of roomIds) {
+      roomManager.expireMessages(roomId)
+        .then((messageIds) => {
+          if (messageIds.length > 0) {
+            io.to(roomId).emit('message-expired', { roomId, messageIds });
+          }
+        })
+        .catch(error => logger.error('expire-messages-failed', { roomId, error }));
+    }
+  });
+
+  if (ROOM.MAX_AGE_MS > 0 || ROOM.IDLE_TIMEOUT_MS > 0) {
+    clearInterval(roomLimitInterval);
+    roomLimitInterval = setInterval(() => checkRoomLimits(io), ROOM.LIMIT_CHECK_MS);
+  }
+
+  /**
+   * What room-info tells members about a room
+   * @param {string} roomId 
+   * @returns {Promise<object>}
+   */
+  async function describeRoom(roomId) {
+    const owner = await roomManager.getOwner(roomId);
+    const messageLifetimeMs = await roomManager.getMessageLifetime(roomId);
+    return {
+      roomId,
+      userCount: await roomManager.getRoomUserCount(roomId),
+      ownerId: owner?.id || null,
+      encrypted: await roomManager.isEncrypted(roomId),
+      messageLifetimeSec: messageLifetimeMs ? messageLifetimeMs / 1000 : null,
+      settings: await roomManager.getSettings(roomId)
+    };
+  }
+
+  /**
+   * Send the current member roster to everyone in a room
+   * @param {string} roomId 
+   */
+  async function broadcastMembers(roomId) {
+    io.to(roomId).emit('room-members', {
+      roomId,
+      members: await roomManager.getMembers(roomId)
+    });
+  }
+
+  /**
+   * Admit a socket to a room and announce it
+   * 
+   * Used both for direct joins and for approved knocks, where the
+   * approver's handler admits a socket that may live on another
+   * instance. Everything is therefore addressed through io.to(socketId)
+   * rather than the socket object.
+   * 
+   * @param {string} socketId 
+   * @param {string} roomId 
+   * @param {string|null} preferredName 
+   * @param {object} [cursor] - Resume point for history on reconnect:
+   *   { after } (a message ID) or { afterSeq }; empty for the latest page
+   * @param {object} [origin] - { clientIP } or { fingerprint }, remembered for
+   *   bans; plus resumeToken to take back a held slot
+   * @returns {Promise<object>} { userInfo, history, accessToken, resumeToken }
+   */
+  async function admitToRoom(socketId, roomId, preferredName, cursor = {}, origin = {}) {
+    const userInfo = await roomManager.joinRoom(roomId, socketId, preferredName, origin);
+    io.in(socketId).socketsJoin(roomId);
+    const info = await describeRoom(roomId);
+
+    // Send identity to joining user
+    io.to(socketId).emit('identity', {
+      id: userInfo.id,
+      name: userInfo.name
+    });
+
+    // Send room info
+    io.to(socketId).emit('room-info', info);
+
+    if (userInfo.resumed) {
+      // Nothing changed for the others; only the returning user needs the roster
+      io.to(socketId).emit('room-members', { roomId, members: await roomManager.getMembers(roomId) });
+    } else {
+      // Notify others with system message
+      const joinMessage = createSystemMessage(roomId, `${userInfo.name} joined the room`);
+      io.to(roomId).except(socketId).emit('message', joinMessage);
+
+      // Update user count for everyone
+      io.to(roomId).except(socketId).emit('user-joined', {
+        userId: userInfo.id,
+        userName: userInfo.name,
+        userCount: info.userCount
+      });
+
+      // Roster for everyone, including the newcomer
+      await broadcastMembers(roomId);
+    }
+
+    // New members can answer knocks that are already waiting
+    const room = await roomManager.getRoom(roomId);
+    for (const request of room?.access.joinRequests.values() || []) {
+      io.to(socketId).emit('join-request', { roomId, requestId: request.id, userName: request.name });
+    }
+
+    // Replay history: latest page, or only what was missed on reconnect
+    const history = await roomManager.getMessageHistory(roomId, cursor);
+    // Lets private-room members back in after a reconnect
+    const accessToken = await roomManager.issueAccessToken(roomId);
+    // Lets this user take their slot back if the connection drops
+    const resumeToken = roomManager.issueResumeToken(roomId, userInfo.id);
+
+    return { userInfo, history, accessToken, resumeToken };
+  }
+
+  /**
+   * Announce that a user has left a room
+   * 
+   * Shared by leave, disconnect and kick. Also announces the new
+   * owner when the departing user owned the room.
+   * 
+   * @param {string} roomId 
+   * @param {object} userInfo - Result of roomManager.leaveRoom()
+   * @param {string} text - System message, e.g. "Alice left the room"
+   */
+  async function announceDeparture(roomId, userInfo, text) {
+    io.to(roomId).emit('message', createSystemMessage(roomId, text));
+
+    // Update user count
+    io.to(roomId).emit('user-left', {
+      userId: userInfo.id,
+      userName: userInfo.name,
+      userCount: await roomManager.getRoomUserCount(roomId)
+    });
+
+    if (userInfo.newOwner) {
+      io.to(roomId).emit('owner-changed', {
+        roomId,
+        ownerId: userInfo.newOwner.id,
+        ownerName: userInfo.newOwner.name
+      });
+      io.to(roomId).emit('message', createSystemMessage(roomId, `${userInfo.newOwner.name} now owns the room`));
+    }
+
+    await broadcastMembers(roomId);
+  }
+
+  /**
+   * Hold a dropped socket's slot, releasing it after the grace period
+   * unless its user resumes (with the Redis store, possibly on another
+   * instance; the release then finds nothing to do)
+   * @param {string} socketId 
+   * @returns {Promise<boolean>} Whether a slot is being held
+   */
+  async function holdSlot(socketId) {
+    const held = await roomManager.holdUser(socketId);
+    if (!held) {
+      return false;
+    }
+    const { roomId } = held;
+    releaseTimers.set(socketId, setTimeout(async () => {
+      releaseTimers.delete(socketId);
+      try {
+        const left = await roomManager.leaveRoom(roomId, socketId);
+        if (left) {
+          await announceDeparture(roomId, left, `${left.name} disconnected`);
+        }
+      } catch (error) {
+        logger.error('slot-release-failed', { roomId, socketId, error });
+      }
+    }, SESSION.RESUME_GRACE_MS));
+    return true;
+  }
+
+  /**
+   * Remove a socket from a room on a moderator's behalf
+   * @param {string} socketId 
+   * @param {string} roomId 
+   * @param {string} reason - 'kicked' or 'banned'
+   * @returns {Promise<object|null>} Removed user info
+   */
+  async function removeFromRoom(socketId, roomId, reason) {
+    const removed = await roomManager.leaveRoom(roomId, socketId);
+    if (!removed) {
+      return null;
+    }
+    io.to(socketId).emit('kicked', { roomId, reason });
+    io.in(socketId).socketsLeave(roomId);
+    await announceDeparture(roomId, removed, `${removed.name} was ${reason}`);
+    return removed;
+  }
+
   io.on('connection', (socket) => {
     // SECURITY: Track and limit connections per IP
-    const clientIP = socket.handshake.headers['x-forwarded-for']?.split(',')[0]?.trim() 
-      || socket.handshake.address 
-      || 'unknown';
+    const clientIP = getClientIP(socket);
     
     const currentConnections = connectionsByIP.get(clientIP) || 0;
     if (currentConnections >= MAX_CONNECTIONS_PER_IP) {
-      console.warn(`[Socket] Connection limit exceeded for IP: ${clientIP}`);
-      socket.emit('error', { message: 'Too many connections from your IP' });
+      logger.warn('connection-limit-exceeded', { socketId: socket.id, ip: clientIP });
+      socket.emit('error', { code: ERROR_CODES.TOO_MANY_CONNECTIONS, message: ERROR_MESSAGES.TOO_MANY_CONNECTIONS });
       socket.disconnect(true);
       return;
     }
     connectionsByIP.set(clientIP, currentConnections + 1);
     
-    console.log(`[Socket] Client connected: ${socket.id} (IP: ${clientIP}, Connections: ${currentConnections + 1})`);
+    logger.info('client-connected', { socketId: socket.id, ip: clientIP, connections: currentConnections + 1 });
+
+    // Every packet passes through here before its handler:
+    // - checked against the protocol schema, and reshaped to
+    //   [event, payload?, ack?] so handlers see one calling convention
+    // - refused if it starts something new while shutting down
+    // - counted until acknowledged (see shutdownSocketServer)
+    socket.use((packet, next) => {
+      const [event, ...args] = packet;
+      const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const definition = describeClientEvent(event);
+      
+      const validation = definition && args.length <= (definition.hasPayload ? 1 : 0)
+        ? validatePayload(event, args[0])
+        : { valid: false, code: ERROR_CODES.INVALID_REQUEST, error: ERROR_MESSAGES.INVALID_REQUEST, path: event };
+      if (!validation.valid) {
+        logger.warn('invalid-payload', { socketId: socket.id, socketEvent: event, path: validation.path, code: validation.code });
+        ack?.(fail(validation.code));
+        return;
+      }
+      if (definition.ack === 'required' && !ack) {
+        logger.warn('missing-ack', { socketId: socket.id, socketEvent: event });
+        return;
+      }
+      if (lifecycle.draining && REFUSED_WHILE_DRAINING.has(event)) {
+        ack?.(fail(ERROR_CODES.SERVER_SHUTTING_DOWN));
+        return;
+      }
+      
+      packet.length = 1;
+      if (definition.hasPayload) {
+        packet.push(args[0]);
+      }
+      if (definition.ack === 'none') {
+        next();
+        return;
+      }
+      // Optional acks get a stand-in, so handlers can always answer
+      const reply = ack || (() => {});
+      lifecycle.inFlight++;
+      let answered = false;
+      packet.push((...response) => {
+        if (!answered) {
+          answered = true;
+          lifecycle.inFlight--;
+        }
+        reply(...response);
+      });
+      next();
+    });
+
+    /**
+     * Check a request against several budgets (see checkRateLimits)
+     * 
+     * Refusals on this client's own budgets are strikes against its
+     * IP; enough of them block the IP and drop this connection.
+     * 
+     * @param {Array<object>} checks - [{ limiter, key, cost?, shared? }]
+     * @returns {Promise<object>} { allowed, remaining, resetIn }
+     */
+    const enforceRateLimits = async (checks) => {
+      const blockedFor = await ipBlocklist.getBlockRemaining(clientIP);
+      if (blockedFor > 0) {
+        return { allowed: false, remaining: 0, resetIn: blockedFor };
+      }
+      
+      const result = await checkRateLimits(checks);
+      if (!result.allowed && !result.shared) {
+        const blockFor = await ipBlocklist.recordStrike(clientIP);
+        if (blockFor > 0) {
+          socket.emit('error', { code: ERROR_CODES.IP_BLOCKED, message: ERROR_MESSAGES.IP_BLOCKED });
+          socket.disconnect(true);
+          return { allowed: false, remaining: 0, resetIn: blockFor };
+        }
+      }
+      return result;
+    };
+
+    /**
+     * Check this socket's and this IP's event budgets, weighted by
+     * SECURITY.EVENT_COSTS
+     * @param {string} event - Socket event name, or 'moderate' for kick/mute/ban
+     * @returns {Promise<object>} See enforceRateLimits()
+     */
+    const checkEventRate = (event) => {
+      const cost = SECURITY.EVENT_COSTS[event] ?? 1;
+      return enforceRateLimits([
+        { limiter: eventRateLimiter, key: socket.id, cost },
+        { limiter: ipEventRateLimiter, key: clientIP, cost }
+      ]);
+    };
+
+    // Send initial identity
+    const tempUserName = `User_${Math.floor(1000 + Math.random() * 9000)}`;
+    socket.emit('identity', {
+      id: socket.id,
+      name: tempUserName,
+      roomCodeFormat: roomCode.name
+    });
+
+    // Room this socket is knocking on, if any (knock-mode rooms)
+    let pendingJoinRoomId = null;
+
+    // Uploads in flight from this connection: uploadId -> upload
+    const uploads = new Map();
+
+    /**
+     * Abandon an upload and give its quota back
+     * @param {string} uploadId 
+     */
+    const cancelUpload = async (uploadId) => {
+      const upload = uploads.get(uploadId);
+      if (!upload) return;
+      uploads.delete(uploadId);
+      await roomManager.releaseAttachmentBytes(upload.roomId, upload.size);
+    };
+
+    // Typing state: the room we're shown as typing in, and its expiry
+    let typing = null; // { roomId, userId, userName }
+    let typingTimeout = null;
+
+    /**
+     * Clear this socket's typing state and tell the room
+     */
+    const stopTyping = () => {
+      if (!typing) return;
+      clearTimeout(typingTimeout);
+      typingTimeout = null;
+      
+      const { roomId, userId, userName } = typing;
+      typing = null;
+      socket.to(roomId).emit('user-typing', { roomId, userId, userName, isTyping: false });
+    };
+
+    /**
+     * Withdraw this socket's pending join request and tell the room
+     */
+    const cancelPendingJoin = async () => {
+      if (!pendingJoinRoomId) return;
+      const roomId = pendingJoinRoomId;
+      pendingJoinRoomId = null;
+      
+      const request = await roomManager.removeJoinRequest(roomId, { socketId: socket.id });
+      if (request) {
+        io.to(roomId).emit('join-request-resolved', {
+          roomId,
+          requestId: request.id,
+          approved: false,
+          cancelled: true
+        });
+      }
+    };
+
+    // =========================================
+    // ROOM CREATION
+    // =========================================
+    socket.on('create-room', async (options, callback) => {
+      try {
+        // SECURITY: Rate limit room creation events
+        const rateCheck = await checkEventRate('create-room');
+        if (!rateCheck.allowed) {
+          metrics.roomCreationFailures.inc({ reason: 'rate_limited' });
+          callback(fail(ERROR_CODES.RATE_LIMITED));
+          return;
+        }
+        
+        // Options are optional: create-room(callback) makes a public room
+        const { passphrase, requireApproval, encrypted, filters, messageLifetimeSec, settings } = options || {};
+        const passphraseCheck = validatePassphrase(passphrase);
+        if (!passphraseCheck.valid) {
+          metrics.roomCreationFailures.inc({ reason: 'invalid' });
+          callback(fail(passphraseCheck.code, passphraseCheck.error));
+          return;
+        }
+        const filterCheck = messageFilter.validateRoomRules(filters);
+        if (!filterCheck.valid) {
+          metrics.roomCreationFailures.inc({ reason: 'invalid' });
+          callback(fail(filterCheck.code, filterCheck.error));
+          return;
+        }
+        const lifetimeCheck = validateMessageLifetime(messageLifetimeSec);
+        if (!lifetimeCheck.valid) {
+          metrics.roomCreationFailures.inc({ reason: 'invalid' });
+          callback(fail(lifetimeCheck.code, lifetimeCheck.error));
+          return;
+        }
+        const settingsCheck = validateRoomSettings(settings);
+        if (!settingsCheck.valid) {
+          metrics.roomCreationFailures.inc({ reason: 'invalid' });
+          callback(fail(settingsCheck.code, settingsCheck.error));
+          return;
+        }
+        
+        const room = await roomManager.createRoom({
+          passphrase: passphraseCheck.passphrase,
+          requireApproval: requireApproval === true,
+          encrypted: encrypted === true,
+          filters: filterCheck.rules,
+          messageLifetimeMs: lifetimeCheck.lifetimeMs,
+          settings: settingsCheck.settings,
+          ownerSocketId: socket.id
+        });
+        
+        // The creator gets straight in without passphrase or approval
+        const accessToken = await roomManager.issueAccessToken(room.id);
+        callback({ success: true, roomId: room.id, accessToken });
+      } catch (error) {
+        logger.error('create-room-failed', { socketId: socket.id, error });
+        metrics.roomCreationFailures.inc({ reason: error.code === ERROR_CODES.SERVER_AT_CAPACITY ? 'capacity' : 'error' });
+        callback(failFrom(error));
+      }
+    });
+
+    // =========================================
+    // ROOM CHECK
+    // =========================================
+    socket.on('check-room', async (roomId, callback) => {
+      try {
+        // SECURITY: Rate limit checks so codes can't be enumerated freely
+        const rateCheck = await checkEventRate('check-room');
+        if (!rateCheck.allowed) {
+          callback({ ...fail(ERROR_CODES.RATE_LIMITED), exists: false });
+          return;
+        }
+        
+        // Tell the client what it will need to get in
+        const access = await roomManager.getAccessInfo(roomId);
+        callback(access ? { success: true, exists: true, ...access } : { success: true, exists: false });
+      } catch (error) {
+        logger.error('check-room-failed', { socketId: socket.id, error });
+        callback({ ...failFrom(error), exists: false });
+      }
+    });
+
+    // =========================================
+    // JOIN ROOM
+    // =========================================
+    socket.on('join-room', async (data, callback) => {
+      try {
+        // SECURITY: Rate limit join events
+        const rateCheck = await checkEventRate('join-room');
+        if (!rateCheck.allowed) {
+          callback(fail(ERROR_CODES.RATE_LIMITED));
+          return;
+        }
+        
+        // Reconnecting clients send the last message (or sequence number)
+        // they saw; private rooms need a passphrase, or a token from an
+        // earlier admission
+        const {
+          roomId,
+          preferredName = null,
+          afterMessageId = null,
+          afterSeq = null,
+          passphrase = null,
+          accessToken = null,
+          resumeToken = null
+        } = data;
+        
+        if (!(await roomManager.roomExists(roomId))) {
+          callback(fail(ERROR_CODES.ROOM_NOT_FOUND));
+          return;
+        }
+
+        // SECURITY: Cap wrong passphrases and knocks per room, from
+        // anyone, so a passphrase can't be guessed from many sockets or
+        // IPs at once. Successful joins aren't counted, so a busy public
+        // room never hits the cap, and anyone returning with a token
+        // skips it entirely
+        const roomJoinBudget = { limiter: roomJoinRateLimiter, key: roomId, shared: true };
+        const roomBusy = () => callback(fail(ERROR_CODES.ROOM_BUSY, 'Too many join attempts for this room. Please wait.'));
+        const returning = await roomManager.holdsRoomToken(roomId, { accessToken, resumeToken });
+        if (!returning && !(await roomJoinRateLimiter.peek(roomId)).allowed) {
+          roomBusy();
+          return;
+        }
+
+        let access;
+        try {
+          access = await roomManager.authorizeJoin(roomId, socket.id, { passphrase, accessToken, clientIP });
+        } catch (error) {
+          if (error.code === ERROR_CODES.PASSPHRASE_INCORRECT) {
+            await enforceRateLimits([roomJoinBudget]);
+          }
+          throw error;
+        }
+        
+        // Knock mode: hold the request until a member approves it
+        if (access === 'knock') {
+          if (!(await enforceRateLimits([roomJoinBudget])).allowed) {
+            roomBusy();
+            return;
+          }
+          const request = await roomManager.addJoinRequest(roomId, socket.id, preferredName, clientIP);
+          pendingJoinRoomId = roomId;
+          io.to(roomId).emit('join-request', {
+            roomId,
+            requestId: request.id,
+            userName: request.name
+          });
+          callback({ success: false, pending: true });
+          return;
+        }
+
+        const admission = await admitToRoom(
+          socket.id, roomId, preferredName, { after: afterMessageId, afterSeq }, { clientIP, resumeToken }
+        );
+        callback({
+          success: true,
+          history: admission.history,
+          accessToken: admission.accessToken,
+          resumeToken: admission.resumeToken
+        });
+      } catch (error) {
+        logger.error('join-room-failed', { socketId: socket.id, error });
+        callback(failFrom(error));
+      }
+    });
+
+    // =========================================
+    // JOIN APPROVAL (knock-mode rooms)
+    // Any current member may approve or deny
+    // =========================================
+    const resolveJoinRequest = async ({ roomId, requestId }, callback, approved) => {
+      try {
+        const userInfo = await roomManager.getUserInfo(socket.id);
+        if (!userInfo || userInfo.roomId !== roomId) {
+          callback(fail(ERROR_CODES.NOT_IN_ROOM));
+          return;
+        }
+        
+        // Removing the request first means only one member can resolve it
+        const request = await roomManager.removeJoinRequest(roomId, { requestId });
+        if (!request) {
+          callback(fail(ERROR_CODES.JOIN_REQUEST_NOT_FOUND));
+          return;
+        }
+        
+        io.to(roomId).emit('join-request-resolved', {
+          roomId,
+          requestId,
+          approved,
+          by: userInfo.name
+        });
+        
+        if (!approved) {
+          io.to(request.socketId).emit('join-denied', { roomId });
+          callback({ success: true });
+          return;
+        }
+        
+        // The requester may have gone away (possibly on another instance)
+        const requesterSockets = await io.in(request.socketId).fetchSockets();
+        if (requesterSockets.length === 0) {
+          callback(fail(ERROR_CODES.REQUESTER_LEFT));
+          return;
+        }
+        
+        const { history, accessToken, resumeToken } = await admitToRoom(
+          request.socketId, roomId, request.name, {}, { fingerprint: request.fingerprint }
+        );
+        io.to(request.socketId).emit('join-approved', { roomId, history, accessToken, resumeToken });
+        callback({ success: true });
+      } catch (error) {
+        logger.error('join-request-failed', { socketId: socket.id, error });
+        callback(failFrom(error, ERROR_CODES.INTERNAL_ERROR, 'Failed to resolve request'));
+      }
+    };
+
+    socket.on('approve-join', (data, callback) => resolveJoinRequest(data, callback, true));
+    socket.on('deny-join', (data, callback) => resolveJoinRequest(data, callback, false));
+
+    // =========================================
+    // FETCH HISTORY
+    // Cursor-based paging back through room history, or catching up
+    // on a gap in sequence numbers
+    // =========================================
+    socket.on('fetch-history', async ({ roomId, before, afterSeq, limit }, callback) => {
+      try {
+        // SECURITY: Rate limit history requests like other room events
+        const rateCheck = await checkEventRate('fetch-history');
+        if (!rateCheck.allowed) {
+          callback(fail(ERROR_CODES.RATE_LIMITED));
+          return;
+        }
+
+        // Only members may read a room's history
+        const userInfo = await roomManager.getUserInfo(socket.id);
+        if (!userInfo || userInfo.roomId !== roomId) {
+          callback(fail(ERROR_CODES.NOT_IN_ROOM));
+          return;
+        }
 
-    // Send initial identity
-    const tempUserName = `User_${Math.floor(1000 + Math.random() * 9000)}`;
-    socket.emit('identity', {
-      id: socket.id,
-      name: tempUserName
+        // Clamp page size to the configured maximum
+        const pageSize = Number.isInteger(limit)
+          ? Math.min(Math.max(limit, 1), MESSAGE.HISTORY_PAGE_SIZE)
+          : MESSAGE.HISTORY_PAGE_SIZE;
+
+        const page = await roomManager.getMessageHistory(roomId, { before, afterSeq, limit: pageSize });
+        callback({ success: true, ...page });
+      } catch (error) {
+        logger.error('fetch-history-failed', { socketId: socket.id, error });
+        callback(failFrom(error, ERROR_CODES.INTERNAL_ERROR, 'Failed to fetch history'));
+      }
     });
 
     // =========================================
-    // ROOM CREATION
+    // LEAVE ROOM
     // =========================================
-    socket.on('create-room', (callback) => {
+    socket.on('leave-room', async (roomId) => {
       try {
-        // SECURITY: Rate limit room creation events
-        const rateCheck = eventRateLimiter.check(socket.id);
-        if (!rateCheck.allowed) {
-          callback({ success: false, error: 'Too many requests. Please wait.' });
-          return;
+        // Walking away from a knock withdraws it
+        if (pendingJoinRoomId === roomId) {
+          await cancelPendingJoin();
+        }
+        
+        const left = await roomManager.leaveRoom(roomId, socket.id);
+        
+        stopTyping();
+        for (const [uploadId, upload] of uploads) {
+          if (upload.roomId === roomId) {
+            await cancelUpload(uploadId);
+          }
         }
         
-        const room = roomManager.createRoom();
-        callback({ success: true, roomId: room.id });
+        if (left) {
+          socket.leave(roomId);
+
+          // Notify room with system message
+          await announceDeparture(roomId, left, `${left.name} left the room`);
+        }
       } catch (error) {
-        console.error('[Socket] Error creating room:', error.message);
-        callback({ success: false, error: error.message });
+        logger.error('leave-room-failed', { socketId: socket.id, error });
       }
     });
 
     // =========================================
-    // ROOM CHECK
+    // SEND MESSAGE
+    // Rate limited + validated
     // =========================================
-    socket.on('check-room', (roomId, callback) => {
+    socket.on('send-message', async ({ roomId, content, replyTo, clientMessageId }, callback) => {
       try {
-        if (typeof roomId !== 'string' || !/^\d{4}$/.test(roomId)) {
-          callback({ exists: false });
+        // Rate limiting check: this socket, then its IP
+        const rateCheck = await enforceRateLimits([
+          { limiter: messageRateLimiter, key: socket.id },
+          { limiter: ipMessageRateLimiter, key: clientIP }
+        ]);
+        if (!rateCheck.allowed) {
+          // Notify client they're rate limited
+          socket.emit('rate-limited', {
+            code: ERROR_CODES.RATE_LIMITED,
+            message: RATE_LIMIT.COOLDOWN_MESSAGE,
+            resetIn: rateCheck.resetIn
+          });
+          callback(fail(ERROR_CODES.RATE_LIMITED, RATE_LIMIT.COOLDOWN_MESSAGE));
+          return;
+        }
+
+        // Validate user is in room
+        const userInfo = await roomManager.getUserInfo(socket.id);
+        if (!userInfo || userInfo.roomId !== roomId) {
+          logger.warn('not-in-room', { socketId: socket.id, roomId });
+          callback(fail(ERROR_CODES.NOT_IN_ROOM));
+          return;
+        }
+
+        // A retry of a message we already stored (its ack was lost):
+        // answer as the first time and post nothing
+        const original = clientMessageId
+          ? await roomManager.findSentMessage(roomId, userInfo.id, clientMessageId)
+          : null;
+        if (original) {
+          callback({ success: true, messageId: original.id, seq: original.seq, duplicate: true });
+          return;
+        }
+
+        // Muted users can read but not post
+        const mutedFor = await roomManager.getMuteRemaining(roomId, userInfo.id);
+        if (mutedFor > 0) {
+          socket.emit('muted', { roomId, until: new Date(Date.now() + mutedFor) });
+          callback(fail(ERROR_CODES.MUTED));
+          return;
+        }
+
+        // Validate and filter message content
+        const validation = await checkContent(roomId, content, { senderId: userInfo.id });
+        if (!validation.valid) {
+          callback(fail(validation.code, validation.error));
+          return;
+        }
+        const { encrypted } = validation;
+
+        // Replies quote a message that is still in the room's history
+        let replySnapshot = null;
+        if (replyTo !== undefined && replyTo !== null) {
+          const original = await roomManager.getMessage(roomId, replyTo);
+          if (!original || original.type === 'system' || original.deleted) {
+            callback(fail(ERROR_CODES.INVALID_REPLY));
+            return;
+          }
+          replySnapshot = createReplySnapshot(original);
+        }
+
+        // Create and broadcast message
+        const message = {
+          id: `msg_${crypto.randomBytes(8).toString('hex')}`,
+          type: 'user',
+          senderId: userInfo.id,
+          senderName: userInfo.name,
+          content: validation.sanitized,
+          timestamp: new Date()
+        };
+        if (clientMessageId) {
+          message.clientMessageId = clientMessageId;
+        }
+        if (encrypted) {
+          message.encrypted = true;
+        }
+        if (replySnapshot) {
+          message.replyTo = replySnapshot;
+        }
+
+        // Announcement mode and slow mode; the owner is exempt
+        await roomManager.claimPostSlot(roomId, socket.id);
+
+        // The room's own budget, spent last so only posts that are
+        // going out count: outsiders, muted members and refused posts
+        // can't use it up and lock the owner out
+        const roomRateCheck = await enforceRateLimits([
+          { limiter: roomMessageRateLimiter, key: roomId, shared: true }
+        ]);
+        if (!roomRateCheck.allowed) {
+          socket.emit('rate-limited', {
+            code: ERROR_CODES.ROOM_BUSY,
+            message: ERROR_MESSAGES.ROOM_BUSY,
+            resetIn: roomRateCheck.resetIn
+          });
+          callback(fail(ERROR_CODES.ROOM_BUSY));
+          return;
+        }
+
+        // Stamps the sequence number; a concurrent retry may have won
+        const added = await roomManager.addMessage(roomId, message);
+        if (!added) {
+          callback(fail(ERROR_CODES.ROOM_NOT_FOUND));
           return;
         }
-        const exists = roomManager.roomExists(roomId);
-        callback({ exists });
+        const { message: stored, duplicate } = added;
+        if (!duplicate) {
+          stopTyping();
+          scheduleExpiry(roomId, stored);
+          io.to(roomId).emit('message', stored);
+          metrics.messagesSent.inc({ type: 'user' });
+          metrics.messageSize.observe(Buffer.byteLength(stored.content));
+        }
+        
+        callback({ success: true, messageId: stored.id, seq: stored.seq, duplicate });
       } catch (error) {
-        console.error('[Socket] Error checking room:', error.message);
-        callback({ exists: false });
+        logger.error('send-message-failed', { socketId: socket.id, error });
+        callback(failFrom(error, ERROR_CODES.INTERNAL_ERROR, 'Failed to send message'));
       }
     });
 
     // =========================================
-    // JOIN ROOM
+    // MODERATION (room owner only)
+    // kick-user, mute-user and ban-user share validation
     // =========================================
-    socket.on('join-room', (data, callback) => {
+    const moderate = async (data, callback, action) => {
       try {
-        // SECURITY: Rate limit join events
-        const rateCheck = eventRateLimiter.check(socket.id);
+        // SECURITY: Rate limit moderation events
+        const rateCheck = await checkEventRate('moderate');
         if (!rateCheck.allowed) {
-          callback({ success: false, error: 'Too many requests. Please wait.' });
+          callback(fail(ERROR_CODES.RATE_LIMITED));
           return;
         }
         
-        // Support both simple roomId and object with preferredName
-        let roomId, preferredName;
-        if (typeof data === 'string') {
-          roomId = data;
-          preferredName = null;
-        } else if (data && typeof data === 'object') {
-          roomId = data.roomId;
-          preferredName = data.preferredName;
-        } else {
-          callback({ success: false, error: 'Invalid request' });
+        const { roomId, userId } = data;
+        if (!(await roomManager.isOwner(roomId, socket.id))) {
+          callback(fail(ERROR_CODES.NOT_OWNER));
           return;
         }
         
-        // SECURITY: Validate roomId format
-        if (typeof roomId !== 'string' || !/^\d{4}$/.test(roomId)) {
-          callback({ success: false, error: 'Invalid room code' });
+        const target = await roomManager.findMember(roomId, userId);
+        if (!target) {
+          callback(fail(ERROR_CODES.USER_NOT_FOUND));
           return;
         }
-        
-        if (!roomManager.roomExists(roomId)) {
-          callback({ success: false, error: 'Room not found' });
+        if (target.socketId === socket.id) {
+          callback(fail(ERROR_CODES.CANNOT_MODERATE_SELF));
           return;
         }
+        
+        await action(roomId, target, data);
+        callback({ success: true });
+      } catch (error) {
+        logger.error('moderation-failed', { socketId: socket.id, error });
+        callback(failFrom(error, ERROR_CODES.INTERNAL_ERROR, 'Moderation failed'));
+      }
+    };
 
-        const userInfo = roomManager.joinRoom(roomId, socket.id, preferredName);
-        socket.join(roomId);
+    socket.on('kick-user', (data, callback) => moderate(data, callback, async (roomId, target) => {
+      await removeFromRoom(target.socketId, roomId, 'kicked');
+    }));
 
-        // Send identity to joining user
-        socket.emit('identity', {
-          id: userInfo.id,
-          name: userInfo.name
-        });
+    socket.on('mute-user', (data, callback) => moderate(data, callback, async (roomId, target, { durationSec }) => {
+      // 0 lifts the mute; otherwise clamp to the configured maximum
+      const durationMs = Number.isFinite(durationSec)
+        ? Math.min(Math.max(durationSec * 1000, 0), MODERATION.MAX_MUTE_MS)
+        : MODERATION.DEFAULT_MUTE_MS;
+      const until = durationMs > 0 ? Date.now() + durationMs : 0;
+      
+      await roomManager.setMute(roomId, target.id, until);
+      io.to(target.socketId).emit('muted', { roomId, until: until ? new Date(until) : null });
+      
+      const text = until
+        ? `${target.name} was muted for ${Math.ceil(durationMs / 60000)} min`
+        : `${target.name} was unmuted`;
+      io.to(roomId).emit('message', createSystemMessage(roomId, text));
+    }));
 
-        // Send room info
-        socket.emit('room-info', {
-          roomId,
-          userCount: roomManager.getRoomUserCount(roomId)
-        });
+    socket.on('ban-user', (data, callback) => moderate(data, callback, async (roomId, target) => {
+      if (!target.fingerprint) {
+        await removeFromRoom(target.socketId, roomId, 'banned');
+        return;
+      }
+      // Everyone behind the same address goes with them (refused if
+      // that would include the owner)
+      const socketIds = await roomManager.banFingerprint(roomId, target.fingerprint);
+      for (const socketId of socketIds) {
+        await removeFromRoom(socketId, roomId, 'banned');
+      }
+    }));
 
-        // Notify others with system message
-        const joinMessage = createSystemMessage(roomId, `${userInfo.name} joined the room`);
-        socket.to(roomId).emit('message', joinMessage);
+    // =========================================
+    // ROOM SETTINGS (room owner only)
+    // =========================================
+    socket.on('update-room-settings', async ({ roomId, settings }, callback) => {
+      try {
+        const rateCheck = await checkEventRate('update-room-settings');
+        if (!rateCheck.allowed) {
+          callback(fail(ERROR_CODES.RATE_LIMITED));
+          return;
+        }
         
-        // Update user count for everyone
-        socket.to(roomId).emit('user-joined', {
-          userId: userInfo.id,
-          userName: userInfo.name,
-          userCount: roomManager.getRoomUserCount(roomId)
-        });
-
-        callback({ success: true });
+        if (!(await roomManager.isOwner(roomId, socket.id))) {
+          callback(fail(ERROR_CODES.NOT_OWNER));
+          return;
+        }
+        
+        const settingsCheck = validateRoomSettings(settings);
+        if (!settingsCheck.valid) {
+          callback(fail(settingsCheck.code, settingsCheck.error));
+          return;
+        }
+        
+        const before = await roomManager.getSettings(roomId);
+        const updated = await roomManager.updateSettings(roomId, settingsCheck.settings);
+        io.to(roomId).emit('room-info', await describeRoom(roomId));
+        for (const notice of describeSettingsChanges(before, updated)) {
+          io.to(roomId).emit('message', createSystemMessage(roomId, notice));
+        }
+        callback({ success: true, settings: updated });
       } catch (error) {
-        console.error('[Socket] Error joining room:', error.message);
-        callback({ success: false, error: error.message });
+        logger.error('update-room-settings-failed', { socketId: socket.id, error });
+        callback(failFrom(error, ERROR_CODES.INTERNAL_ERROR, 'Failed to update room settings'));
       }
     });
 
     // =========================================
-    // LEAVE ROOM
+    // EDIT / DELETE MESSAGE
+    // Author only, within MESSAGE.EDIT_WINDOW_MS
     // =========================================
-    socket.on('leave-room', (roomId) => {
+    const changeMessage = async (data, callback, change) => {
       try {
-        // SECURITY: Validate roomId format
-        if (typeof roomId !== 'string' || !/^\d{4}$/.test(roomId)) {
-          console.warn(`[Socket] Invalid roomId format: ${roomId}`);
+        const { roomId, messageId } = data;
+        
+        // Edits and deletes share the message budget
+        const rateCheck = await messageRateLimiter.check(socket.id);
+        if (!rateCheck.allowed) {
+          socket.emit('rate-limited', {
+            code: ERROR_CODES.RATE_LIMITED,
+            message: RATE_LIMIT.COOLDOWN_MESSAGE,
+            resetIn: rateCheck.resetIn
+          });
+          callback(fail(ERROR_CODES.RATE_LIMITED, RATE_LIMIT.COOLDOWN_MESSAGE));
           return;
         }
-        const userInfo = roomManager.getUserInfo(socket.id);
-        const left = roomManager.leaveRoom(roomId, socket.id);
         
-        if (left) {
-          socket.leave(roomId);
-
-          // Notify room with system message
-          if (userInfo) {
-            const leaveMessage = createSystemMessage(roomId, `${userInfo.name} left the room`);
-            io.to(roomId).emit('message', leaveMessage);
-          }
-
-          // Update user count
-          io.to(roomId).emit('user-left', {
-            userId: userInfo?.id,
-            userName: userInfo?.name,
-            userCount: roomManager.getRoomUserCount(roomId)
-          });
+        const userInfo = await roomManager.getUserInfo(socket.id);
+        if (!userInfo || userInfo.roomId !== roomId) {
+          callback(fail(ERROR_CODES.NOT_IN_ROOM));
+          return;
+        }
+        if (await roomManager.getMuteRemaining(roomId, userInfo.id) > 0) {
+          callback(fail(ERROR_CODES.MUTED));
+          return;
         }
+        
+        await change(roomId, messageId, userInfo, data);
+        callback({ success: true });
       } catch (error) {
-        console.error('[Socket] Error leaving room:', error.message);
+        logger.error('message-change-failed', { socketId: socket.id, error });
+        callback(failFrom(error));
       }
-    });
+    };
+
+    socket.on('edit-message', (data, callback) => changeMessage(data, callback, async (roomId, messageId, userInfo, { content }) => {
+      const validation = await checkContent(roomId, content, { senderId: userInfo.id, isEdit: true });
+      if (!validation.valid) {
+        throw new ProtocolError(validation.code, validation.error);
+      }
+      const message = await roomManager.editMessage(roomId, messageId, userInfo.id, validation.sanitized);
+      io.to(roomId).emit('message-updated', { roomId, message });
+    }));
+
+    socket.on('delete-message', (data, callback) => changeMessage(data, callback, async (roomId, messageId, userInfo) => {
+      const message = await roomManager.deleteMessage(roomId, messageId, userInfo.id);
+      io.to(roomId).emit('message-deleted', { roomId, messageId, deletedAt: message.deletedAt });
+    }));
 
     // =========================================
-    // SEND MESSAGE
-    // Rate limited + validated
+    // REACTIONS
+    // Toggle one emoji on a message; counts against the message budget
     // =========================================
-    socket.on('send-message', (data, callback) => {
+    socket.on('react-message', async ({ roomId, messageId, emoji }, callback) => {
       try {
-        // SECURITY: Validate input structure
-        if (!data || typeof data !== 'object') {
-          if (callback) callback({ success: false, error: 'Invalid request' });
+        if (!isValidReaction(emoji)) {
+          callback(fail(ERROR_CODES.INVALID_REACTION));
+          return;
+        }
+        
+        const rateCheck = await messageRateLimiter.check(socket.id);
+        if (!rateCheck.allowed) {
+          socket.emit('rate-limited', {
+            code: ERROR_CODES.RATE_LIMITED,
+            message: RATE_LIMIT.COOLDOWN_MESSAGE,
+            resetIn: rateCheck.resetIn
+          });
+          callback(fail(ERROR_CODES.RATE_LIMITED, RATE_LIMIT.COOLDOWN_MESSAGE));
           return;
         }
-        const { roomId, content } = data;
         
-        // SECURITY: Validate roomId format (4 digits)
-        if (typeof roomId !== 'string' || !/^\d{4}$/.test(roomId)) {
-          if (callback) callback({ success: false, error: 'Invalid room' });
+        const userInfo = await roomManager.getUserInfo(socket.id);
+        if (!userInfo || userInfo.roomId !== roomId) {
+          callback(fail(ERROR_CODES.NOT_IN_ROOM));
+          return;
+        }
+        if (await roomManager.getMuteRemaining(roomId, userInfo.id) > 0) {
+          callback(fail(ERROR_CODES.MUTED));
           return;
         }
         
-        // Rate limiting check
-        const rateCheck = messageRateLimiter.check(socket.id);
+        const { added, count } = await roomManager.toggleReaction(roomId, messageId, userInfo.id, emoji);
+        
+        // Deltas only; clients apply them to the message they hold
+        io.to(roomId).emit('reaction-updated', {
+          roomId,
+          messageId,
+          emoji,
+          userId: userInfo.id,
+          added,
+          count
+        });
+        callback({ success: true });
+      } catch (error) {
+        logger.error('reaction-failed', { socketId: socket.id, error });
+        callback(failFrom(error));
+      }
+    });
+
+    // =========================================
+    // FILE UPLOADS
+    // upload-start -> upload-chunk* -> upload-complete
+    // =========================================
+    socket.on('upload-start', async (data, callback) => {
+      try {
+        const { roomId } = data;
+        
+        // An upload ends in a message, so it shares the message budget
+        const rateCheck = await messageRateLimiter.check(socket.id);
         if (!rateCheck.allowed) {
-          // Notify client they're rate limited
           socket.emit('rate-limited', {
+            code: ERROR_CODES.RATE_LIMITED,
             message: RATE_LIMIT.COOLDOWN_MESSAGE,
             resetIn: rateCheck.resetIn
           });
-          if (callback) callback({ success: false, error: 'Rate limited' });
+          callback(fail(ERROR_CODES.RATE_LIMITED, RATE_LIMIT.COOLDOWN_MESSAGE));
           return;
         }
-
-        // Validate user is in room
-        const userInfo = roomManager.getUserInfo(socket.id);
+        
+        const userInfo = await roomManager.getUserInfo(socket.id);
         if (!userInfo || userInfo.roomId !== roomId) {
-          console.warn(`[Socket] User ${socket.id} not in room ${roomId}`);
-          if (callback) callback({ success: false, error: 'Not in room' });
+          callback(fail(ERROR_CODES.NOT_IN_ROOM));
+          return;
+        }
+        if (await roomManager.getMuteRemaining(roomId, userInfo.id) > 0) {
+          callback(fail(ERROR_CODES.MUTED));
+          return;
+        }
+        
+        // Files would be readable here, which defeats the point
+        if (await roomManager.isEncrypted(roomId)) {
+          callback(fail(ERROR_CODES.FILES_DISABLED));
+          return;
+        }
+        
+        if (uploads.size >= UPLOAD.MAX_CONCURRENT) {
+          callback(fail(ERROR_CODES.TOO_MANY_UPLOADS));
+          return;
+        }
+        
+        const request = validateUploadRequest(data);
+        if (!request.valid) {
+          callback(fail(request.code, request.error));
           return;
         }
+        
+        await roomManager.reserveAttachmentBytes(roomId, request.size);
+        
+        // A file is a post: announcement mode and slow mode apply. Claimed
+        // only once the upload is accepted, so a refused upload doesn't
+        // start the sender's slow-mode wait
+        try {
+          await roomManager.claimPostSlot(roomId, socket.id);
+        } catch (error) {
+          await roomManager.releaseAttachmentBytes(roomId, request.size);
+          throw error;
+        }
+        
+        const uploadId = `up_${crypto.randomBytes(8).toString('hex')}`;
+        uploads.set(uploadId, {
+          roomId,
+          name: request.name,
+          type: request.type,
+          size: request.size,
+          chunks: [],
+          received: 0
+        });
+        callback({ success: true, uploadId, chunkSize: UPLOAD.CHUNK_BYTES });
+      } catch (error) {
+        logger.error('upload-start-failed', { socketId: socket.id, error });
+        callback(failFrom(error));
+      }
+    });
 
-        // Validate message content
-        const validation = validateMessage(content);
-        if (!validation.valid) {
-          if (callback) callback({ success: false, error: validation.error });
+    socket.on('upload-chunk', async ({ uploadId, index, data: chunk }, callback) => {
+      try {
+        const upload = uploads.get(uploadId);
+        if (!upload) {
+          callback(fail(ERROR_CODES.UNKNOWN_UPLOAD));
+          return;
+        }
+        
+        // Chunks arrive in order, each within the size we promised
+        if (index !== upload.chunks.length
+          || chunk.length === 0 || chunk.length > UPLOAD.CHUNK_BYTES
+          || upload.received + chunk.length > upload.size) {
+          await cancelUpload(uploadId);
+          callback(fail(ERROR_CODES.INVALID_CHUNK));
           return;
         }
+        
+        upload.chunks.push(chunk);
+        upload.received += chunk.length;
+        callback({ success: true, received: upload.received });
+      } catch (error) {
+        logger.error('upload-chunk-failed', { socketId: socket.id, error });
+        callback(fail(ERROR_CODES.INTERNAL_ERROR, 'Upload failed'));
+      }
+    });
 
-        // Create and broadcast message
+    socket.on('upload-complete', async ({ uploadId }, callback) => {
+      const upload = uploads.get(uploadId);
+      if (!upload) {
+        callback(fail(ERROR_CODES.UNKNOWN_UPLOAD));
+        return;
+      }
+      
+      let saved = null;
+      try {
+        if (upload.received !== upload.size) {
+          await cancelUpload(uploadId);
+          callback(fail(ERROR_CODES.UPLOAD_INCOMPLETE));
+          return;
+        }
+        
+        const buffer = Buffer.concat(upload.chunks);
+        const check = verifyContent(buffer, upload.type);
+        if (!check.valid) {
+          await cancelUpload(uploadId);
+          callback(fail(check.code, check.error));
+          return;
+        }
+        
+        // The sender may have left while the upload was running
+        const userInfo = await roomManager.getUserInfo(socket.id);
+        if (!userInfo || userInfo.roomId !== upload.roomId) {
+          await cancelUpload(uploadId);
+          callback(fail(ERROR_CODES.NOT_IN_ROOM));
+          return;
+        }
+        
+        const attachment = {
+          id: `file_${crypto.randomBytes(8).toString('hex')}`,
+          name: upload.name,
+          type: check.type,
+          size: upload.size
+        };
+        await roomManager.saveAttachment(upload.roomId, attachment, buffer);
+        // From here the reserved quota belongs to the stored file
+        uploads.delete(uploadId);
+        saved = attachment;
+        
         const message = {
-          id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          type: 'user',
+          id: `msg_${crypto.randomBytes(8).toString('hex')}`,
+          type: 'attachment',
           senderId: userInfo.id,
           senderName: userInfo.name,
-          content: validation.sanitized,
+          content: '',
+          attachment,
           timestamp: new Date()
         };
+        const added = await roomManager.addMessage(upload.roomId, message);
+        if (!added) {
+          await roomManager.deleteAttachment(upload.roomId, attachment);
+          callback(fail(ERROR_CODES.ROOM_NOT_FOUND));
+          return;
+        }
+        scheduleExpiry(upload.roomId, added.message);
+        io.to(upload.roomId).emit('message', added.message);
+        metrics.messagesSent.inc({ type: 'attachment' });
+        
+        callback({ success: true, attachmentId: attachment.id });
+      } catch (error) {
+        logger.error('upload-complete-failed', { socketId: socket.id, error });
+        // A file no message points to is removed with its quota
+        if (saved) {
+          await roomManager.deleteAttachment(upload.roomId, saved);
+        } else {
+          await cancelUpload(uploadId);
+        }
+        callback(failFrom(error, ERROR_CODES.INTERNAL_ERROR, 'Upload failed'));
+      }
+    });
+
+    socket.on('upload-cancel', async ({ uploadId }) => {
+      try {
+        await cancelUpload(uploadId);
+      } catch (error) {
+        logger.error('upload-cancel-failed', { socketId: socket.id, error });
+      }
+    });
 
-        roomManager.addMessage(roomId, message);
-        io.to(roomId).emit('message', message);
+    socket.on('fetch-attachment', async ({ roomId, attachmentId }, callback) => {
+      try {
+        // Only members may download a room's files
+        const userInfo = await roomManager.getUserInfo(socket.id);
+        if (!userInfo || userInfo.roomId !== roomId) {
+          callback(fail(ERROR_CODES.NOT_IN_ROOM));
+          return;
+        }
         
-        if (callback) callback({ success: true });
+        const file = await roomManager.getAttachment(roomId, attachmentId);
+        if (!file) {
+          callback(fail(ERROR_CODES.FILE_UNAVAILABLE));
+          return;
+        }
+        callback({ success: true, name: file.name, type: file.type, data: file.data });
       } catch (error) {
-        console.error('[Socket] Error sending message:', error.message);
-        if (callback) callback({ success: false, error: 'Failed to send message' });
+        logger.error('fetch-attachment-failed', { socketId: socket.id, error });
+        callback(failFrom(error, ERROR_CODES.INTERNAL_ERROR, 'Failed to fetch file'));
       }
     });
 
     // =========================================
-    // UPDATE USERNAME
+    // TYPING INDICATORS
+    // Throttled client-side, rate limited and expired server-side
     // =========================================
-    socket.on('update-username', (data, callback) => {
+    socket.on('typing-start', async (roomId) => {
       try {
-        // SECURITY: Validate input structure
-        if (!data || typeof data !== 'object') {
-          callback({ success: false, error: 'Invalid request' });
+        // Over the limit: drop silently, the indicator is best-effort
+        const rateCheck = await typingRateLimiter.check(socket.id);
+        if (!rateCheck.allowed) {
           return;
         }
-        const { roomId, newName } = data;
         
-        // SECURITY: Validate roomId format
-        if (typeof roomId !== 'string' || !/^\d{4}$/.test(roomId)) {
-          callback({ success: false, error: 'Invalid room' });
+        const userInfo = await roomManager.getUserInfo(socket.id);
+        if (!userInfo || userInfo.roomId !== roomId) {
           return;
         }
-        
-        if (!newName || typeof newName !== 'string') {
-          callback({ success: false, error: 'Invalid name' });
+        if (await roomManager.getMuteRemaining(roomId, userInfo.id) > 0) {
           return;
         }
         
+        // Only announce the transition; repeats just extend the timeout
+        if (!typing || typing.roomId !== roomId) {
+          stopTyping();
+          typing = { roomId, userId: userInfo.id, userName: userInfo.name };
+          socket.to(roomId).emit('user-typing', { ...typing, isTyping: true });
+        }
+        
+        clearTimeout(typingTimeout);
+        typingTimeout = setTimeout(stopTyping, TYPING.TIMEOUT_MS);
+      } catch (error) {
+        logger.error('typing-start-failed', { socketId: socket.id, error });
+      }
+    });
+
+    socket.on('typing-stop', async (roomId) => {
+      try {
+        const rateCheck = await typingRateLimiter.check(socket.id);
+        if (!rateCheck.allowed) {
+          return;
+        }
+        if (typing && typing.roomId === roomId) {
+          stopTyping();
+        }
+      } catch (error) {
+        logger.error('typing-stop-failed', { socketId: socket.id, error });
+      }
+    });
+
+    // =========================================
+    // UPDATE USERNAME
+    // =========================================
+    socket.on('update-username', async ({ roomId, newName }, callback) => {
+      try {
         const sanitizedName = newName.trim().substring(0, USERNAME.MAX_LENGTH);
         if (sanitizedName.length < USERNAME.MIN_LENGTH) {
-          callback({ success: false, error: 'Name too short' });
+          callback(fail(ERROR_CODES.INVALID_NAME, 'Name too short'));
           return;
         }
 
-        const userInfo = roomManager.getUserInfo(socket.id);
+        const userInfo = await roomManager.getUserInfo(socket.id);
         const oldName = userInfo?.name;
         
-        const updated = roomManager.updateUserName(socket.id, sanitizedName);
+        const updated = await roomManager.updateUserName(socket.id, sanitizedName);
         if (updated) {
           socket.emit('identity', updated);
           
@@ -387,14 +2003,15 @@ function initializeSocketServer(httpServer, ioInstance = null) {
             oldName,
             newName: updated.name
           });
+          await broadcastMembers(userInfo.roomId);
           
           callback({ success: true, name: updated.name });
         } else {
-          callback({ success: false, error: 'Failed to update name' });
+          callback(fail(ERROR_CODES.INVALID_NAME, 'Failed to update name'));
         }
       } catch (error) {
-        console.error('[Socket] Error updating username:', error.message);
-        callback({ success: false, error: 'Failed to update name' });
+        logger.error('update-username-failed', { socketId: socket.id, error });
+        callback(failFrom(error, ERROR_CODES.INTERNAL_ERROR, 'Failed to update name'));
       }
     });
 
@@ -402,17 +2019,12 @@ function initializeSocketServer(httpServer, ioInstance = null) {
     // DISCONNECT HANDLER
     // Critical for cleanup
     // =========================================
-    socket.on('disconnect', (reason) => {
-      console.log(`[Socket] Client disconnected: ${socket.id}, reason: ${reason}`);
-      
-      // Clean up rate limiters
-      messageRateLimiter.remove(socket.id);
-      eventRateLimiter.remove(socket.id);
+    socket.on('disconnect', async (reason) => {
+      lifecycle.inFlight++;
+      logger.info('client-disconnected', { socketId: socket.id, reason });
+      metrics.disconnects.inc({ reason });
       
       // SECURITY: Decrement IP connection count
-      const clientIP = socket.handshake.headers['x-forwarded-for']?.split(',')[0]?.trim() 
-        || socket.handshake.address 
-        || 'unknown';
       const currentConnections = connectionsByIP.get(clientIP) || 0;
       if (currentConnections <= 1) {
         connectionsByIP.delete(clientIP);
@@ -420,46 +2032,72 @@ function initializeSocketServer(httpServer, ioInstance = null) {
         connectionsByIP.set(clientIP, currentConnections - 1);
       }
       
-      // Handle room cleanup
-      const result = roomManager.handleDisconnect(socket.id);
-      if (result) {
-        const { roomId, userInfo } = result;
+      try {
+        stopTyping();
+        await cancelPendingJoin();
+        for (const uploadId of Array.from(uploads.keys())) {
+          await cancelUpload(uploadId);
+        }
         
-        // Send system message about user leaving
-        const leaveMessage = createSystemMessage(roomId, `${userInfo.name} disconnected`);
-        io.to(roomId).emit('message', leaveMessage);
+        // Clean up rate limiters
+        await Promise.all([
+          messageRateLimiter.remove(socket.id),
+          eventRateLimiter.remove(socket.id),
+          typingRateLimiter.remove(socket.id)
+        ]);
         
-        // Update user count
-        io.to(roomId).emit('user-left', {
-          userId: userInfo.id,
-          userName: userInfo.name,
-          userCount: roomManager.getRoomUserCount(roomId)
-        });
+        // A dropped connection may come back: hold its slot for a while
+        // (not while shutting down: nothing would be left to release it)
+        const resumable = SESSION.RESUME_GRACE_MS > 0 && !lifecycle.draining && RESUMABLE_DISCONNECT_REASONS.has(reason);
+        if (resumable && await holdSlot(socket.id)) {
+          return;
+        }
+
+        // Handle room cleanup
+        const result = await roomManager.handleDisconnect(socket.id);
+        if (result) {
+          const { roomId, userInfo } = result;
+          
+          // Send system message about user leaving
+          await announceDeparture(roomId, userInfo, `${userInfo.name} disconnected`);
+        }
+      } catch (error) {
+        logger.error('disconnect-cleanup-failed', { socketId: socket.id, error });
+      } finally {
+        lifecycle.inFlight--;
       }
     });
 
     // =========================================
     // STATS (for monitoring) - Protected in production
     // =========================================
-    socket.on('get-stats', (callback) => {
+    socket.on('get-stats', async (callback) => {
       try {
         // SECURITY: Only allow stats in development mode
         if (process.env.NODE_ENV === 'production') {
-          callback({ error: 'Stats not available in production' });
+          callback(fail(ERROR_CODES.INVALID_REQUEST, 'Stats not available in production'));
           return;
         }
         callback({
-          rooms: roomManager.getStats(),
-          rateLimiter: messageRateLimiter.getStats()
+          success: true,
+          rooms: await roomManager.getStats(),
+          rateLimiter: await messageRateLimiter.getStats()
         });
       } catch (error) {
-        callback({ error: 'Failed to get stats' });
+        callback(fail(ERROR_CODES.INTERNAL_ERROR, 'Failed to get stats'));
       }
     });
   });
 
-  console.log('[Socket] Socket.IO server initialized');
+  logger.info('server-initialized');
   return io;
 }
 
-module.exports = { initializeSocketServer };
+module.exports = {
+  initializeSocketServer,
+  getClientIP,
+  closeRoom,
+  broadcastAnnouncement,
+  shutdownSocketServer,
+  rateLimiters
+};
@@ -0,0 +1,55 @@
+/**
+ * Store Value Codec
+ *
+ * Room state uses Map, Set and Date, none of which survive JSON.
+ * Every store backend encodes values through here so that the in-memory
+ * and Redis backends hand back exactly the same shapes.
+ *
+ * Encoded forms:
+ *   Date -> { $date: epochMs }
+ *   Map  -> { $map: [[key, value], ...] }
+ *   Set  -> { $set: [value, ...] }
+ */
+
+/**
+ * Serialize a value to a string
+ * @param {*} value
+ * @returns {string}
+ */
+function encode(value) {
+  return JSON.stringify(value, function replacer(key, current) {
+    // Date#toJSON runs before the replacer, so read the raw value
+    const raw = this[key];
+    if (raw instanceof Date) {
+      return { $date: raw.getTime() };
+    }
+    if (current instanceof Map) {
+      return { $map: Array.from(current.entries()) };
+    }
+    if (current instanceof Set) {
+      return { $set: Array.from(current.values()) };
+    }
+    return current;
+  });
+}
+
+/**
+ * Deserialize a string produced by encode()
+ * @param {string|null} data
+ * @returns {*} Decoded value, or null for missing data
+ */
+function decode(data) {
+  if (data === null || data === undefined) {
+    return null;
+  }
+  return JSON.parse(data, (key, value) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if ('$date' in value) return new Date(value.$date);
+      if ('$map' in value) return new Map(value.$map);
+      if ('$set' in value) return new Set(value.$set);
+    }
+    return value;
+  });
+}
+
+module.exports = { encode, decode };
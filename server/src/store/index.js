@@ -0,0 +1,54 @@
+/**
+ * State Store
+ *
+ * ARCHITECTURE DECISIONS:
+ *
+ * 1. WHY A STORE INTERFACE?
+ *    - RoomManager and RateLimiter used to own process-level Maps, which
+ *      pinned FOURBYTE to a single server instance
+ *    - Both now keep their state in a store, so several instances can
+ *      share rooms and rate limits through Redis
+ *
+ * 2. THE INTERFACE (all methods async, values are plain data + Map/Set/Date):
+ *    - get(key)                        -> value | null
+ *    - set(key, value, { ttlMs })
+ *    - add(key, value, { ttlMs })      -> boolean (false if key exists)
+ *    - update(key, mutator, { ttlMs }) -> resulting value
+ *        Atomic read-modify-write. mutator(current|null) returns the
+ *        next value, null to delete, or undefined to leave it untouched.
+ *        It may run more than once under contention, so it must be a
+ *        synchronous function of its argument. Errors it throws propagate.
+ *    - delete(key)
+ *    - keys(prefix)                    -> string[]
+ *    - prune()                         -> drop expired entries
+ *    - close()
+ *
+ * 3. BACKENDS:
+ *    - memory: default, single instance (see memoryStore.js)
+ *    - redis:  shared state for horizontal scaling (see redisStore.js)
+ */
+
+const { STORE } = require('../config');
+const { MemoryStore } = require('./memoryStore');
+const { RedisStore, createRedisClient } = require('./redisStore');
+
+/**
+ * Create a store for the configured driver
+ * @param {object} [options] - Defaults to STORE config
+ * @returns {MemoryStore|RedisStore}
+ */
+function createStore({ driver = STORE.DRIVER, redisUrl = STORE.REDIS_URL, keyPrefix = STORE.KEY_PREFIX } = {}) {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'redis':
+      return new RedisStore({ url: redisUrl, keyPrefix });
+    default:
+      throw new Error(`Unknown store driver: ${driver}`);
+  }
+}
+
+// Shared instance used by the RoomManager and RateLimiter singletons
+const store = createStore();
+
+module.exports = { store, createStore, createRedisClient, MemoryStore, RedisStore };
@@ -0,0 +1,110 @@
+/**
+ * In-memory Store
+ *
+ * Default backend for single-instance deployments.
+ *
+ * WHY ENCODE VALUES IN MEMORY?
+ * Values are stored encoded (see codec.js) rather than as live objects.
+ * Callers therefore always work on copies, exactly as they would with
+ * Redis, and code that forgets to write back through update() breaks
+ * in development instead of only once deployed with several instances.
+ *
+ * Expiry is lazy (checked on access) plus prune(), which the rate
+ * limiters call from their cleanup interval.
+ */
+
+const { encode, decode } = require('./codec');
+
+class MemoryStore {
+  constructor() {
+    // key -> { data: string, expiresAt: number|null }
+    this.entries = new Map();
+  }
+
+  /**
+   * Read an entry, dropping it if expired
+   * @param {string} key
+   * @returns {object|null}
+   */
+  readEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  writeEntry(key, value, ttlMs) {
+    this.entries.set(key, {
+      data: encode(value),
+      expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
+    });
+  }
+
+  async get(key) {
+    const entry = this.readEntry(key);
+    return entry ? decode(entry.data) : null;
+  }
+
+  async set(key, value, { ttlMs = 0 } = {}) {
+    this.writeEntry(key, value, ttlMs);
+  }
+
+  async add(key, value, { ttlMs = 0 } = {}) {
+    if (this.readEntry(key)) {
+      return false;
+    }
+    this.writeEntry(key, value, ttlMs);
+    return true;
+  }
+
+  async update(key, mutator, { ttlMs = 0 } = {}) {
+    // Atomic by construction: nothing else runs between read and write
+    const entry = this.readEntry(key);
+    const current = entry ? decode(entry.data) : null;
+    const next = mutator(current);
+
+    if (next === undefined) {
+      return current;
+    }
+    if (next === null) {
+      this.entries.delete(key);
+      return null;
+    }
+    this.writeEntry(key, next, ttlMs);
+    return next;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async keys(prefix) {
+    const result = [];
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix) && this.readEntry(key)) {
+        result.push(key);
+      }
+    }
+    return result;
+  }
+
+  async prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async close() {
+    this.entries.clear();
+  }
+}
+
+module.exports = { MemoryStore };
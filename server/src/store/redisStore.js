@@ -0,0 +1,151 @@
+/**
+ * Redis Store
+ *
+ * Shared backend for running several server instances behind a load
+ * balancer. Works with anything that speaks the Redis protocol
+ * (Redis, Valkey, KeyDB, Dragonfly).
+ *
+ * ATOMIC UPDATES:
+ * update() is optimistic compare-and-set. We read the encoded value,
+ * apply the mutator locally, then write through a Lua script that only
+ * succeeds if the stored value is still what we read. On conflict we
+ * re-read and retry. This keeps the whole store on one connection
+ * (WATCH/MULTI would need a connection per concurrent update) and lets
+ * mutators stay plain synchronous JavaScript.
+ */
+
+const Redis = require('ioredis');
+const { encode, decode } = require('./codec');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('RedisStore');
+
+// KEYS[1] = key, ARGV[1] = expected ('' = absent), ARGV[2] = next ('' = delete), ARGV[3] = ttl ms
+const COMPARE_AND_SET = `
+local current = redis.call('GET', KEYS[1])
+if current == false then current = '' end
+if current ~= ARGV[1] then return 0 end
+if ARGV[2] == '' then
+  redis.call('DEL', KEYS[1])
+elseif tonumber(ARGV[3]) > 0 then
+  redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+else
+  redis.call('SET', KEYS[1], ARGV[2])
+end
+return 1
+`;
+
+// Give up after this many lost races on a single key
+const MAX_UPDATE_ATTEMPTS = 20;
+
+/**
+ * Create a Redis client with the settings the server expects
+ * @param {string} url
+ * @returns {Redis}
+ */
+function createRedisClient(url) {
+  const client = new Redis(url, {
+    // Fail commands instead of queueing them forever while Redis is down
+    maxRetriesPerRequest: 3
+  });
+  client.on('error', (error) => {
+    logger.error('connection-error', { error });
+  });
+  return client;
+}
+
+class RedisStore {
+  /**
+   * @param {object} options
+   * @param {string} [options.url] - Redis connection URL
+   * @param {Redis} [options.client] - Existing client (takes precedence over url)
+   * @param {string} [options.keyPrefix] - Namespace for all keys
+   */
+  constructor({ url, client, keyPrefix = '' } = {}) {
+    this.client = client || createRedisClient(url);
+    this.keyPrefix = keyPrefix;
+    this.client.defineCommand('fourbyteCompareAndSet', {
+      numberOfKeys: 1,
+      lua: COMPARE_AND_SET
+    });
+  }
+
+  key(key) {
+    return this.keyPrefix + key;
+  }
+
+  async get(key) {
+    return decode(await this.client.get(this.key(key)));
+  }
+
+  async set(key, value, { ttlMs = 0 } = {}) {
+    if (ttlMs > 0) {
+      await this.client.set(this.key(key), encode(value), 'PX', ttlMs);
+    } else {
+      await this.client.set(this.key(key), encode(value));
+    }
+  }
+
+  async add(key, value, { ttlMs = 0 } = {}) {
+    const result = ttlMs > 0
+      ? await this.client.set(this.key(key), encode(value), 'PX', ttlMs, 'NX')
+      : await this.client.set(this.key(key), encode(value), 'NX');
+    return result === 'OK';
+  }
+
+  async update(key, mutator, { ttlMs = 0 } = {}) {
+    const fullKey = this.key(key);
+
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      const data = await this.client.get(fullKey);
+      const current = decode(data);
+      const next = mutator(current);
+
+      if (next === undefined) {
+        return current;
+      }
+
+      const written = await this.client.fourbyteCompareAndSet(
+        fullKey,
+        data === null ? '' : data,
+        next === null ? '' : encode(next),
+        ttlMs
+      );
+      if (written === 1) {
+        return next;
+      }
+    }
+
+    throw new Error(`Store update contention on ${key}`);
+  }
+
+  async delete(key) {
+    await this.client.del(this.key(key));
+  }
+
+  async keys(prefix) {
+    const found = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.client.scan(
+        cursor, 'MATCH', `${this.key(prefix)}*`, 'COUNT', 200
+      );
+      cursor = next;
+      for (const key of batch) {
+        found.push(key.substring(this.keyPrefix.length));
+      }
+    } while (cursor !== '0');
+    // SCAN may return a key more than once
+    return Array.from(new Set(found));
+  }
+
+  async prune() {
+    // Redis expires keys itself
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = { RedisStore, createRedisClient };
@@ -0,0 +1,148 @@
+/**
+ * Timer Wheel - Many Deadlines, One Interval
+ *
+ * ARCHITECTURE DECISIONS:
+ *
+ * 1. WHY A WHEEL?
+ *    - Disappearing messages need a deadline each; a setTimeout per
+ *      message means thousands of live handles in a busy server
+ *    - A hashed wheel runs a single interval: each tick moves a cursor
+ *      to the next of `slots` buckets and fires what is due there
+ *    - Scheduling and cancelling are O(1); a tick only looks at one
+ *      bucket
+ *
+ * 2. RESOLUTION
+ *    - Deadlines are rounded up to the next tick, so entries fire up to
+ *      one tick late, never early
+ *    - Deadlines more than one turn of the wheel away wait in their
+ *      bucket with a count of turns still to go
+ *    - A tick that runs late (busy event loop) catches up on every
+ *      bucket it skipped
+ *
+ * 3. KEYED ENTRIES
+ *    - Entries are named by the caller; scheduling a key again moves it
+ *    - Everything due in a tick is handed over in one batch, so callers
+ *      can group the work (e.g. one sweep per room)
+ *    - Entries live in this process only; callers that share state
+ *      between instances must not depend on every entry firing
+ */
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('TimerWheel');
+
+class TimerWheel {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.tickMs] - Resolution
+   * @param {number} [options.slots] - Buckets per turn of the wheel
+   * @param {Function} [options.clock] - Returns the time in ms (defaults to Date.now)
+   */
+  constructor({ tickMs = 1000, slots = 60, clock = Date.now } = {}) {
+    this.tickMs = tickMs;
+    this.clock = clock;
+    // Each bucket: key -> { value, turns }
+    this.buckets = Array.from({ length: slots }, () => new Map());
+    // key -> bucket index, for cancelling
+    this.index = new Map();
+    // Ticks processed so far, and when the next one is due
+    this.ticks = 0;
+    this.nextTickAt = clock() + tickMs;
+    this.interval = null;
+    this.onExpire = null;
+  }
+
+  /**
+   * Number of scheduled entries
+   * @returns {number}
+   */
+  get size() {
+    return this.index.size;
+  }
+
+  /**
+   * Start ticking
+   * @param {function(Array<{ key: string, value: * }>): void} onExpire -
+   *   Called with everything due in a tick
+   */
+  start(onExpire) {
+    this.stop();
+    this.onExpire = onExpire;
+    this.nextTickAt = this.clock() + this.tickMs;
+    this.interval = setInterval(() => this.advance(), this.tickMs);
+  }
+
+  /**
+   * Stop ticking and drop every entry (for graceful shutdown)
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.buckets.forEach(bucket => bucket.clear());
+    this.index.clear();
+  }
+
+  /**
+   * Schedule (or move) an entry
+   * @param {string} key
+   * @param {number} at - Deadline, in ms since the epoch
+   * @param {*} [value] - Handed back when the entry fires
+   */
+  schedule(key, at, value) {
+    this.cancel(key);
+    const ticksAhead = Math.max(0, Math.ceil((at - this.nextTickAt) / this.tickMs));
+    const slot = (this.ticks + 1 + ticksAhead) % this.buckets.length;
+    const turns = Math.floor(ticksAhead / this.buckets.length);
+    this.buckets[slot].set(key, { value, turns });
+    this.index.set(key, slot);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key
+   * @returns {boolean} false if it wasn't scheduled
+   */
+  cancel(key) {
+    const slot = this.index.get(key);
+    if (slot === undefined) {
+      return false;
+    }
+    this.buckets[slot].delete(key);
+    this.index.delete(key);
+    return true;
+  }
+
+  /**
+   * Process every tick that is due; called by the interval
+   */
+  advance() {
+    const due = [];
+    const now = this.clock();
+    while (this.nextTickAt <= now) {
+      this.ticks++;
+      this.nextTickAt += this.tickMs;
+      const bucket = this.buckets[this.ticks % this.buckets.length];
+      for (const [key, entry] of bucket) {
+        if (entry.turns > 0) {
+          entry.turns--;
+          continue;
+        }
+        bucket.delete(key);
+        this.index.delete(key);
+        due.push({ key, value: entry.value });
+      }
+    }
+
+    if (due.length > 0 && this.onExpire) {
+      try {
+        this.onExpire(due);
+      } catch (error) {
+        logger.error('expire-callback-failed', { count: due.length, error });
+      }
+    }
+  }
+}
+
+module.exports = { TimerWheel };
@@ -0,0 +1,103 @@
+/**
+ * In-process stand-in for a Redis server
+ *
+ * Implements just the commands RedisStore uses (GET, SET with PX/NX,
+ * DEL, SCAN and the compare-and-set script) against one shared Map, so
+ * several clients behave like several server instances talking to the
+ * same Redis. Every command yields to the event loop first, which lets
+ * concurrent updates interleave the way they do over a real connection.
+ */
+
+class FakeRedisServer {
+  constructor() {
+    this.data = new Map(); // key -> { value, expiresAt }
+    this.compareAndSetCalls = 0;
+    this.compareAndSetFailures = 0;
+    // Test hook: runs just before each compare-and-set is applied
+    this.beforeCompareAndSet = null;
+  }
+
+  read(key) {
+    const entry = this.data.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry ? entry.value : null;
+  }
+
+  write(key, value, ttlMs = 0) {
+    this.data.set(key, { value, expiresAt: ttlMs > 0 ? Date.now() + ttlMs : 0 });
+  }
+
+  /**
+   * A new client connected to this server
+   * @returns {object} ioredis-shaped client
+   */
+  createClient() {
+    const server = this;
+    const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+    return {
+      async get(key) {
+        await tick();
+        return server.read(key);
+      },
+
+      async set(key, value, ...args) {
+        await tick();
+        const options = args.map((arg) => (typeof arg === 'string' ? arg.toUpperCase() : arg));
+        const pxAt = options.indexOf('PX');
+        const ttlMs = pxAt >= 0 ? Number(options[pxAt + 1]) : 0;
+        if (options.includes('NX') && server.read(key) !== null) {
+          return null;
+        }
+        server.write(key, value, ttlMs);
+        return 'OK';
+      },
+
+      async del(key) {
+        await tick();
+        const existed = server.read(key) !== null;
+        server.data.delete(key);
+        return existed ? 1 : 0;
+      },
+
+      async scan(cursor, match, pattern) {
+        await tick();
+        const prefix = pattern.replace(/\*$/, '');
+        const keys = Array.from(server.data.keys())
+          .filter((key) => key.startsWith(prefix) && server.read(key) !== null);
+        return ['0', keys];
+      },
+
+      defineCommand(name) {
+        // Only the store's compare-and-set script is supported
+        this[name] = async (key, expected, next, ttlMs) => {
+          await tick();
+          server.compareAndSetCalls++;
+          if (server.beforeCompareAndSet) {
+            server.beforeCompareAndSet(key);
+          }
+          const current = server.read(key) ?? '';
+          if (current !== expected) {
+            server.compareAndSetFailures++;
+            return 0;
+          }
+          if (next === '') {
+            server.data.delete(key);
+          } else {
+            server.write(key, next, Number(ttlMs));
+          }
+          return 1;
+        };
+      },
+
+      async quit() {
+        return 'OK';
+      }
+    };
+  }
+}
+
+module.exports = { FakeRedisServer };
@@ -0,0 +1,93 @@
+/**
+ * Two server instances sharing one Redis
+ *
+ * Each "instance" gets its own RedisStore, RoomManager and RateLimiter,
+ * exactly as separate processes would, with a FakeRedisServer standing
+ * in for the shared Redis.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RedisStore } = require('../src/store');
+const { RoomManager } = require('../src/roomManager');
+const { RateLimiter } = require('../src/rateLimiter');
+const { createRoomCodeFormat } = require('../src/roomCode');
+const { FakeRedisServer } = require('./fakeRedis');
+
+function startInstances(count = 2, roomCode = undefined) {
+  const server = new FakeRedisServer();
+  const instances = Array.from({ length: count }, () => {
+    const store = new RedisStore({ client: server.createClient(), keyPrefix: 'fourbyte:' });
+    return { store, rooms: new RoomManager(store, roomCode) };
+  });
+  return { server, instances };
+}
+
+test('a room created on one instance can be joined on another', async () => {
+  const { instances: [a, b] } = startInstances();
+
+  const room = await a.rooms.createRoom({ ownerSocketId: 'socket-a' });
+  await a.rooms.joinRoom(room.id, 'socket-a');
+  await b.rooms.joinRoom(room.id, 'socket-b');
+
+  const members = await a.rooms.getMembers(room.id);
+  assert.equal(members.length, 2);
+  assert.equal(await b.rooms.isOwner(room.id, 'socket-a'), true);
+});
+
+test('concurrent joins on different instances are all kept', async () => {
+  const { server, instances: [a, b] } = startInstances();
+  const room = await a.rooms.createRoom();
+
+  await Promise.all(Array.from({ length: 6 }, (_, i) =>
+    (i % 2 ? a : b).rooms.joinRoom(room.id, `socket-${i}`)));
+
+  assert.equal((await b.rooms.getMembers(room.id)).length, 6);
+  assert.ok(server.compareAndSetFailures > 0, 'expected the joins to race');
+});
+
+test('concurrent messages get distinct sequence numbers', async () => {
+  const { instances: [a, b] } = startInstances();
+  const room = await a.rooms.createRoom();
+
+  const message = (senderId, content) => ({
+    id: `${senderId}-${content}`, senderId, content, timestamp: new Date().toISOString()
+  });
+  const sent = await Promise.all([
+    a.rooms.addMessage(room.id, message('a', 'one')),
+    b.rooms.addMessage(room.id, message('b', 'two')),
+    a.rooms.addMessage(room.id, message('a', 'three'))
+  ]);
+
+  const seqs = sent.map((result) => result.message.seq).sort();
+  assert.deepEqual(seqs, [1, 2, 3]);
+});
+
+test('instances never hand out the same room code', async () => {
+  // A two-code space forces both instances to collide
+  const tiny = { ...createRoomCodeFormat('numeric', 4), size: 2 };
+  tiny.randomCode = () => tiny.codeAt(0);
+  const { instances: [a, b] } = startInstances(2, tiny);
+
+  const rooms = await Promise.all([a.rooms.createRoom(), b.rooms.createRoom()]);
+
+  assert.notEqual(rooms[0].id, rooms[1].id);
+});
+
+test('rate limits are shared across instances', async (t) => {
+  const server = new FakeRedisServer();
+  const now = () => 1_000_000;
+  const limiters = [0, 1].map(() => new RateLimiter(4, 60000, {
+    name: 'shared',
+    algorithm: 'fixed-window',
+    clock: now,
+    store: new RedisStore({ client: server.createClient() })
+  }));
+  t.after(() => limiters.forEach((limiter) => limiter.destroy()));
+
+  const results = await Promise.all(Array.from({ length: 6 }, (_, i) =>
+    limiters[i % 2].check('1.2.3.4')));
+
+  assert.equal(results.filter((result) => result.allowed).length, 4);
+});
@@ -0,0 +1,231 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryStore } = require('../src/store');
+const { RateLimiter, checkRateLimits } = require('../src/rateLimiter');
+
+/**
+ * A limiter on its own store, with a clock the test moves by hand
+ */
+function createLimiter(t, maxRequests, windowMs, options = {}) {
+  const clock = { now: 0 };
+  const limiter = new RateLimiter(maxRequests, windowMs, {
+    store: new MemoryStore(),
+    clock: () => clock.now,
+    ...options
+  });
+  t.after(() => limiter.destroy());
+  return { limiter, clock };
+}
+
+async function countAllowed(limiter, attempts, cost = 1) {
+  let allowed = 0;
+  for (let i = 0; i < attempts; i++) {
+    if ((await limiter.check('client', cost)).allowed) {
+      allowed++;
+    }
+  }
+  return allowed;
+}
+
+test('unknown algorithms are rejected', () => {
+  assert.throws(() => new RateLimiter(1, 1000, { algorithm: 'leaky' }), /Unknown rate limit algorithm/);
+});
+
+// =========================================
+// TOKEN BUCKET
+// =========================================
+test('token bucket: spends the bucket, then refills at the average rate', async (t) => {
+  const { limiter, clock } = createLimiter(t, 5, 1000, { algorithm: 'token-bucket' });
+
+  assert.equal(await countAllowed(limiter, 10), 5);
+
+  const refused = await limiter.check('client');
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.remaining, 0);
+  assert.equal(refused.resetIn, 200);
+
+  clock.now = 199;
+  assert.equal((await limiter.check('client')).allowed, false);
+  clock.now = 200;
+  assert.equal((await limiter.check('client')).allowed, true);
+});
+
+test('token bucket: burst allows more at once without raising the rate', async (t) => {
+  const { limiter, clock } = createLimiter(t, 5, 1000, { algorithm: 'token-bucket', burst: 10 });
+
+  assert.equal(await countAllowed(limiter, 20), 10);
+  clock.now = 1000;
+  assert.equal(await countAllowed(limiter, 20), 5);
+});
+
+test('token bucket: no burst across a window boundary', async (t) => {
+  const { limiter, clock } = createLimiter(t, 5, 1000, { algorithm: 'token-bucket' });
+
+  clock.now = 999;
+  assert.equal(await countAllowed(limiter, 5), 5);
+  clock.now = 1000;
+  assert.equal(await countAllowed(limiter, 5), 0);
+});
+
+test('token bucket: costs', async (t) => {
+  const { limiter } = createLimiter(t, 5, 1000, { algorithm: 'token-bucket' });
+
+  const spent = await limiter.check('client', 3);
+  assert.deepEqual(spent, { allowed: true, remaining: 2, resetIn: 600 });
+
+  const refused = await limiter.check('client', 3);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.resetIn, 200);
+
+  // A refused request costs nothing
+  assert.equal((await limiter.check('client', 2)).allowed, true);
+});
+
+test('token bucket: a cost above the burst never passes', async (t) => {
+  const { limiter, clock } = createLimiter(t, 5, 1000, { algorithm: 'token-bucket' });
+
+  const refused = await limiter.check('client', 6);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.resetIn, Infinity);
+
+  clock.now = 60000;
+  assert.equal((await limiter.check('client', 6)).resetIn, Infinity);
+});
+
+// =========================================
+// SLIDING WINDOW
+// =========================================
+test('sliding window: limits within a window', async (t) => {
+  const { limiter, clock } = createLimiter(t, 5, 1000, { algorithm: 'sliding-window' });
+
+  clock.now = 100;
+  assert.equal(await countAllowed(limiter, 10), 5);
+  const refused = await limiter.check('client');
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.resetIn, 900);
+});
+
+test('sliding window: no burst across a window boundary', async (t) => {
+  const { limiter, clock } = createLimiter(t, 5, 1000, { algorithm: 'sliding-window' });
+
+  clock.now = 999;
+  assert.equal(await countAllowed(limiter, 5), 5);
+
+  // The previous window still counts in full at the boundary...
+  clock.now = 1000;
+  const refused = await limiter.check('client');
+  assert.equal(refused.allowed, false);
+  // ...until a fifth of it has slid out
+  assert.equal(refused.resetIn, 200);
+
+  clock.now = 1199;
+  assert.equal((await limiter.check('client')).allowed, false);
+  clock.now = 1200;
+  assert.equal((await limiter.check('client')).allowed, true);
+
+  // Halfway through, half the previous window is left
+  clock.now = 1500;
+  assert.equal(await countAllowed(limiter, 5), 1);
+});
+
+test('sliding window: costs', async (t) => {
+  const { limiter } = createLimiter(t, 5, 1000, { algorithm: 'sliding-window' });
+
+  assert.deepEqual(await limiter.check('client', 4), { allowed: true, remaining: 1, resetIn: 1000 });
+  assert.equal((await limiter.check('client', 2)).allowed, false);
+  assert.equal((await limiter.check('client', 1)).allowed, true);
+
+  const tooBig = await limiter.check('other', 6);
+  assert.equal(tooBig.allowed, false);
+  assert.equal(tooBig.resetIn, Infinity);
+});
+
+// =========================================
+// FIXED WINDOW
+// =========================================
+test('fixed window: limits within a window, then resets at once', async (t) => {
+  const { limiter, clock } = createLimiter(t, 5, 1000, { algorithm: 'fixed-window' });
+
+  assert.equal(await countAllowed(limiter, 10), 5);
+  clock.now = 400;
+  const refused = await limiter.check('client');
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.resetIn, 600);
+
+  clock.now = 1000;
+  assert.equal(await countAllowed(limiter, 10), 5);
+});
+
+test('fixed window: allows twice the limit across a boundary', async (t) => {
+  const { limiter, clock } = createLimiter(t, 5, 1000, { algorithm: 'fixed-window' });
+
+  // The window opens with the first request
+  assert.equal(await countAllowed(limiter, 1), 1);
+  clock.now = 999;
+  assert.equal(await countAllowed(limiter, 4), 4);
+  clock.now = 1000;
+  assert.equal(await countAllowed(limiter, 5), 5);
+});
+
+test('fixed window: costs', async (t) => {
+  const { limiter } = createLimiter(t, 5, 1000, { algorithm: 'fixed-window' });
+
+  assert.deepEqual(await limiter.check('client', 5), { allowed: true, remaining: 0, resetIn: 1000 });
+  assert.equal((await limiter.check('client', 1)).allowed, false);
+
+  const tooBig = await limiter.check('other', 6);
+  assert.equal(tooBig.allowed, false);
+  assert.equal(tooBig.resetIn, Infinity);
+});
+
+// =========================================
+// SHARED BEHAVIOUR
+// =========================================
+test('identifiers are limited separately', async (t) => {
+  const { limiter } = createLimiter(t, 1, 1000);
+
+  assert.equal((await limiter.check('a')).allowed, true);
+  assert.equal((await limiter.check('b')).allowed, true);
+  assert.equal((await limiter.check('a')).allowed, false);
+});
+
+test('peek answers like check without counting', async (t) => {
+  const { limiter } = createLimiter(t, 2, 1000);
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await limiter.peek('client')).allowed, true);
+  }
+  await limiter.check('client', 2);
+  const refused = await limiter.peek('client');
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.resetIn, 1000);
+});
+
+test('entries and stats report current usage', async (t) => {
+  const { limiter } = createLimiter(t, 5, 1000, { name: 'stats', algorithm: 'fixed-window' });
+  await limiter.check('client', 2);
+
+  assert.deepEqual(await limiter.getEntries(), [{ id: 'client', count: 2, remaining: 3, resetIn: 1000 }]);
+  assert.deepEqual(await limiter.getStats(), {
+    trackedClients: 1, algorithm: 'fixed-window', maxRequests: 5, windowMs: 1000
+  });
+});
+
+test('checkRateLimits stops at the first refusal', async (t) => {
+  const { limiter: perClient } = createLimiter(t, 5, 1000, { name: 'client' });
+  const { limiter: perRoom } = createLimiter(t, 1, 1000, { name: 'room' });
+  const checks = [
+    { limiter: perClient, key: 'socket' },
+    { limiter: perRoom, key: 'room', shared: true }
+  ];
+
+  assert.deepEqual(await checkRateLimits(checks), { allowed: true, remaining: 0, resetIn: 0 });
+
+  const refused = await checkRateLimits(checks);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.limiter, 'room');
+  assert.equal(refused.shared, true);
+  // The per-client budget was still spent
+  assert.equal((await perClient.getEntries())[0].count, 2);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RedisStore } = require('../src/store');
+const { FakeRedisServer } = require('./fakeRedis');
+
+function connect(server, keyPrefix = 'test:') {
+  return new RedisStore({ client: server.createClient(), keyPrefix });
+}
+
+test('values round-trip through the codec', async () => {
+  const store = connect(new FakeRedisServer());
+  const value = { at: new Date(1000), users: new Map([['a', 1]]), tags: new Set(['x']) };
+
+  await store.set('room', value);
+  const read = await store.get('room');
+
+  assert.ok(read.at instanceof Date);
+  assert.equal(read.at.getTime(), 1000);
+  assert.deepEqual(read.users, new Map([['a', 1]]));
+  assert.deepEqual(read.tags, new Set(['x']));
+});
+
+test('add only claims a free key', async () => {
+  const server = new FakeRedisServer();
+  const [a, b] = [connect(server), connect(server)];
+
+  const claims = await Promise.all([a.add('code', 1), b.add('code', 2)]);
+
+  assert.deepEqual(claims.sort(), [false, true]);
+});
+
+test('concurrent updates retry instead of losing writes', async () => {
+  const server = new FakeRedisServer();
+  const stores = [connect(server), connect(server), connect(server)];
+  await stores[0].set('counter', 0);
+
+  await Promise.all(stores.flatMap((store) =>
+    Array.from({ length: 5 }, () => store.update('counter', (n) => n + 1))));
+
+  assert.equal(await stores[0].get('counter'), 15);
+  assert.ok(server.compareAndSetFailures > 0, 'expected at least one lost race');
+});
+
+test('update re-runs the mutator on the value that won', async () => {
+  const server = new FakeRedisServer();
+  const store = connect(server);
+  await store.set('list', ['a']);
+
+  let raced = false;
+  server.beforeCompareAndSet = (key) => {
+    // Another instance writes between our read and our write, once
+    if (!raced) {
+      raced = true;
+      server.write(key, JSON.stringify(['a', 'b']));
+    }
+  };
+  const seen = [];
+  const result = await store.update('list', (list) => {
+    seen.push(list.slice());
+    return [...list, 'c'];
+  });
+
+  assert.deepEqual(seen, [['a'], ['a', 'b']]);
+  assert.deepEqual(result, ['a', 'b', 'c']);
+  assert.deepEqual(await store.get('list'), ['a', 'b', 'c']);
+});
+
+test('update gives up after repeated contention', async () => {
+  const server = new FakeRedisServer();
+  const store = connect(server);
+  await store.set('hot', 0);
+
+  let version = 0;
+  server.beforeCompareAndSet = (key) => {
+    server.write(key, JSON.stringify(++version));
+  };
+
+  await assert.rejects(store.update('hot', (n) => n + 1), /contention on hot/);
+});
+
+test('update honours undefined (no write) and null (delete)', async () => {
+  const server = new FakeRedisServer();
+  const store = connect(server);
+  await store.set('key', 1);
+
+  assert.equal(await store.update('key', () => undefined), 1);
+  assert.equal(server.compareAndSetCalls, 0);
+
+  await store.update('key', () => null);
+  assert.equal(await store.get('key'), null);
+});
+
+test('keys lists by prefix without the key prefix', async () => {
+  const store = connect(new FakeRedisServer(), 'app:');
+  await store.set('room:1', {});
+  await store.set('room:2', {});
+  await store.set('socket:1', {});
+
+  assert.deepEqual((await store.keys('room:')).sort(), ['room:1', 'room:2']);
+});
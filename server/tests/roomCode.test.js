@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRoomCodeFormat } = require('../src/roomCode');
+
+const formats = [
+  ['numeric', 4], ['numeric', 12],
+  ['alphanumeric', 6], ['alphanumeric', 9],
+  ['words', null]
+];
+
+test('every code a format hands out passes the shared pattern', () => {
+  for (const [name, length] of formats) {
+    const format = createRoomCodeFormat(name, length);
+    for (const code of [format.codeAt(0), format.codeAt(format.size - 1), format.randomCode()]) {
+      assert.ok(format.isValid(code), `${name}/${length}: ${code}`);
+    }
+  }
+});
+
+test('codes of another format or length are refused', () => {
+  const numeric = createRoomCodeFormat('numeric', 4);
+  assert.equal(numeric.isValid('12345'), false);
+  assert.equal(numeric.isValid('amber-fox-42'), false);
+
+  const alphanumeric = createRoomCodeFormat('alphanumeric', 8);
+  assert.equal(alphanumeric.isValid('k7mq2xp'), false);
+  assert.equal(alphanumeric.isValid('k7mq2xpo'), false);
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryStore } = require('../src/store');
+const { RoomManager } = require('../src/roomManager');
+const { ERROR_CODES } = require('../src/protocol');
+
+function createManager() {
+  return new RoomManager(new MemoryStore());
+}
+
+async function roomWith(rooms, members) {
+  const room = await rooms.createRoom({ ownerSocketId: members[0][0] });
+  for (const [socketId, clientIP] of members) {
+    await rooms.joinRoom(room.id, socketId, null, { clientIP });
+  }
+  return room.id;
+}
+
+test('a ban removes everyone behind the banned address', async () => {
+  const rooms = createManager();
+  const roomId = await roomWith(rooms, [
+    ['owner', '10.0.0.1'], ['spammer', '10.0.0.2'], ['spammer-alt', '10.0.0.2']
+  ]);
+  const target = await rooms.getUserInfo('spammer');
+
+  const affected = await rooms.banFingerprint(roomId, target.fingerprint);
+
+  assert.deepEqual(affected.sort(), ['spammer', 'spammer-alt']);
+});
+
+test('a ban that would cover the owner is refused', async () => {
+  const rooms = createManager();
+  const roomId = await roomWith(rooms, [['owner', '10.0.0.1'], ['housemate', '10.0.0.1']]);
+  const target = await rooms.getUserInfo('housemate');
+
+  await assert.rejects(rooms.banFingerprint(roomId, target.fingerprint),
+    { code: ERROR_CODES.CANNOT_MODERATE_SELF });
+  assert.equal((await rooms.getRoomDetails(roomId)).banCount, 0);
+});
+
+test('room tokens are recognised only for their own room', async () => {
+  const rooms = createManager();
+  const { id: roomId } = await rooms.createRoom({ passphrase: 'open sesame' });
+  const { id: otherRoomId } = await rooms.createRoom();
+  const accessToken = await rooms.issueAccessToken(roomId);
+  const resumeToken = rooms.issueResumeToken(roomId, 'user-1');
+
+  assert.equal(await rooms.holdsRoomToken(roomId, { accessToken }), true);
+  assert.equal(await rooms.holdsRoomToken(roomId, { resumeToken }), true);
+  assert.equal(await rooms.holdsRoomToken(roomId, { accessToken: 'forged' }), false);
+  assert.equal(await rooms.holdsRoomToken(roomId, { resumeToken: `${resumeToken}x` }), false);
+  assert.equal(await rooms.holdsRoomToken(otherRoomId, { resumeToken }), false);
+  assert.equal(await rooms.holdsRoomToken(roomId), false);
+});
+
+test('ownership skips members whose slot is only held', async () => {
+  const rooms = createManager();
+  const roomId = await roomWith(rooms, [['owner'], ['dropped'], ['present']]);
+  await rooms.holdUser('dropped');
+
+  const left = await rooms.leaveRoom(roomId, 'owner');
+
+  assert.equal(left.newOwner.id, (await rooms.getUserInfo('present')).id);
+  assert.equal(await rooms.isOwner(roomId, 'present'), true);
+});
+
+test('a room left with only held members is owned by whoever comes back first', async () => {
+  const rooms = createManager();
+  const roomId = await roomWith(rooms, [['owner'], ['dropped']]);
+  const dropped = await rooms.getUserInfo('dropped');
+  await rooms.holdUser('dropped');
+
+  const left = await rooms.leaveRoom(roomId, 'owner');
+  assert.equal(left.newOwner, null);
+  assert.equal(await rooms.getOwner(roomId), null);
+
+  const resumeToken = rooms.issueResumeToken(roomId, dropped.id);
+  const back = await rooms.joinRoom(roomId, 'dropped-again', null, { resumeToken });
+  assert.equal(back.resumed, true);
+  assert.equal(await rooms.isOwner(roomId, 'dropped-again'), true);
+});
+
+test('announcement mode stops edits from everyone but the owner', async () => {
+  const rooms = createManager();
+  const roomId = await roomWith(rooms, [['owner'], ['member']]);
+  const owner = await rooms.getUserInfo('owner');
+  const member = await rooms.getUserInfo('member');
+  const post = async (user, id) => (await rooms.addMessage(roomId, {
+    id, senderId: user.id, content: 'before', timestamp: new Date().toISOString()
+  })).message;
+  await post(owner, 'from-owner');
+  await post(member, 'from-member');
+
+  await rooms.updateSettings(roomId, { announcementOnly: true });
+
+  await assert.rejects(rooms.editMessage(roomId, 'from-member', member.id, 'after'),
+    { code: ERROR_CODES.ANNOUNCEMENT_ONLY });
+  const edited = await rooms.editMessage(roomId, 'from-owner', owner.id, 'after');
+  assert.equal(edited.content, 'after');
+});
+
+test('edits do not use up the slow-mode wait', async () => {
+  const rooms = createManager();
+  const roomId = await roomWith(rooms, [['owner'], ['member']]);
+  const member = await rooms.getUserInfo('member');
+  await rooms.updateSettings(roomId, { slowModeSec: 60 });
+
+  await rooms.claimPostSlot(roomId, 'member');
+  await rooms.addMessage(roomId, {
+    id: 'm1', senderId: member.id, content: 'first', timestamp: new Date().toISOString()
+  });
+
+  const edited = await rooms.editMessage(roomId, 'm1', member.id, 'first, fixed');
+  assert.equal(edited.content, 'first, fixed');
+  await assert.rejects(rooms.claimPostSlot(roomId, 'member'), { code: ERROR_CODES.SLOW_MODE });
+});
+
+test('lifting a mute also lets the address rejoin unmuted', async () => {
+  const rooms = createManager();
+  const roomId = await roomWith(rooms, [['owner', '10.0.0.1'], ['member', '10.0.0.2']]);
+  const member = await rooms.getUserInfo('member');
+
+  await rooms.setMute(roomId, member.id, Date.now() + 60000);
+  await rooms.setMute(roomId, member.id, 0);
+  await rooms.leaveRoom(roomId, 'member');
+  const rejoined = await rooms.joinRoom(roomId, 'member-again', null, { clientIP: '10.0.0.2' });
+
+  assert.equal(await rooms.getMuteRemaining(roomId, rejoined.id), 0);
+});
+
+test('history after a cursor that has dropped out says so', async () => {
+  const rooms = createManager();
+  const roomId = await roomWith(rooms, [['owner']]);
+  const post = (id) => rooms.addMessage(roomId, {
+    id, senderId: 'user_owner', content: id, timestamp: new Date().toISOString()
+  });
+  await post('m1');
+  await post('m2');
+
+  const caughtUp = await rooms.getMessageHistory(roomId, { after: 'm1' });
+  assert.deepEqual(caughtUp.messages.map(({ id }) => id), ['m2']);
+  assert.equal(caughtUp.cursorExpired, undefined);
+
+  const lost = await rooms.getMessageHistory(roomId, { after: 'evicted-long-ago' });
+  assert.equal(lost.cursorExpired, true);
+  assert.deepEqual(lost.messages.map(({ id }) => id), ['m1', 'm2']);
+});
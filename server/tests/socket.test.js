@@ -0,0 +1,153 @@
+// A small room budget, so the tests can reach it; every client
+// connects from 127.0.0.1, so the per-IP limits are raised
+process.env.RATE_LIMIT_ROOM_MAX = '3';
+process.env.MAX_CONNECTIONS_PER_IP = '50';
+process.env.IP_EVENT_RATE_LIMIT = '1000';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { io: connect } = require('socket.io-client');
+
+const { createApp } = require('../src/app');
+const { getClientIP, shutdownSocketServer, rateLimiters } = require('../src/socket');
+const { roomManager } = require('../src/roomManager');
+const { ERROR_CODES, PROTOCOL_VERSION } = require('../src/protocol');
+
+const { server, io } = createApp({ adminToken: null });
+const clients = [];
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+
+test.after(async () => {
+  for (const client of clients) {
+    client.close();
+  }
+  await shutdownSocketServer(io, { drainMs: 0 });
+  roomManager.destroy();
+  await new Promise(resolve => io.close(resolve));
+  for (const limiter of Object.values(rateLimiters)) {
+    limiter.destroy();
+  }
+});
+
+async function connectClient() {
+  const client = connect(`http://127.0.0.1:${server.address().port}`, {
+    transports: ['websocket'],
+    auth: { protocol: PROTOCOL_VERSION },
+    forceNew: true
+  });
+  clients.push(client);
+  await new Promise((resolve, reject) => {
+    client.once('connect', resolve);
+    client.once('connect_error', reject);
+  });
+  return client;
+}
+
+const emit = (client, event, ...args) => new Promise(resolve => client.emit(event, ...args, resolve));
+
+const handshake = (address, forwardedFor) => ({
+  handshake: { address, headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {} }
+});
+
+test('client IP ignores X-Forwarded-For without trusted proxies', () => {
+  assert.equal(getClientIP(handshake('10.0.0.9', '1.2.3.4'), 0), '10.0.0.9');
+});
+
+test('client IP is read the trusted number of hops from the right', () => {
+  // Client -> proxy (10.0.0.9) -> server
+  assert.equal(getClientIP(handshake('10.0.0.9', '203.0.113.5'), 1), '203.0.113.5');
+  // CDN -> load balancer -> server
+  assert.equal(getClientIP(handshake('10.0.0.9', '203.0.113.5, 198.51.100.7'), 2), '203.0.113.5');
+});
+
+test('client IP cannot be spoofed by prepending to X-Forwarded-For', () => {
+  assert.equal(getClientIP(handshake('10.0.0.9', '6.6.6.6, 203.0.113.5'), 1), '203.0.113.5');
+});
+
+test('client IP falls back to the farthest hop when the chain is short', () => {
+  assert.equal(getClientIP(handshake('10.0.0.9'), 2), '10.0.0.9');
+  assert.equal(getClientIP(handshake('10.0.0.9', '203.0.113.5'), 3), '203.0.113.5');
+});
+
+test('refused posts from a muted member leave the room budget alone', async () => {
+  const owner = await connectClient();
+  const member = await connectClient();
+  const { roomId } = await emit(owner, 'create-room', {});
+  await emit(owner, 'join-room', { roomId });
+  await emit(member, 'join-room', { roomId });
+
+  const { id: userId } = await roomManager.getUserInfo(member.id);
+  assert.equal((await emit(owner, 'mute-user', { roomId, userId, durationSec: 60 })).success, true);
+
+  for (let i = 0; i < 5; i++) {
+    const reply = await emit(member, 'send-message', { roomId, content: `spam ${i}` });
+    assert.equal(reply.code, ERROR_CODES.MUTED);
+  }
+
+  const reply = await emit(owner, 'send-message', { roomId, content: 'still here' });
+  assert.equal(reply.success, true);
+});
+
+test('a file whose message cannot be posted gives its quota back', async (t) => {
+  const owner = await connectClient();
+  const { roomId } = await emit(owner, 'create-room', {});
+  await emit(owner, 'join-room', { roomId });
+
+  const upload = async () => {
+    const file = Buffer.from('hello');
+    const { uploadId } = await emit(owner, 'upload-start', { roomId, name: 'a.txt', type: 'text/plain', size: file.length });
+    await emit(owner, 'upload-chunk', { uploadId, index: 0, data: file });
+    return emit(owner, 'upload-complete', { uploadId });
+  };
+
+  // The room vanishes before the message lands
+  t.mock.method(roomManager, 'addMessage', async () => null);
+  assert.equal((await upload()).code, ERROR_CODES.ROOM_NOT_FOUND);
+  assert.equal((await roomManager.getRoomDetails(roomId)).attachmentBytes, 0);
+
+  // The store fails outright
+  roomManager.addMessage.mock.mockImplementation(async () => { throw new Error('store down'); });
+  assert.equal((await upload()).success, false);
+  assert.equal((await roomManager.getRoomDetails(roomId)).attachmentBytes, 0);
+});
+
+test('a muted member who rejoins as someone new is still muted', async () => {
+  const owner = await connectClient();
+  const member = await connectClient();
+  const { roomId } = await emit(owner, 'create-room', {});
+  await emit(owner, 'join-room', { roomId });
+  await emit(member, 'join-room', { roomId });
+
+  const { id: userId } = await roomManager.getUserInfo(member.id);
+  await emit(owner, 'mute-user', { roomId, userId, durationSec: 60 });
+
+  // No resume token: a fresh user id from the same address
+  member.close();
+  const rejoined = await connectClient();
+  assert.equal((await emit(rejoined, 'join-room', { roomId })).success, true);
+  assert.notEqual((await roomManager.getUserInfo(rejoined.id)).id, userId);
+
+  const reply = await emit(rejoined, 'send-message', { roomId, content: 'back again' });
+  assert.equal(reply.code, ERROR_CODES.MUTED);
+});
+
+test('answering a knock reports why it could not be done', async () => {
+  const owner = await connectClient();
+  const knocker = await connectClient();
+  const outsider = await connectClient();
+  const { roomId, accessToken } = await emit(owner, 'create-room', { requireApproval: true });
+  await emit(owner, 'join-room', { roomId, accessToken });
+
+  const requested = new Promise(resolve => owner.once('join-request', resolve));
+  assert.equal((await emit(knocker, 'join-room', { roomId })).pending, true);
+  const { requestId } = await requested;
+
+  assert.equal((await emit(outsider, 'approve-join', { roomId, requestId })).code, ERROR_CODES.NOT_IN_ROOM);
+
+  const withdrawn = new Promise(resolve => owner.once('join-request-resolved', resolve));
+  knocker.close();
+  await withdrawn;
+  assert.equal((await emit(owner, 'approve-join', { roomId, requestId })).code, ERROR_CODES.JOIN_REQUEST_NOT_FOUND);
+  assert.equal((await emit(owner, 'deny-join', { roomId, requestId })).code, ERROR_CODES.JOIN_REQUEST_NOT_FOUND);
+});